@@ -0,0 +1,84 @@
+/**
+ * Checks that parsing and export (src/utils/annotationIO.js) run in Node, without a DOM: a small labeled mesh is
+ * exported to every mesh format and parsed back. The modules are loaded through Vite, which resolves the
+ * extensionless imports and `import.meta.env` of the app sources.
+ *
+ *   npm run check:node
+ */
+
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createServer } from 'vite';
+
+// three's GLTFExporter reads its binary output through FileReader, which Node does not have
+class BlobFileReader {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((result) => {
+      this.result = result;
+      this.onloadend?.();
+    }, (error) => {
+      this.error = error;
+      this.onerror?.(error);
+    });
+  }
+}
+
+const server = await createServer({
+  configFile: false,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+});
+
+try {
+  const { parseFile, exportFile, EXPORT_FORMATS } = await server.ssrLoadModule('/src/utils/annotationIO.js');
+  assert.equal(typeof document, 'undefined');
+  globalThis.FileReader ??= BlobFileReader;
+
+  const labels = [{ id: 1, name: 'Wall', color: '#ff0000' }, { id: 2, name: 'Roof', color: '#0000ff' }];
+  const faceLabels = [1, 1, 2, 2, 0, 0, 1, 1, 2, 2, 0, 0];
+  const readLabels = (faces) => faces.map(face => Math.max(face.labelId || 0, 0));
+
+  // 1. Scene export and parse (GLTFExporter)
+  const scene = new THREE.Scene();
+  scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()));
+  const mesh = scene.children[0];
+  const pointCount = mesh.geometry.attributes.position.count;
+  const interactionMapping = {
+    meshToFaceRange: new Map([[mesh.uuid, { start: 0, end: faceLabels.length }]]),
+    meshToPointRange: new Map([[mesh.uuid, { start: 0, end: pointCount }]]),
+  };
+  const box = {
+    points: Array.from({ length: pointCount }, () => ({ position: [0, 0, 0], color: [1, 1, 1] })),
+    faces: faceLabels.map(labelId => ({ labelId })),
+    hasMesh: true,
+    fileName: 'box',
+    originalScene: scene,
+    interactionMapping,
+  };
+  const glb = await exportFile(EXPORT_FORMATS.GLB, box, labels);
+  assert.equal(glb.fileName, 'box.glb');
+
+  const loaded = await parseFile(glb.data, glb.fileName);
+  assert.deepEqual(readLabels(loaded.faces), faceLabels);
+  assert.deepEqual(loaded.labels.map(label => label.name), ['Wall', 'Roof']);
+
+  // 2. Round-trip GLB, PLY and PCD export of the parsed file, parsed back
+  loaded.faces[4].labelId = 2;
+  const edited = { ...loaded, hasMesh: true, fileName: 'box', fileHeader: loaded.header, materials: null };
+  const editedLabels = readLabels(loaded.faces);
+
+  const roundTrip = await exportFile(EXPORT_FORMATS.ROUND_TRIP_GLB, edited, labels);
+  assert.deepEqual(readLabels((await parseFile(roundTrip.data, roundTrip.fileName)).faces), editedLabels);
+
+  const ply = await exportFile(EXPORT_FORMATS.PLY, edited, labels, { format: 'binary_little_endian' });
+  assert.deepEqual(readLabels((await parseFile(ply.data, ply.fileName)).faces), editedLabels);
+
+  const pcd = await exportFile(EXPORT_FORMATS.PCD, { ...edited, hasMesh: false, fileHeader: null }, labels, { format: 'ascii' });
+  const pcdLoaded = await parseFile(new TextEncoder().encode(pcd.data).buffer, pcd.fileName);
+  assert.equal(pcdLoaded.points.length, edited.points.length);
+
+  console.log('Parsing and export run in Node: GLB, round-trip GLB, PLY and PCD');
+} finally {
+  await server.close();
+}
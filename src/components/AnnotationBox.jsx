@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import { TransformControls, Edges } from '@react-three/drei';
+
+// Selection boxes must never swallow pointer events meant for the model underneath
+const disableRaycast = () => null;
+
+/**
+ * Manipulable 3D selection box. Rendered inside the model root group and shifted by the center offset,
+ * so the box itself lives in the same coordinates as the point positions.
+ * The gizmo moves the box freely while dragging; the result is only committed on release,
+ * which keeps point-in-box selection off the per-frame path.
+ * @param {object} props
+ * @param {{position: number[], size: number[], rotation: number[]}} props.box - Annotation box in point coordinates
+ * @param {[number, number, number]} props.centerOffset - The offset used to center the geometry
+ * @param {'translate' | 'scale' | 'rotate'} props.transformMode - Gizmo mode
+ * @param {Function} props.onChange - Called with the new box when a gizmo drag ends
+ */
+const AnnotationBox = ({ box, centerOffset, transformMode, onChange }) => {
+  const [mesh, setMesh] = useState(null);
+
+  // Sync mesh transform from the store (numeric inputs, reset, undo...)
+  useEffect(() => {
+    if (!mesh) return;
+    mesh.position.fromArray(box.position);
+    mesh.scale.fromArray(box.size);
+    mesh.rotation.set(...(box.rotation || [0, 0, 0]));
+  }, [mesh, box]);
+
+  const handleMouseUp = () => {
+    if (!mesh) return;
+    onChange({
+      position: mesh.position.toArray(),
+      size: mesh.scale.toArray().map(Math.abs),
+      rotation: [mesh.rotation.x, mesh.rotation.y, mesh.rotation.z],
+    });
+  };
+
+  return (
+    <>
+      <group position={[-centerOffset[0], -centerOffset[1], -centerOffset[2]]}>
+        <mesh ref={setMesh} raycast={disableRaycast}>
+          <boxGeometry args={[1, 1, 1]} />
+          <meshBasicMaterial color="#1890ff" transparent opacity={0.12} depthWrite={false} />
+          <Edges color="#1890ff" raycast={disableRaycast} />
+        </mesh>
+      </group>
+      {mesh && (
+        <TransformControls
+          object={mesh}
+          mode={transformMode}
+          space={transformMode === 'translate' ? 'world' : 'local'}
+          size={0.8}
+          onMouseUp={handleMouseUp}
+        />
+      )}
+    </>
+  );
+};
+
+export default AnnotationBox;
@@ -0,0 +1,81 @@
+import React, { useCallback } from 'react';
+import { Button, InputNumber, Radio, Row, Col, Typography } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { useAnnotation } from '../store/annotationStore';
+import { createDefaultAnnotationBox } from '../utils/geometryUtils';
+
+const { Text } = Typography;
+
+const AXES = ['X', 'Y', 'Z'];
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Numeric editor for the annotation box. Each row edits one vector of the box
+ * (position, size, rotation in degrees); every change is committed to the store immediately.
+ */
+const AnnotationBoxControls = () => {
+  const { state, dispatch } = useAnnotation();
+  const { annotationBox, boxTransformMode, points } = state;
+
+  const updateBox = useCallback((key, axis, value) => {
+    if (!annotationBox || value === null || !Number.isFinite(value)) return;
+    const vector = [...(annotationBox[key] || [0, 0, 0])];
+    vector[axis] = key === 'rotation' ? value / RAD_TO_DEG : value;
+    dispatch({ type: 'SET_ANNOTATION_BOX', payload: { ...annotationBox, [key]: vector } });
+  }, [annotationBox, dispatch]);
+
+  const handleReset = () => {
+    dispatch({ type: 'SET_ANNOTATION_BOX', payload: createDefaultAnnotationBox(points) });
+  };
+
+  if (!annotationBox) {
+    return <Button size="small" icon={<ReloadOutlined />} onClick={handleReset} disabled={points.length === 0}>Place Box</Button>;
+  }
+
+  const rows = [
+    { key: 'position', title: 'Position', step: 0.1, format: v => v },
+    { key: 'size', title: 'Size', step: 0.1, min: 0.001, format: v => v },
+    { key: 'rotation', title: 'Rotation (°)', step: 1, format: v => v * RAD_TO_DEG },
+  ];
+
+  return (
+    <Row gutter={[8, 8]} align="middle">
+      <Col span={24}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Radio.Group
+            value={boxTransformMode}
+            onChange={(e) => dispatch({ type: 'SET_BOX_TRANSFORM_MODE', payload: e.target.value })}
+            size="small"
+            buttonStyle="solid"
+          >
+            <Radio.Button value="translate">Move</Radio.Button>
+            <Radio.Button value="scale">Resize</Radio.Button>
+            <Radio.Button value="rotate">Rotate</Radio.Button>
+          </Radio.Group>
+          <Button size="small" icon={<ReloadOutlined />} onClick={handleReset}>Reset Box</Button>
+        </div>
+      </Col>
+      {rows.map(({ key, title, step, min, format }) => (
+        <React.Fragment key={key}>
+          <Col span={6}><Text type="secondary" style={{ fontSize: '12px' }}>{title}</Text></Col>
+          {AXES.map((axisName, axis) => (
+            <Col span={6} key={axisName}>
+              <InputNumber
+                size="small"
+                prefix={axisName}
+                step={step}
+                min={min}
+                precision={key === 'rotation' ? 1 : 3}
+                value={format((annotationBox[key] || [0, 0, 0])[axis])}
+                onChange={(value) => updateBox(key, axis, value)}
+                style={{ width: '100%' }}
+              />
+            </Col>
+          ))}
+        </React.Fragment>
+      ))}
+    </Row>
+  );
+};
+
+export default AnnotationBoxControls;
@@ -0,0 +1,71 @@
+import React, { useMemo, useState } from 'react';
+import { Button, Select, Typography, message } from 'antd';
+import { TagsOutlined } from '@ant-design/icons';
+import { useAnnotation } from '../store/annotationStore';
+import { getBatchLabelSources, groupFacesByBatchValue, BATCH_ID_SOURCE } from '../utils/batchLabels';
+import { getDefaultColorByIndex } from '../constants/colors';
+
+const { Text } = Typography;
+
+/**
+ * Labels the faces of batched 3D Tiles content (b3dm / i3dm) by batch ID or by a batch table property.
+ * Every distinct value becomes a label; existing labels with the same name are reused.
+ * Renders nothing when the loaded model has no batch IDs.
+ */
+const BatchLabelControls = () => {
+  const { state, dispatch } = useAnnotation();
+  const { interactionMapping, labels } = state;
+  const [source, setSource] = useState(BATCH_ID_SOURCE);
+
+  const sources = useMemo(() => getBatchLabelSources(interactionMapping), [interactionMapping]);
+  if (!sources.hasBatchIds) return null;
+
+  const handleApply = () => {
+    const { values, faceIndices, valueIndices } = groupFacesByBatchValue(interactionMapping, source);
+    if (faceIndices.length === 0) {
+      message.warning('No face has a value for this batch property.');
+      return;
+    }
+
+    const labelIdByName = new Map(labels.map(label => [label.name, label.id]));
+    let nextId = labels.reduce((max, label) => Math.max(max, label.id), 0) + 1;
+    const newLabels = [];
+    const valueLabelIds = values.map(value => {
+      const name = source === BATCH_ID_SOURCE ? `Batch ${value}` : value;
+      if (labelIdByName.has(name)) return labelIdByName.get(name);
+      const label = { id: nextId++, name, color: getDefaultColorByIndex(labels.length + newLabels.length), visible: true };
+      newLabels.push(label);
+      return label.id;
+    });
+
+    // One undo step reverts both the new labels and the labeled faces
+    const historyGroup = `batch-labels-${Date.now()}`;
+    if (newLabels.length > 0) {
+      dispatch({ type: 'ADD_LABELS', payload: { labels: newLabels, historyGroup } });
+    }
+    dispatch({
+      type: 'APPLY_LABEL_TO_FACES',
+      payload: { faceIndices, labelIds: valueIndices.map(index => valueLabelIds[index]), historyGroup },
+    });
+    message.success(`Labeled ${faceIndices.length} faces with ${values.length} labels (${newLabels.length} new)`);
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+      <Text type="secondary">Labels from</Text>
+      <Select
+        size="small"
+        value={source}
+        onChange={setSource}
+        style={{ flex: 1 }}
+        options={[
+          { value: BATCH_ID_SOURCE, label: 'Batch ID' },
+          ...sources.properties.map(name => ({ value: name, label: `Batch table: ${name}` })),
+        ]}
+      />
+      <Button size="small" icon={<TagsOutlined />} onClick={handleApply}>Apply</Button>
+    </div>
+  );
+};
+
+export default BatchLabelControls;
@@ -1,11 +1,18 @@
 import React from 'react';
-import { useMemo } from 'react';
-import { Card, Button, Typography, Row, Col, Tabs, Descriptions, Tag } from 'antd';
+import { useMemo, useState } from 'react';
+import { Card, Button, Typography, Row, Col, Tabs, Descriptions, Tag, Checkbox, Space, Select, message } from 'antd';
 // 1. Removed unnecessary Statistic and List components as we use more compact implementation
 import { ExportOutlined, FileTextOutlined, DatabaseOutlined, CloudDownloadOutlined } from '@ant-design/icons';
-import { exportPLY } from '../utils/plyExporter';
-import { exportGLB, validateExportData } from '../utils/glbExporter';
+import { exportPLY, PLY_FORMATS } from '../utils/plyExporter';
+import { exportGLB, exportRoundTripGLB, validateExportData } from '../utils/glbExporter';
+import { exportLAS } from '../utils/lasExporter';
+import { exportPCD, PCD_FORMATS } from '../utils/pcdExporter';
+import { exportKITTILabels } from '../utils/kittiExporter';
 import { useAnnotation } from '../store/annotationStore';
+import { getLayerData } from '../utils/layerUtils';
+import { FACE_LABEL_ENCODINGS } from '../utils/faceLabelEncoding';
+import BatchLabelControls from './BatchLabelControls';
+import FaceLabelReport from './FaceLabelReport';
 
 const { Text, Title } = Typography;
 
@@ -22,6 +29,12 @@ const CompactStatistic = ({ title, value, valueStyle }) => (
 
 const DataOverview = () => {
   const { state } = useAnnotation();
+  const [writeMeshFeatures, setWriteMeshFeatures] = useState(false);
+  const [patchOriginalFile, setPatchOriginalFile] = useState(true);
+  const [faceLabelEncoding, setFaceLabelEncoding] = useState(FACE_LABEL_ENCODINGS.ARRAY);
+  const [plyFormat, setPlyFormat] = useState(null); // null: same encoding as the loaded PLY
+  const [pcdFormat, setPcdFormat] = useState(null); // null: same encoding as the loaded PCD
+  const [exportLayerId, setExportLayerId] = useState(null); // null: first layer
   
   // Defensive check: ensure core state exists to prevent runtime crashes
   if (!state || !state.points || !state.labels) {
@@ -34,18 +47,70 @@ const DataOverview = () => {
     );
   }
   
-  const { points, labels, fileName, fileHeader, labelInfo, selectedPoints, hasMesh, faces, selectedFaces, materials, textureFile, originalScene, interactionMapping } = state;
+  const { points, labels, fileName, fileHeader, labelInfo, selectedPoints, hasMesh, faces, layers } = state;
+
+  // With several layers, every file is exported on its own with its labels, in its original coordinates.
+  // The export conditions below read the per-file fields of the chosen layer (same names as in the store).
+  const exportLayer = layers.length > 1 ? (layers.find(layer => layer.id === exportLayerId) ?? layers[0]) : null;
+  const exportSource = exportLayer ?? state;
+  const getExportData = () => (exportLayer ? getLayerData(points, faces, exportLayer) : state);
 
   // --- Data Calculation (无改动) ---
+  const selectedPlyFormat = plyFormat ?? (exportSource.fileHeader?.format?.startsWith('binary') ? PLY_FORMATS.BINARY_LITTLE_ENDIAN : PLY_FORMATS.ASCII);
+
   const handleExport = () => {
     if (points.length === 0) return;
+    const { points: exportPoints, faces: exportFaces, hasMesh: exportHasMesh, fileName: exportFileName, fileHeader: exportHeader, materials, textureFile } = getExportData();
     // Pass original header info to preserve original attribute structure
-    const originalHeader = fileHeader || null;
-    exportPLY(points, fileName, hasMesh ? faces : null, materials, textureFile, labels, originalHeader);
+    const originalHeader = exportHeader || null;
+    exportPLY(exportPoints, exportFileName, exportHasMesh ? exportFaces : null, materials, textureFile, labels, originalHeader, { format: selectedPlyFormat });
+  };
+
+  const selectedPcdFormat = pcdFormat ?? (exportSource.fileHeader?.format === 'pcd' ? exportSource.fileHeader.data : PCD_FORMATS.BINARY);
+
+  const handlePCDExport = () => {
+    if (points.length === 0) return;
+    try {
+      const { points: exportPoints, fileName: exportFileName, fileHeader: exportHeader } = getExportData();
+      exportPCD(exportPoints, exportFileName, labels, exportHeader || null, { format: selectedPcdFormat });
+    } catch (error) {
+      console.error('PCD export failed:', error);
+      message.error(error.message);
+    }
+  };
+
+  const handleKITTIExport = () => {
+    if (points.length === 0) return;
+    try {
+      const { points: exportPoints, fileName: exportFileName, fileHeader: exportHeader } = getExportData();
+      exportKITTILabels(exportPoints, exportHeader, exportFileName);
+    } catch (error) {
+      console.error('SemanticKITTI label export failed:', error);
+      message.error(error.message);
+    }
+  };
+
+  const handleLASExport = () => {
+    if (points.length === 0 || !exportSource.lasSource) return;
+    try {
+      const { points: exportPoints, lasSource, fileName: exportFileName } = getExportData();
+      exportLAS(exportPoints, lasSource, exportFileName);
+    } catch (error) {
+      console.error('LAS export failed:', error);
+      message.error(error.message);
+    }
   };
 
+  // The round-trip export leaves the binary chunk untouched, so it cannot add a face label accessor
+  const isPatchingOriginal = Boolean(exportSource.roundTripSource && patchOriginalFile);
+  const roundTripEncoding = faceLabelEncoding === FACE_LABEL_ENCODINGS.ACCESSOR ? FACE_LABEL_ENCODINGS.ARRAY : faceLabelEncoding;
+
   const handleGLBExport = async () => {
     if (points.length === 0) return;
+    const {
+      points: exportPoints, faces: exportFaces, hasMesh: exportHasMesh, fileName: exportFileName, fileHeader: exportHeader,
+      originalScene, interactionMapping, roundTripSource,
+    } = getExportData();
     
     // Validate if original scene object and interaction mapping exist
     if (!originalScene) {
@@ -60,7 +125,7 @@ const DataOverview = () => {
     
     try {
       // Validate export data
-      const validation = validateExportData(points, faces, labels);
+      const validation = validateExportData(exportPoints, exportFaces, labels);
       if (!validation.valid) {
         console.error('导出数据验证失败:', validation.errors);
         return;
@@ -70,9 +135,18 @@ const DataOverview = () => {
         console.warn('导出数据警告:', validation.warnings);
       }
       
+      // Round-trip export: only the label extras of the original file change
+      if (isPatchingOriginal) {
+        exportRoundTripGLB(roundTripSource, interactionMapping, exportHasMesh ? exportFaces : null, labels, exportFileName, roundTripEncoding);
+        return;
+      }
+
       // Execute GLB export (new architecture: precise mapping based on interactionMapping)
-      const originalHeader = fileHeader || null;
-      await exportGLB(originalScene, interactionMapping, points, fileName, hasMesh ? faces : null, labels, originalHeader);
+      const originalHeader = exportHeader || null;
+      await exportGLB(originalScene, interactionMapping, exportPoints, exportFileName, exportHasMesh ? exportFaces : null, labels, originalHeader, {
+        writeMeshFeatures: exportHasMesh && writeMeshFeatures,
+        faceLabelEncoding,
+      });
       console.log('GLB export completed (new architecture: precise mapping based on interactionMapping)');
     } catch (error) {
       console.error('GLB export failed:', error);
@@ -135,10 +209,120 @@ const DataOverview = () => {
             </Row>
           </Col>
         )}
+
+        {/* Batch IDs of b3dm / i3dm content as label source */}
+        {hasMesh && (
+          <Col span={24}>
+            <BatchLabelControls />
+          </Col>
+        )}
+
+        {/* Face label validation of GLB files (also sets the policy for the next load) */}
+        {(hasMesh || points.length === 0) && (
+          <Col span={24}>
+            <FaceLabelReport />
+          </Col>
+        )}
       </Row>
     </div>
   );
 
+  // Export Tab: PLY for every model, GLB for models loaded from GLB/GLTF or 3D Tiles
+  const ExportTab = (
+    <Space direction="vertical" size="middle" style={{ width: '100%', marginTop: '12px' }}>
+      {exportLayer && (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+          <Text type="secondary" style={{ fontSize: '12px' }}>Layer</Text>
+          <Select
+            size="small"
+            value={exportLayer.id}
+            onChange={setExportLayerId}
+            style={{ flex: 1 }}
+            options={layers.map(layer => ({ value: layer.id, label: layer.name }))}
+          />
+        </div>
+      )}
+      <Button block icon={<ExportOutlined />} onClick={handleExport} disabled={points.length === 0}>
+        Export PLY
+      </Button>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <Text type="secondary" style={{ fontSize: '12px' }}>PLY format</Text>
+        <Select
+          size="small"
+          value={selectedPlyFormat}
+          onChange={setPlyFormat}
+          style={{ flex: 1 }}
+          options={[
+            { value: PLY_FORMATS.ASCII, label: 'ASCII' },
+            { value: PLY_FORMATS.BINARY_LITTLE_ENDIAN, label: 'Binary little-endian' },
+          ]}
+        />
+      </div>
+      <Button block icon={<ExportOutlined />} onClick={handlePCDExport} disabled={points.length === 0}>
+        Export PCD
+      </Button>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <Text type="secondary" style={{ fontSize: '12px' }}>PCD data</Text>
+        <Select
+          size="small"
+          value={selectedPcdFormat}
+          onChange={setPcdFormat}
+          style={{ flex: 1 }}
+          options={[
+            { value: PCD_FORMATS.ASCII, label: 'ASCII' },
+            { value: PCD_FORMATS.BINARY, label: 'Binary' },
+            { value: PCD_FORMATS.BINARY_COMPRESSED, label: 'Binary compressed (LZF)' },
+          ]}
+        />
+      </div>
+      {exportSource.fileHeader?.format === 'semantickitti' && (
+        <Button block type="primary" icon={<CloudDownloadOutlined />} onClick={handleKITTIExport} disabled={points.length === 0}>
+          Export SemanticKITTI .label
+        </Button>
+      )}
+      {exportSource.lasSource && (
+        <Button block type="primary" icon={<CloudDownloadOutlined />} onClick={handleLASExport} disabled={points.length === 0}>
+          Export LAS
+        </Button>
+      )}
+      {exportSource.originalScene && (
+        <>
+          <Button block type="primary" icon={<CloudDownloadOutlined />} onClick={handleGLBExport} disabled={points.length === 0}>
+            Export GLB
+          </Button>
+          {exportSource.roundTripSource && (
+            <Checkbox checked={patchOriginalFile} onChange={(e) => setPatchOriginalFile(e.target.checked)}>
+              <Text style={{ fontSize: '12px' }}>
+                {`Patch labels into the original ${exportSource.roundTripSource.format.toUpperCase()} (geometry, textures and extensions stay byte-identical; face labels only)`}
+              </Text>
+            </Checkbox>
+          )}
+          {exportSource.hasMesh && (
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+              <Text type="secondary" style={{ fontSize: '12px' }}>Face labels as</Text>
+              <Select
+                size="small"
+                value={isPatchingOriginal ? roundTripEncoding : faceLabelEncoding}
+                onChange={setFaceLabelEncoding}
+                style={{ flex: 1 }}
+                options={[
+                  { value: FACE_LABEL_ENCODINGS.ARRAY, label: 'JSON array' },
+                  { value: FACE_LABEL_ENCODINGS.RLE, label: 'Run-length encoded' },
+                  { value: FACE_LABEL_ENCODINGS.ACCESSOR, label: 'Binary accessor', disabled: isPatchingOriginal },
+                ]}
+              />
+            </div>
+          )}
+          {exportSource.hasMesh && !isPatchingOriginal && (
+            <Checkbox checked={writeMeshFeatures} onChange={(e) => setWriteMeshFeatures(e.target.checked)}>
+              <Text style={{ fontSize: '12px' }}>Also write labels as EXT_mesh_features / EXT_structural_metadata</Text>
+            </Checkbox>
+          )}
+        </>
+      )}
+    </Space>
+  );
+
   // 5. [Refactor] Details Tab: Adjusted Descriptions styling and displayed label statistics in more compact way
   const DetailsTab = (
     <Descriptions bordered size="small" column={1} style={{ marginTop: '12px' }} styles={{ label: { width: '110px' } }}>
@@ -211,6 +395,11 @@ const DataOverview = () => {
             key: '2', 
             label: <span><FileTextOutlined />Details</span>,
             children: DetailsTab
+          },
+          {
+            key: '3',
+            label: <span><ExportOutlined />Export</span>,
+            children: ExportTab
           }
         ]}
       />
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Select, Typography, Tag, Tooltip } from 'antd';
+import { CheckCircleOutlined, WarningOutlined } from '@ant-design/icons';
+import { useAnnotation } from '../store/annotationStore';
+import { FACE_LABEL_POLICIES, hasStructuralIssues, describeFaceLabelIssues } from '../utils/faceLabelValidation';
+
+const { Text } = Typography;
+
+/**
+ * Face label validation report of the loaded GLB (face count vs. `faceLabels` per mesh), and the policy
+ * applied to mismatching files on the next load.
+ */
+const FaceLabelReport = () => {
+  const { state, dispatch } = useAnnotation();
+  const { faceLabelReport, faceLabelPolicy } = state;
+  const problemMeshes = faceLabelReport ? faceLabelReport.meshes.filter(mesh => describeFaceLabelIssues(mesh).length > 0) : [];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <Tooltip title="How face labels that do not match their mesh are handled when a file is loaded">
+          <Text type="secondary">Face label mismatch</Text>
+        </Tooltip>
+        <Select
+          size="small"
+          value={faceLabelPolicy}
+          onChange={(value) => dispatch({ type: 'SET_FACE_LABEL_POLICY', payload: value })}
+          style={{ width: 140 }}
+          options={[
+            { value: FACE_LABEL_POLICIES.TRUNCATE_PAD, label: 'Truncate / pad' },
+            { value: FACE_LABEL_POLICIES.REFUSE, label: 'Refuse file' },
+          ]}
+        />
+      </div>
+
+      {faceLabelReport && problemMeshes.length === 0 && (
+        <Text type="success" style={{ fontSize: '12px' }}>
+          <CheckCircleOutlined /> {`Face labels match all ${faceLabelReport.meshes.length} labeled meshes`}
+        </Text>
+      )}
+
+      {problemMeshes.length > 0 && (
+        <div style={{ maxHeight: 160, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 4 }}>
+          <Text type="warning" style={{ fontSize: '12px' }}>
+            <WarningOutlined /> {`${problemMeshes.length} of ${faceLabelReport.meshes.length} labeled meshes have face label problems`}
+          </Text>
+          {problemMeshes.map(mesh => (
+            <Text key={mesh.meshId} style={{ fontSize: '12px' }}>
+              <Tag color={hasStructuralIssues(mesh) ? 'red' : 'orange'}>{mesh.meshName}</Tag>
+              {describeFaceLabelIssues(mesh).join(', ')}
+            </Text>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FaceLabelReport;
@@ -1,116 +1,354 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useAnnotation } from '../store/annotationStore';
-import { parsePLY } from '../utils/plyParser';
-import { parseGLB, isGLBFile, isGLTFFile } from '../utils/glbParser';
-import { message } from 'antd';
+import { parsePLYInWorker } from '../utils/plyWorker';
+import { parseFile } from '../utils/annotationIO';
+import { parseTileset, findRootTilesetPath } from '../utils/tilesetParser';
+import { normalizePath } from '../utils/pathUtils';
+import { createFileReader } from '../utils/gltfResources';
+import { OBJ_LABEL_SOURCES } from '../utils/objParser';
+import { isKITTIScanFile } from '../utils/kittiParser';
+import { message, Modal, Radio } from 'antd';
 import JSZip from 'jszip';
 import { getDefaultColorByIndex } from '../constants/colors';
+import { remapLabelConflicts, normalizeLabelDefinitions, findLayerLabelConflicts, remapLayerLabels } from '../utils/labelMerge';
+import { FACE_LABEL_POLICIES, hasStructuralIssues, describeFaceLabelIssues } from '../utils/faceLabelValidation';
+
+/**
+ * Asks how to resolve label IDs that meshes define differently (same ID, different name or color):
+ * remap the conflicting definitions to new IDs, or keep the first definition of every ID.
+ * @param {Object} fileData - Parse result, possibly with `labelConflicts`
+ * @returns {Promise<Object>} The parse result to load
+ */
+const resolveLabelConflicts = (fileData) => {
+  const conflicts = fileData.labelConflicts || [];
+  if (conflicts.length === 0) return Promise.resolve(fileData);
+
+  const describeVariant = ({ definition, meshNames }) =>
+    `"${definition.name || `Label ${definition.id}`}"${definition.color ? ` ${definition.color}` : ''} (${meshNames.slice(0, 3).join(', ')}${meshNames.length > 3 ? ', ...' : ''})`;
+
+  return new Promise(resolve => {
+    Modal.confirm({
+      title: `${conflicts.length} label ${conflicts.length === 1 ? 'ID is' : 'IDs are'} defined differently across meshes`,
+      width: 520,
+      content: (
+        <div style={{ maxHeight: 240, overflowY: 'auto' }}>
+          {conflicts.map(({ id, variants }) => (
+            <div key={id} style={{ marginBottom: 6 }}>
+              <b>{`ID ${id}: `}</b>
+              {variants.map(describeVariant).join(' vs ')}
+            </div>
+          ))}
+          <div style={{ marginTop: 8 }}>
+            Remapping gives every other definition a new ID and relabels the faces of its meshes.
+            Otherwise the first definition is used for all meshes.
+          </div>
+        </div>
+      ),
+      okText: 'Remap IDs',
+      cancelText: 'Keep first definitions',
+      onOk: () => {
+        const { fileData: remappedData, remapped } = remapLabelConflicts(fileData);
+        message.info(`Remapped ${remapped.length} label definitions to new IDs (${remapped.map(({ fromId, toId }) => `${fromId} → ${toId}`).join(', ')})`);
+        resolve(remappedData);
+      },
+      onCancel: () => resolve(fileData),
+    });
+  });
+};
+
+/**
+ * Asks how to load a further layer whose label definitions differ from the session's for the same ID:
+ * remap them to new IDs and relabel the points and faces of the layer, or keep the session's definitions.
+ * @param {Object} fileData - Parse result of the layer
+ * @param {Array<Object>} sessionLabels - Labels of the session
+ * @returns {Promise<Object>} The parse result to load
+ */
+const resolveLayerLabelConflicts = (fileData, sessionLabels) => {
+  const conflicts = findLayerLabelConflicts(sessionLabels, fileData);
+  if (conflicts.length === 0) return Promise.resolve(fileData);
+
+  const describeLabel = (label) => `"${label.name || `Label ${label.id}`}"`;
+
+  return new Promise(resolve => {
+    Modal.confirm({
+      title: `${conflicts.length} label ${conflicts.length === 1 ? 'ID of this layer is' : 'IDs of this layer are'} already used differently`,
+      width: 520,
+      content: (
+        <div style={{ maxHeight: 240, overflowY: 'auto' }}>
+          {conflicts.map(({ id, existing, incoming }) => (
+            <div key={id} style={{ marginBottom: 6 }}>
+              <b>{`ID ${id}: `}</b>
+              {`${describeLabel(incoming)} in this file vs ${describeLabel(existing)} loaded`}
+            </div>
+          ))}
+          <div style={{ marginTop: 8 }}>
+            Remapping gives the definitions of this file new IDs and relabels its points and faces.
+            Otherwise its points and faces take the loaded definitions.
+          </div>
+        </div>
+      ),
+      okText: 'Remap IDs',
+      cancelText: 'Keep loaded definitions',
+      onOk: () => {
+        const { fileData: remappedData, remapped } = remapLayerLabels(fileData, conflicts, sessionLabels);
+        message.info(`Remapped ${remapped.length} label definitions to new IDs (${remapped.map(({ fromId, toId }) => `${fromId} → ${toId}`).join(', ')})`);
+        resolve(remappedData);
+      },
+      onCancel: () => {
+        message.warning(`Label IDs ${conflicts.map(({ id }) => id).join(', ')} of the layer use the loaded definitions`);
+        resolve(fileData);
+      },
+    });
+  });
+};
+
+/**
+ * Asks whether the group or material names of an OBJ should become labels.
+ * @param {{groups: Array<string>, materials: Array<string>}} names - Distinct names found in the OBJ
+ * @returns {Promise<string>} One of OBJ_LABEL_SOURCES
+ */
+const chooseOBJLabelSource = ({ groups, materials }) => {
+  if (groups.length === 0 && materials.length === 0) return Promise.resolve(OBJ_LABEL_SOURCES.NONE);
+
+  const describeNames = (names) => `${names.slice(0, 3).join(', ')}${names.length > 3 ? ', ...' : ''}`;
+  let labelSource = groups.length > 0 ? OBJ_LABEL_SOURCES.GROUP : OBJ_LABEL_SOURCES.MATERIAL;
+
+  return new Promise(resolve => {
+    Modal.confirm({
+      title: 'Create labels from OBJ names?',
+      width: 520,
+      content: (
+        <Radio.Group defaultValue={labelSource} onChange={(e) => { labelSource = e.target.value; }} style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+          <Radio value={OBJ_LABEL_SOURCES.GROUP} disabled={groups.length === 0}>
+            {`Groups (g / o): ${groups.length} ${groups.length === 1 ? 'name' : 'names'}${groups.length > 0 ? ` (${describeNames(groups)})` : ''}`}
+          </Radio>
+          <Radio value={OBJ_LABEL_SOURCES.MATERIAL} disabled={materials.length === 0}>
+            {`Materials (usemtl): ${materials.length} ${materials.length === 1 ? 'name' : 'names'}${materials.length > 0 ? ` (${describeNames(materials)})` : ''}`}
+          </Radio>
+        </Radio.Group>
+      ),
+      okText: 'Create labels',
+      cancelText: 'No labels',
+      onOk: () => resolve(labelSource),
+      onCancel: () => resolve(OBJ_LABEL_SOURCES.NONE),
+    });
+  });
+};
 
-const FileUploadOverlay = () => {
+/**
+ * Drop zone for 3D files. Every model file dropped together is loaded as its own layer.
+ * @param {object} props
+ * @param {boolean} [props.appendLayers=false] - Add the dropped files as layers to the loaded session (compact
+ * drop zone in the sidebar) instead of starting one (full-screen overlay, hidden once a model is loaded)
+ */
+const FileUploadOverlay = ({ appendLayers = false }) => {
   const { state, dispatch } = useAnnotation();
-  const { points } = state;
+  const { points, faceLabelPolicy } = state;
+  // Number of points loaded so far in this drop: the first file starts the session, the others become layers
+  // whose point indices follow the points already loaded
+  const loadedPointCountRef = useRef(0);
+  // Labels of the session as last rendered, compared with the definitions of further layers
+  const labelsRef = useRef(state.labels);
+  labelsRef.current = state.labels;
 
   /**
-   * Core processing function: parse 3D file data, update state, and display messages
-   * @param {ArrayBuffer} fileContent - ArrayBuffer content of 3D file
+   * With the 'refuse' face label policy, rejects files whose faceLabels do not match their meshes
+   * @param {Object} fileData - Parse result, possibly with `faceLabelReport`
+   * @returns {boolean} Whether the file must not be loaded
+   */
+  const isRefusedByFaceLabelPolicy = useCallback((fileData) => {
+    if (faceLabelPolicy !== FACE_LABEL_POLICIES.REFUSE || !fileData.faceLabelReport) return false;
+    const invalidMeshes = fileData.faceLabelReport.meshes.filter(hasStructuralIssues);
+    if (invalidMeshes.length === 0) return false;
+
+    const [first] = invalidMeshes;
+    message.error(
+      `File refused: face labels of ${invalidMeshes.length} meshes do not match their geometry ` +
+      `(e.g. ${first.meshName}: ${describeFaceLabelIssues(first).join(', ')}). ` +
+      'Switch the face label policy to "Truncate / pad" in Data Overview to load it anyway.',
+      8
+    );
+    return true;
+  }, [faceLabelPolicy]);
+
+  /**
+   * Load parsed file data into the store: update state, create labels and display messages
+   * @param {Object} fileData - Parse result in LOAD_FILE_DATA shape
    * @param {string} fileName - Name of the file
    * @param {Map<string, ArrayBuffer|string>} materialMap - Mapping of material files
    * @param {string} sourceName - Data source name (e.g., a.zip or b.ply)
    */
-  const processAndLoad3DFile = useCallback(async (fileContent, fileName, materialMap, sourceName) => {
-    try {
-      let fileData;
-      
-      // Choose appropriate parser based on file type
-      if (isGLBFile(fileName) || isGLTFFile(fileName)) {
-        fileData = await parseGLB(fileContent, fileName);
-      } else {
-        // Default to PLY parser
-        fileData = parsePLY(fileContent, materialMap);
-      }
-
-      // 1. Update file data and name to global state
-      dispatch({ type: 'LOAD_FILE_DATA', payload: fileData });
+  const loadParsedFileData = useCallback((fileData, fileName, materialMap, sourceName) => {
+    // 1. Update file data and name to global state, or add the file as another layer
+    const pointOffset = loadedPointCountRef.current;
+    if (pointOffset > 0) {
+      dispatch({ type: 'ADD_LAYER', payload: { ...fileData, fileName } });
+    } else {
+      dispatch({ type: 'LOAD_FILE_DATA', payload: { ...fileData, fileName } });
       dispatch({ type: 'SET_FILE_NAME', payload: fileName });
+    }
+    loadedPointCountRef.current += fileData.points.length;
+
+    // Labels stored apart from the points (SemanticKITTI .label) go through the regular point labeling path
+    if (fileData.labelAssignments) {
+      fileData.labelAssignments.forEach((pointIndices, labelId) => {
+        const layerIndices = pointOffset > 0 ? pointIndices.map(index => index + pointOffset) : pointIndices;
+        dispatch({ type: 'APPLY_LABELS', skipHistory: true, payload: { pointIndices: layerIndices, labelId } });
+      });
+    }
 
-      // 2. Automatically create labels based on file information
-      const { labelInfo, labelDefinitions } = fileData;
-      if (labelInfo || labelDefinitions) {
-        const existingLabelIds = new Set();
-        let colorIndex = 0; // Used for assigning colors in sequence
+    // 2. Automatically create labels based on file information
+    const { labelInfo, labelDefinitions } = fileData;
+    const fileLabels = [...(fileData.labels || [])];
+    const addFileLabel = (label) => {
+      dispatch({ type: 'ADD_LABEL', skipHistory: true, payload: label }); // Labels defined by the file are not an undoable edit
+      fileLabels.push(label);
+    };
+    if (labelInfo || labelDefinitions) {
+      // A further layer shares the session's labels: IDs defined already keep their definition (conflicting ones were
+      // remapped or kept in resolveLayerLabelConflicts) and need no default name
+      const existingLabelIds = new Set(pointOffset > 0 ? labelsRef.current.map(label => label.id) : []);
+      let colorIndex = 0; // Used for assigning colors in sequence
+      
+      // First process labels explicitly defined in header
+      if (labelDefinitions) {
         
-        // First process labels explicitly defined in header
-        if (labelDefinitions && Array.isArray(labelDefinitions)) {
+        // 1. Sort object array based on actual label.id (PLY definitions come as an {id: name} object)
+        const sortedLabels = normalizeLabelDefinitions(labelDefinitions).sort((a, b) => a.id - b.id);
+
+        // 2. Iterate through each label object in array
+        sortedLabels.forEach(label => {
+          // 3. Get actual id and name from label object
+          const id = label.id;
+          const name = label.name || `Label ${id}`; // Provide default if no name
+
+          if (id > 0 && !existingLabelIds.has(id)) { // Ignore special IDs like 0 (unlabeled) and -1 (uncategorized)
+            addFileLabel({
+              id: id,
+              name: name,
+              // 4. Prioritize colors from file, otherwise assign in sequence
+              color: label.color || getDefaultColorByIndex(colorIndex),
+              visible: label.visible !== undefined ? label.visible : true
+            });
+            existingLabelIds.add(id);
+            colorIndex++;
+          }
+        });
+      }
+      
+      // Then process labels that exist in data but are not defined in header
+      if (labelInfo) {
+          const pointLabelKeys = labelInfo.labelStats ? Object.keys(labelInfo.labelStats) : [];
+          const faceLabelKeys = labelInfo.faceLabelStats ? Object.keys(labelInfo.faceLabelStats) : [];
+          const allLabelIdsInData = new Set([...pointLabelKeys, ...faceLabelKeys]);
           
-          // 1. Sort object array based on actual label.id
-          const sortedLabels = labelDefinitions.sort((a, b) => a.id - b.id);
-
-          // 2. Iterate through each label object in array
-          sortedLabels.forEach(label => {
-            // 3. Get actual id and name from label object
-            const id = label.id;
-            const name = label.name || `Label ${id}`; // Provide default if no name
-
-            if (id > 0) { // Ignore special IDs like 0 (unlabeled) and -1 (uncategorized)
-              dispatch({
-                type: 'ADD_LABEL',
-                payload: {
-                  id: id,
-                  name: name,
-                  // 4. Prioritize colors from file, otherwise assign in sequence
-                  color: label.color || getDefaultColorByIndex(colorIndex),
-                  visible: label.visible !== undefined ? label.visible : true
-                }
-              });
-              existingLabelIds.add(id);
-              colorIndex++;
-            }
+          // Sort by label ID to ensure consistent color assignment
+          const sortedLabelIds = Array.from(allLabelIdsInData).sort((a, b) => parseInt(a) - parseInt(b));
+
+          sortedLabelIds.forEach(labelIdStr => {
+              const id = parseInt(labelIdStr, 10);
+              if (!isNaN(id) && id > 0 && !existingLabelIds.has(id)) {
+                  addFileLabel({ id, name: `Label ${id}`, color: getDefaultColorByIndex(colorIndex), visible: true });
+                  colorIndex++;
+              }
           });
-        }
-        
-        // Then process labels that exist in data but are not defined in header
-        if (labelInfo) {
-            const pointLabelKeys = labelInfo.labelStats ? Object.keys(labelInfo.labelStats) : [];
-            const faceLabelKeys = labelInfo.faceLabelStats ? Object.keys(labelInfo.faceLabelStats) : [];
-            const allLabelIdsInData = new Set([...pointLabelKeys, ...faceLabelKeys]);
-            
-            // Sort by label ID to ensure consistent color assignment
-            const sortedLabelIds = Array.from(allLabelIdsInData).sort((a, b) => parseInt(a) - parseInt(b));
-
-            sortedLabelIds.forEach(labelIdStr => {
-                const id = parseInt(labelIdStr, 10);
-                if (!isNaN(id) && id > 0 && !existingLabelIds.has(id)) {
-                    dispatch({
-                        type: 'ADD_LABEL',
-                        payload: { id, name: `Label ${id}`, color: getDefaultColorByIndex(colorIndex), visible: true }
-                    });
-                    colorIndex++;
-                }
-            });
-        }
       }
+    }
 
-      // 3. Build and display success summary
-      let successMessage = `Successfully loaded ${fileData.points.length} points from ${sourceName}`;
-      if (fileData.faces?.length > 0) {
-        successMessage += ` and ${fileData.faces.length} faces`;
-      }
-      if (materialMap.size > 0) {
-        successMessage += `, and linked ${materialMap.size} material files`;
-      }
-      message.success(successMessage);
+    // The next file of this drop may be compared with these labels before the store has re-rendered
+    const knownLabels = pointOffset > 0 ? labelsRef.current : [];
+    const knownLabelIds = new Set(knownLabels.map(label => label.id));
+    labelsRef.current = [...knownLabels];
+    fileLabels.forEach(label => {
+      if (knownLabelIds.has(label.id)) return;
+      knownLabelIds.add(label.id);
+      labelsRef.current.push(label);
+    });
+
+    // 3. Build and display success summary
+    let successMessage = `Successfully loaded ${fileData.points.length} points from ${sourceName}${pointOffset > 0 ? ' as a new layer' : ''}`;
+    if (fileData.faces?.length > 0) {
+      successMessage += ` and ${fileData.faces.length} faces`;
+    }
+    if (materialMap.size > 0) {
+      successMessage += `, and linked ${materialMap.size} material files`;
+    }
+    message.success(successMessage);
+
+    if (labelInfo?.labeledCount > 0) {
+      const uniqueLabelCount = Object.keys(labelInfo.labelStats).filter(id => id !== '0').length;
+      message.info(`File contains ${labelInfo.labeledCount} pre-labeled points, with ${uniqueLabelCount} label types`);
+    }
 
-      if (labelInfo?.labeledCount > 0) {
-        const uniqueLabelCount = Object.keys(labelInfo.labelStats).filter(id => id !== '0').length;
-        message.info(`File contains ${labelInfo.labeledCount} pre-labeled points, with ${uniqueLabelCount} label types`);
+    if (fileData.faceLabelReport?.issueCount > 0) {
+      message.warning(`Face labels of ${fileData.faceLabelReport.issueCount} meshes have problems, see the report in Data Overview`);
+    }
+  }, [dispatch]);
+
+  /**
+   * Core processing function: parse 3D file data, then load it
+   * @param {ArrayBuffer} fileContent - ArrayBuffer content of 3D file
+   * @param {string} fileName - Name of the file
+   * @param {Map<string, ArrayBuffer|string>} materialMap - Mapping of material files
+   * @param {string} sourceName - Data source name (e.g., a.zip or b.ply)
+   * @param {Object} [resourceOptions] - `readFile` / `resourcePath` for the external buffers and textures of a .gltf
+   */
+  const processAndLoad3DFile = useCallback(async (fileContent, fileName, materialMap, sourceName, resourceOptions = {}) => {
+    try {
+      // The parser is chosen by file name; PLY files are parsed in a worker
+      let fileData = await parseFile(fileContent, fileName, {
+        ...resourceOptions,
+        materialMap,
+        chooseOBJLabelSource,
+        plyParser: parsePLYInWorker,
+        onProgress: (loaded, total) => {
+          message.loading({ content: `Parsing ${fileName} ${Math.round((loaded / total) * 100)}%...`, key: 'processing' });
+        },
+      });
+      if (fileData.missingResources) {
+        message.warning(`Textures not found, loaded without them: ${fileData.missingResources.join(', ')}`);
       }
 
+      if (isRefusedByFaceLabelPolicy(fileData)) return;
+      fileData = await resolveLabelConflicts(fileData);
+      if (loadedPointCountRef.current > 0) fileData = await resolveLayerLabelConflicts(fileData, labelsRef.current);
+      loadParsedFileData(fileData, fileName, materialMap, sourceName);
     } catch (error) {
       console.error('Error processing 3D file:', error);
-      message.error('Failed to parse 3D file, please check file format or content.');
+      message.error(`Failed to parse 3D file, please check file format or content. ${error.message || ''}`);
     }
-  }, [dispatch]);
+  }, [loadParsedFileData, isRefusedByFaceLabelPolicy]);
+
+  /**
+   * Load a 3D Tiles tileset: all leaf tiles are merged into one model
+   * @param {string} tilesetPath - Path of the root tileset.json
+   * @param {(path: string) => Promise<ArrayBuffer|null>} readFile - Reads a file of the dropped folder or zip
+   * @param {string} sourceName - Data source name (e.g., a.zip or the folder name)
+   */
+  const processAndLoadTileset = useCallback(async (tilesetPath, readFile, sourceName) => {
+    try {
+      const parsedData = await parseTileset(tilesetPath, readFile, {
+        onProgress: (loaded, total) => {
+          message.loading({ content: `Loading tiles ${loaded}/${total}...`, key: 'processing' });
+        },
+      });
+
+      if (isRefusedByFaceLabelPolicy(parsedData)) return;
+      let fileData = await resolveLabelConflicts(parsedData);
+      if (loadedPointCountRef.current > 0) fileData = await resolveLayerLabelConflicts(fileData, labelsRef.current);
+      loadParsedFileData(fileData, tilesetPath, new Map(), sourceName);
+
+      const { contentCount, skippedContents } = fileData.tileset;
+      message.info(`Merged ${contentCount} tiles from ${tilesetPath}`);
+      if (skippedContents.length > 0) {
+        message.warning(`Skipped ${skippedContents.length} tiles with missing or unsupported content (e.g. ${skippedContents[0]})`);
+      }
+    } catch (error) {
+      console.error('Error processing tileset:', error);
+      message.error(error.message || 'Failed to load tileset, please check tileset.json and its tiles.');
+    }
+  }, [loadParsedFileData, isRefusedByFaceLabelPolicy]);
 
   /**
    * Process files from zip package
@@ -121,32 +359,59 @@ const FileUploadOverlay = () => {
     try {
       const zip = new JSZip();
       const zipContent = await zip.loadAsync(zipFile);
+
+      // A zip containing tileset.json is loaded as a whole 3D Tiles tileset
+      const tilesetPath = findRootTilesetPath(Object.keys(zipContent.files));
+      const entries = new Map();
+      Object.values(zipContent.files).forEach(file => {
+        if (!file.dir) entries.set(normalizePath(file.name), file);
+      });
+      if (tilesetPath) {
+        const readFile = async (path) => entries.get(path)?.async('arraybuffer') ?? null;
+        await processAndLoadTileset(tilesetPath, readFile, zipFile.name);
+        return;
+      }
       
       const modelFiles = [];
+      const scanFiles = [];
       const materialMap = new Map();
 
       for (const [filename, file] of Object.entries(zipContent.files)) {
         if (file.dir) continue;
 
         const lowerName = filename.toLowerCase();
-        if (lowerName.endsWith('.ply') || lowerName.endsWith('.glb') || lowerName.endsWith('.gltf')) {
+        if (/\.(ply|glb|gltf|b3dm|i3dm|obj|las|laz|pcd)$/.test(lowerName)) {
           const content = await file.async('arraybuffer');
           modelFiles.push({ name: filename, content });
-        } else if (/\.(jpg|jpeg|png|bmp|tga|mtl)$/i.test(lowerName)) {
+        } else if (isKITTIScanFile(lowerName)) {
+          scanFiles.push(filename);
+        } else if (/\.(jpg|jpeg|png|bmp|tga|mtl|label)$/i.test(lowerName)) {
            const content = await file.async(lowerName.endsWith('.mtl') ? 'string' : 'arraybuffer');
            materialMap.set(filename, content);
         }
       }
 
+      // .bin is also the buffer of a glTF, it is a SemanticKITTI scan only when there is no other 3D file
+      if (modelFiles.length === 0) {
+        for (const filename of scanFiles) {
+          modelFiles.push({ name: filename, content: await zipContent.files[filename].async('arraybuffer') });
+        }
+      }
+
       if (modelFiles.length === 0) {
-        throw new message.error('No supported 3D files found in zip package (PLY, GLB, GLTF)');
+        throw new message.error('No supported 3D files found in zip package (PLY, GLB, GLTF, B3DM, I3DM, OBJ, LAS, LAZ, PCD, SemanticKITTI BIN)');
       }
       if (modelFiles.length > 1) {
-        message.warning(`Detected ${modelFiles.length} 3D files, will use the first: ${modelFiles[0].name}`);
+        message.info(`Detected ${modelFiles.length} 3D files, each is loaded as a layer`);
+      }
+
+      const readFile = createFileReader(entries, file => file.async('arraybuffer'));
+      for (const modelFile of modelFiles) {
+        await processAndLoad3DFile(modelFile.content, modelFile.name, materialMap, zipFile.name, {
+          readFile,
+          resourcePath: modelFile.name,
+        });
       }
-      
-      const mainFile = modelFiles[0];
-      await processAndLoad3DFile(mainFile.content, mainFile.name, materialMap, zipFile.name);
 
     } catch (error) {
       console.error('Error processing compressed file:', error);
@@ -154,7 +419,7 @@ const FileUploadOverlay = () => {
     } finally {
       message.destroy('processing');
     }
-  }, [processAndLoad3DFile]);
+  }, [processAndLoad3DFile, processAndLoadTileset]);
 
   /**
    * Process individual files dropped directly
@@ -162,22 +427,37 @@ const FileUploadOverlay = () => {
   const handleIndividualFiles = useCallback(async (files) => {
     message.loading({ content: 'Reading file...', key: 'processing' });
 
-    const modelFiles = files.filter(f => {
+    // A dropped folder containing tileset.json is loaded as a whole 3D Tiles tileset.
+    // react-dropzone keeps the relative path of files dropped within a folder in `file.path`.
+    const tilesetPath = findRootTilesetPath(files.map(f => f.path || f.name));
+    if (tilesetPath) {
+      const entries = new Map(files.map(f => [normalizePath(f.path || f.name), f]));
+      const readFile = async (path) => entries.get(path)?.arrayBuffer() ?? null;
+      try {
+        await processAndLoadTileset(tilesetPath, readFile, tilesetPath.split('/')[0]);
+      } finally {
+        message.destroy('processing');
+      }
+      return;
+    }
+
+    let modelFiles = files.filter(f => {
       const name = f.name.toLowerCase();
-      return name.endsWith('.ply') || name.endsWith('.glb') || name.endsWith('.gltf');
+      return /\.(ply|glb|gltf|b3dm|i3dm|obj|las|laz|pcd)$/.test(name);
     });
-    const materialFiles = files.filter(f => /\.(jpg|jpeg|png|bmp|tga|mtl)$/i.test(f.name));
+    // .bin is also the buffer of a glTF, it is a SemanticKITTI scan only when there is no other 3D file
+    if (modelFiles.length === 0) modelFiles = files.filter(f => isKITTIScanFile(f.name));
+    const materialFiles = files.filter(f => /\.(jpg|jpeg|png|bmp|tga|mtl|label)$/i.test(f.name));
 
     if (modelFiles.length === 0) {
-        message.error('No supported 3D file found, please select PLY, GLB, or GLTF file.');
+        message.error('No supported 3D file found, please select PLY, GLB, GLTF, B3DM, I3DM, OBJ, LAS, LAZ, PCD or SemanticKITTI .bin (+ .label) file.');
         message.destroy('processing');
         return;
     }
-     if (modelFiles.length > 1) {
-        message.warning(`Detected ${modelFiles.length} 3D files, will use the first: ${modelFiles[0].name}`);
+    if (modelFiles.length > 1) {
+        message.info(`Detected ${modelFiles.length} 3D files, each is loaded as a layer`);
     }
 
-    const mainModelFile = modelFiles[0];
     const materialMap = new Map();
 
     try {
@@ -197,11 +477,15 @@ const FileUploadOverlay = () => {
             });
         }));
 
-        // Read main 3D file
-        const fileContent = await mainModelFile.arrayBuffer();
-
-        // Call core processing function
-        await processAndLoad3DFile(fileContent, mainModelFile.name, materialMap, mainModelFile.name);
+        // Read and load the 3D files one after the other
+        const readFile = createFileReader(new Map(files.map(f => [normalizePath(f.path || f.name), f])), file => file.arrayBuffer());
+        for (const modelFile of modelFiles) {
+          const fileContent = await modelFile.arrayBuffer();
+          await processAndLoad3DFile(fileContent, modelFile.name, materialMap, modelFile.name, {
+            readFile,
+            resourcePath: modelFile.path || modelFile.name,
+          });
+        }
 
     } catch(error) {
         console.error("Failed to read file:", error);
@@ -210,13 +494,14 @@ const FileUploadOverlay = () => {
         message.destroy('processing');
     }
 
-  }, [processAndLoad3DFile]);
+  }, [processAndLoad3DFile, processAndLoadTileset]);
 
   /**
    * Dropzone's onDrop callback
    */
   const onDrop = useCallback((acceptedFiles) => {
     if (!acceptedFiles?.length) return;
+    loadedPointCountRef.current = appendLayers ? points.length : 0;
 
     const compressedFiles = acceptedFiles.filter(f => /\.(zip|rar|7z)$/i.test(f.name));
 
@@ -233,19 +518,22 @@ const FileUploadOverlay = () => {
     } else {
       handleIndividualFiles(acceptedFiles);
     }
-  }, [handleCompressedFiles, handleIndividualFiles]);
+  }, [handleCompressedFiles, handleIndividualFiles, appendLayers, points.length]);
 
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'text/plain': ['.ply', '.mtl'],
-      'application/octet-stream': ['.ply', '.glb'],
+      'text/plain': ['.ply', '.mtl', '.obj', '.pcd'],
+      'model/obj': ['.obj'],
+      'application/octet-stream': ['.ply', '.glb', '.b3dm', '.i3dm', '.las', '.laz', '.pcd', '.bin', '.label'],
       'model/gltf-binary': ['.glb'],
       'model/gltf+json': ['.gltf'],
-      'application/json': ['.gltf'],
+      'application/json': ['.gltf', '.json'], // .json: 3D Tiles tileset
       'image/jpeg': ['.jpg', '.jpeg'],
       'image/png': ['.png'],
+      'image/webp': ['.webp'],
+      'image/ktx2': ['.ktx2'],
       'image/bmp': ['.bmp'],
       'image/targa': ['.tga'],
       'application/zip': ['.zip'],
@@ -254,9 +542,26 @@ const FileUploadOverlay = () => {
       // 'application/x-7z-compressed': ['.7z'],
     },
     multiple: true,
-    disabled: points.length > 0,
+    disabled: !appendLayers && points.length > 0,
   });
 
+  if (appendLayers) {
+    return (
+      <div
+        {...getRootProps()}
+        style={{
+          padding: '8px', textAlign: 'center', cursor: 'pointer', borderRadius: '6px',
+          border: isDragActive ? '1px dashed #1890ff' : '1px dashed #d9d9d9',
+          background: isDragActive ? 'rgba(0, 100, 255, 0.05)' : 'transparent',
+          color: '#666', fontSize: '12px',
+        }}
+      >
+        <input {...getInputProps()} />
+        {isDragActive ? 'Drop files to add layers' : 'Drag files here or click to add layers'}
+      </div>
+    );
+  }
+
   // 如果已经加载了点云数据，则不再显示上传区域
   if (points.length > 0) {
     return null;
@@ -281,7 +586,7 @@ const FileUploadOverlay = () => {
         </h2>
         <p>or click to select files</p>
         <p style={{ fontSize: '14px', marginTop: '10px' }}>
-          Supported formats: PLY, GLB, GLTF
+          Supported formats: PLY, GLB, GLTF, B3DM, I3DM, OBJ (+ MTL), LAS / LAZ, PCD, SemanticKITTI (.bin + .label), 3D Tiles (folder or zip with tileset.json)
         </p>
       </div>
     </div>
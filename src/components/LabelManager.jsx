@@ -115,8 +115,13 @@ const LabelManager = () => {
     }
   }, [dispatch, activeLabel]); // dependencies are dispatch and activeLabel
 
+  // Clicking a label makes it the active label for the selection tools, clicking it again deactivates it
+  const handleActivate = useCallback((labelId) => {
+    dispatch({ type: 'SET_ACTIVE_LABEL', payload: activeLabel === labelId ? null : labelId });
+  }, [dispatch, activeLabel]);
+
   const toggleVisibility = useCallback((label) => {
-    dispatch({ type: 'UPDATE_LABEL', payload: { ...label, visible: !label.visible } });
+    dispatch({ type: 'TOGGLE_LABEL_VISIBILITY', payload: label.id });
   }, [dispatch]); // dependencies are dispatch
 
   return (
@@ -134,6 +139,7 @@ const LabelManager = () => {
             // --- Optimization 5: Add required key property for list items ---
             <List.Item
               key={label.id}
+              style={label.id === activeLabel ? { background: 'rgba(24, 144, 255, 0.08)' } : undefined}
               actions={[
                 <Button
                   type="text"
@@ -160,6 +166,8 @@ const LabelManager = () => {
               ]}
             >
               <List.Item.Meta
+                onClick={() => handleActivate(label.id)}
+                style={{ cursor: 'pointer' }}
                 avatar={
                   <div
                     style={{
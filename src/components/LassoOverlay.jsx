@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Minimum distance in pixels between two recorded lasso vertices, keeps the polygon small on long drags
+const MIN_SEGMENT_LENGTH = 4;
+
+/**
+ * Resolves how a lasso stroke combines with the current selection from the modifier keys held when it started.
+ * Shift adds to the selection, Ctrl/Alt subtracts from it, no modifier replaces it.
+ * @param {PointerEvent} event
+ * @returns {'replace' | 'add' | 'subtract'}
+ */
+const getSelectionOperation = (event) => {
+  if (event.shiftKey) return 'add';
+  if (event.ctrlKey || event.altKey) return 'subtract';
+  return 'replace';
+};
+
+/**
+ * Screen-space lasso overlay. Listens to right-button drags on the target element (the right mouse button
+ * is left free by OrbitControls), draws the lasso path as an SVG polygon, and reports the closed polygon
+ * in pixels relative to the target element when the button is released.
+ * @param {object} props
+ * @param {React.RefObject<HTMLElement>} props.targetRef - Element that receives pointer events, normally the viewport container
+ * @param {boolean} props.enabled - Whether lasso drawing is active
+ * @param {Function} props.onComplete - Called with (polygon, operation, { width, height }) when a lasso is closed
+ */
+const LassoOverlay = ({ targetRef, enabled, onComplete }) => {
+  const [path, setPath] = useState([]);
+  const pathRef = useRef([]);
+  const operationRef = useRef('replace');
+
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!enabled || !target) return;
+
+    const toLocal = (event) => {
+      const rect = target.getBoundingClientRect();
+      return [event.clientX - rect.left, event.clientY - rect.top];
+    };
+
+    const handlePointerDown = (event) => {
+      if (event.button !== 2) return;
+      operationRef.current = getSelectionOperation(event);
+      pathRef.current = [toLocal(event)];
+      setPath(pathRef.current);
+      target.setPointerCapture(event.pointerId);
+    };
+
+    const handlePointerMove = (event) => {
+      if (pathRef.current.length === 0) return;
+      const point = toLocal(event);
+      const last = pathRef.current[pathRef.current.length - 1];
+      if (Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_SEGMENT_LENGTH) return;
+      pathRef.current = [...pathRef.current, point];
+      setPath(pathRef.current);
+    };
+
+    const handlePointerUp = (event) => {
+      if (event.button !== 2 || pathRef.current.length === 0) return;
+      const polygon = pathRef.current;
+      pathRef.current = [];
+      setPath([]);
+      if (target.hasPointerCapture(event.pointerId)) {
+        target.releasePointerCapture(event.pointerId);
+      }
+      if (polygon.length >= 3) {
+        const rect = target.getBoundingClientRect();
+        onComplete(polygon, operationRef.current, { width: rect.width, height: rect.height });
+      }
+    };
+
+    // The browser context menu would otherwise open on every right-button release
+    const handleContextMenu = (event) => event.preventDefault();
+
+    target.addEventListener('pointerdown', handlePointerDown);
+    target.addEventListener('pointermove', handlePointerMove);
+    target.addEventListener('pointerup', handlePointerUp);
+    target.addEventListener('contextmenu', handleContextMenu);
+    return () => {
+      target.removeEventListener('pointerdown', handlePointerDown);
+      target.removeEventListener('pointermove', handlePointerMove);
+      target.removeEventListener('pointerup', handlePointerUp);
+      target.removeEventListener('contextmenu', handleContextMenu);
+      pathRef.current = [];
+      setPath([]);
+    };
+  }, [enabled, targetRef, onComplete]);
+
+  if (path.length < 2) return null;
+
+  return (
+    <svg
+      style={{
+        position: 'absolute', top: 0, left: 0, width: '100%', height: '100%',
+        pointerEvents: 'none', zIndex: 5,
+      }}
+    >
+      <polygon
+        points={path.map(([x, y]) => `${x},${y}`).join(' ')}
+        fill="rgba(24, 144, 255, 0.1)"
+        stroke="#1890ff"
+        strokeWidth={1.5}
+        strokeDasharray="6 4"
+      />
+    </svg>
+  );
+};
+
+export default LassoOverlay;
@@ -0,0 +1,98 @@
+import React, { useCallback, useMemo } from 'react';
+import { Card, Button, List, InputNumber, Space, Typography } from 'antd';
+import { EyeOutlined, EyeInvisibleOutlined } from '@ant-design/icons';
+import { useAnnotation } from '../store/annotationStore';
+import FileUploadOverlay from './FileUploadOverlay';
+
+const { Text } = Typography;
+
+const AXES = ['X', 'Y', 'Z'];
+
+// Labeled points and faces of a layer, counted within its ranges of the shared arrays
+const countLabeled = (items, start, count) => {
+  let labeled = 0;
+  for (let i = start; i < start + count; i++) {
+    const labelId = items[i]?.labelId;
+    if (labelId && labelId > 0) labeled++;
+  }
+  return labeled;
+};
+
+/**
+ * Layers of the session: one per loaded file, with its visibility and offset.
+ * Further files dropped here are added as layers sharing the label list.
+ */
+const LayerManager = () => {
+  const { state, dispatch } = useAnnotation();
+  const { layers, points, faces } = state;
+
+  const layerStats = useMemo(() => new Map(layers.map(layer => [layer.id, {
+    labeledPoints: countLabeled(points, layer.pointStart, layer.pointCount),
+    labeledFaces: countLabeled(faces, layer.faceStart, layer.faceCount),
+  }])), [layers, points, faces]);
+
+  const toggleVisibility = useCallback((layer) => {
+    dispatch({ type: 'SET_LAYER_VISIBILITY', payload: { id: layer.id, visible: !layer.visible } });
+  }, [dispatch]);
+
+  const handleOffsetChange = useCallback((layer, axis, value) => {
+    if (value === null || !Number.isFinite(value)) return;
+    const offset = layer.offset.map((current, i) => (i === axis ? value : current));
+    dispatch({ type: 'SET_LAYER_OFFSET', payload: { id: layer.id, offset } });
+  }, [dispatch]);
+
+  if (points.length === 0) return null;
+
+  return (
+    <Card title="Layers" size="small" variant="borderless">
+      <List
+        size="small"
+        itemLayout="vertical"
+        dataSource={layers}
+        renderItem={(layer) => {
+          const stats = layerStats.get(layer.id);
+          return (
+            <List.Item key={layer.id} style={{ padding: '6px 0' }}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+                <Text ellipsis style={{ opacity: layer.visible ? 1 : 0.5, flex: 1 }} title={layer.name}>{layer.name}</Text>
+                {layers.length > 1 && (
+                  <Button
+                    type="text"
+                    icon={layer.visible ? <EyeOutlined /> : <EyeInvisibleOutlined style={{ color: '#aaa' }} />}
+                    onClick={() => toggleVisibility(layer)}
+                    size="small"
+                    aria-label={layer.visible ? 'Hide layer' : 'Show layer'}
+                  />
+                )}
+              </div>
+              <Text type="secondary" style={{ fontSize: '12px', opacity: layer.visible ? 1 : 0.5 }}>
+                {layer.hasMesh
+                  ? `${layer.faceCount} faces, ${stats.labeledFaces} labeled`
+                  : `${layer.pointCount} points, ${stats.labeledPoints} labeled`}
+              </Text>
+              {/* Offsets move a layer relative to the others; they are not written on export */}
+              {layers.length > 1 && (
+                <Space size={4} style={{ marginTop: 4 }}>
+                  {AXES.map((axisName, axis) => (
+                    <InputNumber
+                      key={axisName}
+                      size="small"
+                      step={0.1}
+                      prefix={<Text type="secondary" style={{ fontSize: '11px' }}>{axisName}</Text>}
+                      value={layer.offset[axis]}
+                      onChange={(value) => handleOffsetChange(layer, axis, value)}
+                      style={{ width: 82 }}
+                    />
+                  ))}
+                </Space>
+              )}
+            </List.Item>
+          );
+        }}
+      />
+      <FileUploadOverlay appendLayers />
+    </Card>
+  );
+};
+
+export default LayerManager;
@@ -1,9 +1,14 @@
 // ModelViewer.jsx
 
-import React, { useMemo, useEffect, useCallback } from 'react';
+import React, { useMemo, useEffect, useCallback, useRef } from 'react';
 import * as THREE from 'three';
 import { useAnnotation } from '../store/annotationStore';
 import { useProcessedGeometries } from '../hooks/useProcessedGeometries';
+import { useFacePicking } from '../hooks/useFacePicking';
+import { useBrushPainting } from '../hooks/useBrushPainting';
+import { useMagicWand } from '../hooks/useMagicWand';
+import { buildLayerScene, getHiddenPointMask } from '../utils/layerUtils';
+import AnnotationBox from './AnnotationBox';
 
 /**
  * Label View Component - Dedicated to rendering content in label mode
@@ -12,6 +17,7 @@ const LabelView = React.memo(({
   pointCloudGeometry, 
   labelMeshGeometry, 
   highlightGeometry,
+  meshHandlers,
 }) => {
   // Fetch required state directly from the store
   const { state } = useAnnotation();
@@ -61,7 +67,7 @@ const LabelView = React.memo(({
 
       {hasMesh && isMeshVisible && labelMeshGeometry && (
         <>
-          <mesh geometry={labelMeshGeometry}>
+          <mesh geometry={labelMeshGeometry} {...meshHandlers}>
             <meshStandardMaterial
               vertexColors
               side={THREE.DoubleSide}
@@ -107,6 +113,9 @@ const DefaultView = React.memo(({
   pointCloudGeometry, 
   fallbackMeshGeometry, 
   highlightGeometry,
+  originalScene,
+  sceneHandlers,
+  meshHandlers,
 }) => {
   // Fetch required state directly from the store
   const { state } = useAnnotation();
@@ -118,7 +127,6 @@ const DefaultView = React.memo(({
     hasMesh,
     activeLabel,
     showWireframe,
-    originalScene,
     labels, // for labelMap
     materials,
     fileHeader
@@ -155,12 +163,12 @@ const DefaultView = React.memo(({
       {isMeshVisible && (
         originalScene ? (
           <group position={scenePosition}>
-            <primitive object={originalScene} />
+            <primitive object={originalScene} {...sceneHandlers} />
           </group>
         ) : (
           hasMesh && fallbackMeshGeometry && (
             <>
-              <mesh geometry={fallbackMeshGeometry}>
+              <mesh geometry={fallbackMeshGeometry} {...meshHandlers}>
                 <meshStandardMaterial
                   map={defaultMaterial?.map || null}
                   vertexColors={!defaultMaterial?.map}
@@ -169,6 +177,7 @@ const DefaultView = React.memo(({
                   opacity={meshOpacity}
                   roughness={0.6}
                   metalness={0.0}
+                  alphaTest={0.01}
                 />
               </mesh>
               {showWireframe && (
@@ -220,17 +229,43 @@ const DefaultView = React.memo(({
  * ModelViewer - Unified 3D model renderer
  * Supports rendering of point clouds, PLY meshes, GLB scenes and other formats
  * Intelligently switches rendering strategies based on viewMode
+ * `rootRef` receives the group the centered geometry lives in, so selection tools can project into screen space
  */
-const ModelViewer = React.memo(({ points, viewMode, labels }) => {
+const ModelViewer = React.memo(({ points, viewMode, labels, rootRef }) => {
   const { state, dispatch } = useAnnotation();
   
   const { 
     pointCloudRotation, 
-    originalScene,
+    originalScene: fileScene,
     faces,
     interactionMapping,
+    editorMode,
+    annotationBox,
+    boxTransformMode,
+    orientationMode,
+    layers,
   } = state;
 
+  // With several files, the layer scenes are shown as one group per layer (see utils/layerUtils). Grouping moves
+  // every scene into a new parent, so it is done here instead of in the reducer, once per set of layer scenes:
+  // repeated renders and offset or visibility changes (effect below) keep the groups
+  const layerSceneRef = useRef(null);
+  const originalScene = useMemo(() => {
+    if (layers.length < 2) {
+      layerSceneRef.current = null;
+      return fileScene;
+    }
+    const scenes = layers.map(layer => layer.originalScene);
+    const cached = layerSceneRef.current;
+    if (!cached || cached.scenes.length !== scenes.length || cached.scenes.some((scene, i) => scene !== scenes[i])) {
+      layerSceneRef.current = { scenes, root: buildLayerScene(layers) };
+    }
+    return layerSceneRef.current.root;
+  }, [fileScene, layers]);
+
+  // Points of hidden layers are neither drawn nor pickable
+  const hiddenPointMask = useMemo(() => getHiddenPointMask(layers, points.length), [layers, points.length]);
+
   const {
     pointCloudGeometry,
     labelMeshGeometry,
@@ -246,9 +281,49 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
     colorAdjustment: state.colorAdjustment,
     activeLabel: state.activeLabel,
     hasMesh: state.hasMesh,
+    hiddenPointMask,
+    dispatch
+  });
+
+  // Magic wand: grow the clicked face across smooth neighbours
+  const expandWithMagicWand = useMagicWand({
+    faces,
+    points,
+    labels,
+    angleThreshold: state.wandAngleThreshold,
+    hiddenPointMask
+  });
+
+  // Click-to-pick faces, available alongside the selection tools that leave the left click free
+  const { onSceneClick, onLabelMeshClick } = useFacePicking({
+    enabled: state.hasMesh && !orientationMode && ['LASSO_SELECT', 'BOX_SELECT', 'MAGIC_WAND'].includes(editorMode),
+    faces,
+    labels,
+    interactionMapping,
+    selectedFaces: state.selectedFaces,
+    expandFace: editorMode === 'MAGIC_WAND' ? expandWithMagicWand : null,
+    hiddenPointMask,
+    dispatch
+  });
+
+  // Surface paint brush
+  const brushEnabled = state.hasMesh && !orientationMode && editorMode === 'BRUSH_PAINT';
+  const { handlers: brushHandlers, cursorRef: brushCursorRef } = useBrushPainting({
+    enabled: brushEnabled,
+    faces,
+    points,
+    labels,
+    activeLabel: state.activeLabel,
+    brushRadius: state.brushRadius,
+    centerOffset,
+    hiddenPointMask,
+    rootRef,
     dispatch
   });
 
+  const sceneHandlers = { onClick: onSceneClick, ...brushHandlers };
+  const meshHandlers = { onClick: onLabelMeshClick, ...brushHandlers };
+
   // Control original scene transparency
   useEffect(() => {
     if (originalScene && viewMode !== 'labels') {
@@ -265,6 +340,17 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
     }
   }, [state.meshOpacity, originalScene, viewMode]);
 
+  // Offset and visibility of the layer groups in the scene of several files (see utils/layerUtils)
+  useEffect(() => {
+    if (!originalScene) return;
+    originalScene.children.forEach(node => {
+      const layer = layers.find(l => l.id === node.userData.layerId);
+      if (!layer) return;
+      node.position.fromArray(layer.offset);
+      node.visible = layer.visible;
+    });
+  }, [originalScene, layers]);
+
   // --- Optimized Wireframe Control Logic ---
   const WIREFRAME_NAME = 'wireframe'; // Use constant to avoid magic strings
 
@@ -286,6 +372,7 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
         const edges = new THREE.EdgesGeometry(child.geometry);
         const wireframe = new THREE.LineSegments(edges, wireframeMaterial);
         wireframe.name = WIREFRAME_NAME;
+        wireframe.raycast = () => {}; // Picking targets the faces, never the overlay edges
         child.add(wireframe);
       }
     });
@@ -346,6 +433,8 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
       }
 
       const visibleIndices = [];
+      // Local face index of every triangle kept in the filtered index, used to map raycast hits back to faces
+      const visibleFaceIndices = [];
       
       if (geometry.index) {
         let originalIndices = geometry.userData.originalIndex || geometry.index.array;
@@ -358,9 +447,11 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
           if (face?.labelId) {
             if (labelVisibilityMap.get(face.labelId) !== false) {
               visibleIndices.push(originalIndices[i], originalIndices[i + 1], originalIndices[i + 2]);
+              visibleFaceIndices.push(i / 3);
             }
           } else {
             visibleIndices.push(originalIndices[i], originalIndices[i + 1], originalIndices[i + 2]);
+            visibleFaceIndices.push(i / 3);
           }
         }
       } else {
@@ -372,13 +463,17 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
           if (face?.labelId) {
             if (labelVisibilityMap.get(face.labelId) !== false) {
               visibleIndices.push(i, i + 1, i + 2);
+              visibleFaceIndices.push(i / 3);
             }
           } else {
             visibleIndices.push(i, i + 1, i + 2);
+            visibleFaceIndices.push(i / 3);
           }
         }
       }
 
+      geometry.userData.visibleFaceIndices = visibleFaceIndices;
+
       if (visibleIndices.length > 0) {
         geometry.setIndex(visibleIndices);
         child.visible = true;
@@ -394,13 +489,18 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
     updateLabelVisibility();
   }, [updateLabelVisibility]);
 
+  const handleBoxChange = useCallback((box) => {
+    dispatch({ type: 'SET_ANNOTATION_BOX', payload: box });
+  }, [dispatch]);
+
   return (
-    <group rotation={pointCloudRotation}>
+    <group ref={rootRef} rotation={pointCloudRotation}>
       {viewMode === 'labels' ? (
         <LabelView
           pointCloudGeometry={pointCloudGeometry}
           labelMeshGeometry={labelMeshGeometry}
           highlightGeometry={highlightGeometry}
+          meshHandlers={meshHandlers}
         />
       ) : (
         <DefaultView
@@ -408,8 +508,25 @@ const ModelViewer = React.memo(({ points, viewMode, labels }) => {
           pointCloudGeometry={pointCloudGeometry}
           fallbackMeshGeometry={labelMeshGeometry}
           highlightGeometry={highlightGeometry}
+          originalScene={originalScene}
+          sceneHandlers={sceneHandlers}
+          meshHandlers={meshHandlers}
         />
       )}
+      {editorMode === 'BOX_SELECT' && annotationBox && (
+        <AnnotationBox
+          box={annotationBox}
+          centerOffset={centerOffset}
+          transformMode={boxTransformMode}
+          onChange={handleBoxChange}
+        />
+      )}
+      {brushEnabled && (
+        <mesh ref={brushCursorRef} visible={false} scale={state.brushRadius} raycast={() => null}>
+          <sphereGeometry args={[1, 24, 16]} />
+          <meshBasicMaterial color="#1890ff" wireframe transparent opacity={0.35} depthTest={false} />
+        </mesh>
+      )}
     </group>
   );
 });
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useMemo } from 'react';
+import React, { useEffect, useRef, useMemo, useCallback } from 'react';
 import { Canvas, useThree } from '@react-three/fiber';
 import { OrbitControls, TransformControls } from '@react-three/drei';
 import * as THREE from 'three';
@@ -8,7 +8,9 @@ import { useAnnotation } from '../store/annotationStore';
 import ModelViewer from './ModelViewer';
 import FileUploadOverlay from './FileUploadOverlay';
 import CustomAxesHelper from './CustomAxesHelper';
-import { calculateSelectedFaces } from '../utils/selectionUtils';
+import LassoOverlay from './LassoOverlay';
+import { calculateSelectedFaces, selectPointsInPolygon, selectPointsInBox, combineSelection } from '../utils/selectionUtils';
+import { getHiddenPointMask } from '../utils/layerUtils';
 
 // --- Optimization 1: Component function comments ---
 /**
@@ -77,6 +79,21 @@ const CameraController = ({ points, controlsRef, onCameraReady, shouldResetCamer
   return null;
 };
 
+/**
+ * Exposes the active camera and renderer to components rendered outside the Canvas (e.g. screen-space overlays).
+ * @param {object} props
+ * @param {React.MutableRefObject} props.viewportRef - Receives `{ camera, gl }`
+ */
+const ViewportBridge = ({ viewportRef }) => {
+  const { camera, gl } = useThree();
+
+  useEffect(() => {
+    viewportRef.current = { camera, gl };
+  }, [camera, gl, viewportRef]);
+
+  return null;
+};
+
 /**
  * Coordinate system transformer, converts three.js default Y-up coordinate system to Z-down.
  * More intuitive for certain engineering or robotics point cloud data.
@@ -91,8 +108,9 @@ const CoordinateSystemWrapper = ({ children }) => {
  * Allows users to translate and rotate point cloud via Gizmo or keyboard shortcuts.
  * @param {object} props
  * @param {React.RefObject} props.orbitControlsRef - OrbitControls reference for disabling/enabling camera control during transformation
+ * @param {React.RefObject} props.modelRootRef - Receives the group the centered model geometry is rendered in
  */
-const TransformablePointCloud = React.forwardRef(({ points, pointSize, viewMode, labels, orientationMode, orbitControlsRef }, ref) => {
+const TransformablePointCloud = React.forwardRef(({ points, pointSize, viewMode, labels, orientationMode, orbitControlsRef, modelRootRef }, ref) => {
   const { state, dispatch } = useAnnotation();
   const { pointCloudRotation, transformMode, pointCloudPosition } = state;
   const groupRef = useRef();
@@ -134,6 +152,7 @@ const TransformablePointCloud = React.forwardRef(({ points, pointSize, viewMode,
           pointSize={pointSize}
           viewMode={viewMode}
           labels={labels}
+          rootRef={modelRootRef}
         />
       </group>
     </>
@@ -151,13 +170,19 @@ const PLYViewer = () => {
     points, pointSize, viewMode, labels, annotationBox, backgroundColor, 
     orientationMode, editorMode, hasMesh, faces, selectedPoints, 
     meshSelectionMode, selectedFaces, isManualFaceSelection, transformMode, showGridAndAxes,
-    isNewFileLoaded 
+    isNewFileLoaded, centerOffset, isModalOpen, layers
   } = state;
   const controlsRef = useRef();
   const pointCloudRef = useRef();
+  const containerRef = useRef();
+  const viewportRef = useRef(null);
+  const modelRootRef = useRef();
   const [isCameraReady, setCameraReady] = React.useState(false);
   const [shouldResetCamera, setShouldResetCamera] = React.useState(false);
 
+  // Points of hidden layers cannot be selected
+  const hiddenPointMask = useMemo(() => getHiddenPointMask(layers, points.length), [layers, points.length]);
+
   // --- TransformControls handling logic ---
   const transformHandlers = useMemo(() => ({
     // Continuously triggered when transform controller is being dragged
@@ -202,6 +227,66 @@ const PLYViewer = () => {
     }
   }, [hasMesh, faces, labels, selectedPoints, meshSelectionMode, dispatch, selectedFaces, isManualFaceSelection]);
 
+  // --- Lasso selection: project points into screen space and select those inside the polygon ---
+  const handleLassoComplete = useCallback((polygon, operation, { width, height }) => {
+    const viewport = viewportRef.current;
+    const modelRoot = modelRootRef.current;
+    if (!viewport || !modelRoot) return;
+
+    modelRoot.updateWorldMatrix(true, false);
+    const enclosedPoints = selectPointsInPolygon(points, labels, polygon, {
+      camera: viewport.camera,
+      matrixWorld: modelRoot.matrixWorld,
+      centerOffset,
+      width,
+      height,
+    }).filter(index => !hiddenPointMask?.[index]);
+
+    // Faces follow from the selected points through calculateSelectedFaces (see effect above)
+    dispatch({ type: 'SET_SELECTED_POINTS', payload: combineSelection(selectedPoints, enclosedPoints, operation) });
+  }, [points, labels, centerOffset, selectedPoints, hiddenPointMask, dispatch]);
+
+  // --- Box selection: select everything inside the annotation box whenever the box is committed ---
+  // Points and labels are read through a ref so that labeling the selection does not immediately re-select it.
+  const boxSourceRef = useRef({ points, labels, hiddenPointMask });
+  boxSourceRef.current = { points, labels, hiddenPointMask };
+  // Boxes a selection was made with. Undo and redo restore such a box together with its selection, which must not be
+  // replaced by the box contents; entering the box mode selects the contents of the current box again.
+  const boxSelectionRef = useRef({ editorMode: null, boxes: new WeakSet() });
+  useEffect(() => {
+    const tracked = boxSelectionRef.current;
+    const enteredBoxMode = tracked.editorMode !== editorMode;
+    tracked.editorMode = editorMode;
+    if (editorMode !== 'BOX_SELECT' || !annotationBox) return;
+    if (!enteredBoxMode && tracked.boxes.has(annotationBox)) return;
+    tracked.boxes.add(annotationBox);
+
+    const { points: currentPoints, labels: currentLabels, hiddenPointMask: hiddenPoints } = boxSourceRef.current;
+    const enclosedPoints = selectPointsInBox(currentPoints, currentLabels, annotationBox).filter(index => !hiddenPoints?.[index]);
+    // Same history group as the box commit (see undoableReducer)
+    dispatch({ type: 'SET_SELECTED_POINTS', payload: enclosedPoints, historyGroup: annotationBox });
+  }, [editorMode, annotationBox, dispatch]);
+
+  // --- Undo / redo shortcuts: Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes ---
+  useEffect(() => {
+    if (isModalOpen) return;
+    const handleKeyDown = (event) => {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z') {
+        event.preventDefault();
+        dispatch({ type: event.shiftKey ? 'REDO' : 'UNDO' });
+      } else if (key === 'y') {
+        event.preventDefault();
+        dispatch({ type: 'REDO' });
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isModalOpen, dispatch]);
+
   // 只有在真正加载新文件时才重置摄像头
   useEffect(() => {
     if (isNewFileLoaded && points && points.length > 0) {
@@ -211,7 +296,7 @@ const PLYViewer = () => {
   }, [isNewFileLoaded, points]);
 
   return (
-    <div style={{ position: 'relative', width: '100%', height: '100%' }}>
+    <div ref={containerRef} style={{ position: 'relative', width: '100%', height: '100%' }}>
       <Canvas
         // Camera position is now managed by CameraController, removing the hardcoded position to prevent the "jump".
         camera={{ fov: 60, near: 0.1, far: 100000 }}
@@ -223,6 +308,8 @@ const PLYViewer = () => {
         <directionalLight position={[10, 20, 5]} intensity={0.5} />
         <directionalLight position={[-10, -20, -5]} intensity={0.3} />
 
+        <ViewportBridge viewportRef={viewportRef} />
+
         {/* 应用Z轴向下的坐标系变换 */}
         <CoordinateSystemWrapper>
           {points.length > 0 && (
@@ -250,6 +337,7 @@ const PLYViewer = () => {
                     labels={labels}
                     orientationMode={orientationMode}
                     orbitControlsRef={controlsRef}
+                    modelRootRef={modelRootRef}
                   />
                 </>
               )}
@@ -265,7 +353,11 @@ const PLYViewer = () => {
           // --- 优化点 8: 简化并明确相机目标 ---
           // 由于点云已被中心化到 (0,0,0)，目标也应设为 (0,0,0)
           target={[0, 0, 0]}
-          mouseButtons={{
+          mouseButtons={editorMode === 'BRUSH_PAINT' && hasMesh ? {
+            LEFT: null, // 画笔模式下左键用于涂抹
+            MIDDLE: THREE.MOUSE.DOLLY,
+            RIGHT: THREE.MOUSE.ROTATE, // 右键旋转
+          } : {
             LEFT: THREE.MOUSE.ROTATE, // 左键旋转
             MIDDLE: THREE.MOUSE.DOLLY, // 中键缩放
             RIGHT: null, // 禁用右键旋转，为其他功能保留
@@ -291,6 +383,11 @@ const PLYViewer = () => {
       {/* UI 覆盖层 */}
       {points.length > 0 ? (
         <>
+          <LassoOverlay
+            targetRef={containerRef}
+            enabled={editorMode === 'LASSO_SELECT' && isCameraReady && !orientationMode}
+            onComplete={handleLassoComplete}
+          />
         </>
       ) : (
         <FileUploadOverlay />
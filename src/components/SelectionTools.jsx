@@ -0,0 +1,176 @@
+import React, { useCallback } from 'react';
+import { Card, Button, Typography, Row, Col, Radio, Space, InputNumber, Slider, Tooltip } from 'antd';
+import { ClearOutlined, SwapOutlined, TagOutlined, UndoOutlined, RedoOutlined } from '@ant-design/icons';
+import { useAnnotation } from '../store/annotationStore';
+import { createDefaultAnnotationBox } from '../utils/geometryUtils';
+import AnnotationBoxControls from './AnnotationBoxControls';
+import { getHistoryBytes } from '../utils/historyUtils';
+
+const { Text } = Typography;
+
+const SelectionTools = () => {
+  const { state, dispatch } = useAnnotation();
+  const { editorMode, meshSelectionMode, hasMesh, selectedPoints, selectedFaces, activeLabel, labels, annotationBox, points, brushRadius, wandAngleThreshold, history, redoStack, historyMemoryLimitMB } = state;
+
+  const activeLabelObj = labels.find(label => label.id === activeLabel) || null;
+  const selectionCount = hasMesh ? selectedFaces.size : selectedPoints.length;
+  const historyMB = getHistoryBytes(history) / (1024 * 1024);
+
+  // --- Handlers ---
+  const handleEditorModeChange = (e) => {
+    dispatch({ type: 'SET_EDITOR_MODE', payload: e.target.value });
+    // The box tool needs a box to work with, place one in the middle of the data the first time
+    if (e.target.value === 'BOX_SELECT' && !annotationBox && points.length > 0) {
+      dispatch({ type: 'SET_ANNOTATION_BOX', payload: createDefaultAnnotationBox(points) });
+    }
+  };
+  const handleMeshSelectionModeChange = (e) => {
+    dispatch({ type: 'SET_MESH_SELECTION_MODE', payload: e.target.value });
+  };
+
+  const handleApplyLabel = useCallback(() => {
+    if (!activeLabel || selectionCount === 0) return;
+    if (hasMesh) {
+      dispatch({ type: 'APPLY_LABEL_TO_FACES', payload: { faceIndices: Array.from(selectedFaces), labelId: activeLabel } });
+    } else {
+      dispatch({ type: 'APPLY_LABELS', payload: { pointIndices: selectedPoints, labelId: activeLabel } });
+    }
+    dispatch({ type: 'CLEAR_SELECTION' });
+  }, [activeLabel, selectionCount, hasMesh, selectedFaces, selectedPoints, dispatch]);
+
+  return (
+    <Card
+      title="Selection"
+      variant="borderless"
+      size="small"
+      extra={
+        <Space size={4}>
+          <Tooltip title="Undo (Ctrl+Z)">
+            <Button size="small" type="text" icon={<UndoOutlined />} onClick={() => dispatch({ type: 'UNDO' })} disabled={history.length === 0} />
+          </Tooltip>
+          <Tooltip title="Redo (Ctrl+Shift+Z)">
+            <Button size="small" type="text" icon={<RedoOutlined />} onClick={() => dispatch({ type: 'REDO' })} disabled={redoStack.length === 0} />
+          </Tooltip>
+        </Space>
+      }
+    >
+      <Row gutter={[16, 12]} align="middle">
+        <Col span={24}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Text type="secondary">Tool</Text>
+            <Radio.Group value={editorMode} onChange={handleEditorModeChange} size="small" buttonStyle="solid">
+              <Radio.Button value="LASSO_SELECT">Lasso</Radio.Button>
+              <Radio.Button value="BOX_SELECT">3D Box</Radio.Button>
+              {hasMesh && <Radio.Button value="BRUSH_PAINT">Brush</Radio.Button>}
+              {hasMesh && <Radio.Button value="MAGIC_WAND">Magic Wand</Radio.Button>}
+            </Radio.Group>
+          </div>
+        </Col>
+
+        {hasMesh && (
+          <Col span={24}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <Text type="secondary">Face Selection</Text>
+              <Radio.Group value={meshSelectionMode} onChange={handleMeshSelectionModeChange} size="small" buttonStyle="solid">
+                <Radio.Button value="TOUCHING">Touching</Radio.Button>
+                <Radio.Button value="ENCLOSED">Enclosed</Radio.Button>
+              </Radio.Group>
+            </div>
+          </Col>
+        )}
+
+        <Col span={24}>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {editorMode === 'LASSO_SELECT' && 'Right-drag to draw a lasso. Hold Shift to add, Ctrl/Alt to subtract.'}
+            {hasMesh && ['LASSO_SELECT', 'BOX_SELECT'].includes(editorMode) && ' Click a face to select it, Shift-click to toggle it.'}
+            {editorMode === 'MAGIC_WAND' && 'Click a face to select its smooth surrounding region, Shift-click to add a region.'}
+            {editorMode === 'BRUSH_PAINT' && 'Drag over the mesh to paint the active label, right-drag to rotate. Alt + wheel resizes the brush.'}
+            {editorMode === 'BOX_SELECT' && 'Drag the box handles or edit the values below; everything inside the box is selected.'}
+          </Text>
+        </Col>
+
+        {editorMode === 'BRUSH_PAINT' && (
+          <Col span={24}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <Text type="secondary">Brush Radius</Text>
+              <InputNumber
+                size="small"
+                min={0.001}
+                step={0.1}
+                precision={3}
+                value={brushRadius}
+                onChange={(value) => value && dispatch({ type: 'SET_BRUSH_RADIUS', payload: value })}
+              />
+            </div>
+          </Col>
+        )}
+
+        {editorMode === 'MAGIC_WAND' && (
+          <>
+            <Col span={8}><Text type="secondary">Angle Threshold</Text></Col>
+            <Col span={16}>
+              <Slider
+                min={1} max={90} step={1}
+                value={wandAngleThreshold}
+                onChange={(value) => dispatch({ type: 'SET_WAND_ANGLE_THRESHOLD', payload: value })}
+                tooltip={{ formatter: (v) => `${v}°` }}
+                style={{ margin: 0 }}
+              />
+            </Col>
+          </>
+        )}
+
+        {editorMode === 'BOX_SELECT' && (
+          <Col span={24}>
+            <AnnotationBoxControls />
+          </Col>
+        )}
+
+        <Col span={24}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Text>
+              {hasMesh ? `${selectedFaces.size} faces selected` : `${selectedPoints.length} points selected`}
+            </Text>
+            <Space size="small">
+              <Button size="small" icon={<ClearOutlined />} onClick={() => dispatch({ type: 'CLEAR_SELECTION' })} disabled={selectionCount === 0}>
+                Clear
+              </Button>
+              <Button size="small" icon={<SwapOutlined />} onClick={() => dispatch({ type: 'INVERT_SELECTION' })}>
+                Invert
+              </Button>
+              <Button
+                size="small"
+                type="primary"
+                icon={<TagOutlined />}
+                onClick={handleApplyLabel}
+                disabled={!activeLabelObj || selectionCount === 0}
+              >
+                {activeLabelObj ? `Apply "${activeLabelObj.name}"` : 'Select a label'}
+              </Button>
+            </Space>
+          </div>
+        </Col>
+
+        <Col span={24}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Text type="secondary" style={{ fontSize: '12px' }}>
+              Undo history: {history.length} steps, {historyMB.toFixed(1)} MB
+            </Text>
+            <InputNumber
+              size="small"
+              min={1}
+              step={64}
+              addonBefore="Limit"
+              addonAfter="MB"
+              value={historyMemoryLimitMB}
+              onChange={(value) => value && dispatch({ type: 'SET_HISTORY_MEMORY_LIMIT', payload: value })}
+              style={{ width: 160 }}
+            />
+          </div>
+        </Col>
+      </Row>
+    </Card>
+  );
+};
+
+export default SelectionTools;
@@ -2,7 +2,9 @@
 import { Space } from 'antd';
 import LabelManager from './LabelManager';
 import VisualControls from './VisualControls';
+import SelectionTools from './SelectionTools';
 import DataOverview from './DataOverview';
+import LayerManager from './LayerManager';
 
 const Sidebar = () => {
   return (
@@ -10,8 +12,10 @@ const Sidebar = () => {
       <Space direction="vertical" size="middle" style={{ width: '100%' }}>
         
           <DataOverview />
+          <LayerManager />
 
           <VisualControls />
+          <SelectionTools />
           <LabelManager />
       </Space>
     </div>
@@ -0,0 +1,22 @@
+/**
+ * ASPRS standard point classes (LAS 1.4 R15, table 17), used as default labels for LAS / LAZ files
+ * Classes 8 and 12 are reserved in LAS 1.4 and have no default label
+ */
+export const ASPRS_CLASSES = [
+  { id: 1, name: 'Unclassified', color: '#9e9e9e' },
+  { id: 2, name: 'Ground', color: '#a0522d' },
+  { id: 3, name: 'Low Vegetation', color: '#9acd32' },
+  { id: 4, name: 'Medium Vegetation', color: '#32cd32' },
+  { id: 5, name: 'High Vegetation', color: '#006400' },
+  { id: 6, name: 'Building', color: '#ff4500' },
+  { id: 7, name: 'Low Point (Noise)', color: '#ff00ff' },
+  { id: 9, name: 'Water', color: '#1e90ff' },
+  { id: 10, name: 'Rail', color: '#8b4513' },
+  { id: 11, name: 'Road Surface', color: '#696969' },
+  { id: 13, name: 'Wire - Guard (Shield)', color: '#ffd700' },
+  { id: 14, name: 'Wire - Conductor (Phase)', color: '#ffa500' },
+  { id: 15, name: 'Transmission Tower', color: '#800080' },
+  { id: 16, name: 'Wire - Structure Connector', color: '#00ced1' },
+  { id: 17, name: 'Bridge Deck', color: '#b0c4de' },
+  { id: 18, name: 'High Noise', color: '#ff1493' },
+];
@@ -0,0 +1,39 @@
+/**
+ * SemanticKITTI classes (semantic-kitti.yaml, `labels` / `color_map`), used as default labels for .bin / .label scans
+ * Colors are converted from the BGR order of the dataset config; 0 (unlabeled) has no label
+ */
+export const SEMANTIC_KITTI_LABELS = [
+  { id: 1, name: 'outlier', color: '#ff0000' },
+  { id: 10, name: 'car', color: '#6496f5' },
+  { id: 11, name: 'bicycle', color: '#64e6f5' },
+  { id: 13, name: 'bus', color: '#6450fa' },
+  { id: 15, name: 'motorcycle', color: '#1e3c96' },
+  { id: 16, name: 'on-rails', color: '#0000ff' },
+  { id: 18, name: 'truck', color: '#501eb4' },
+  { id: 20, name: 'other-vehicle', color: '#0000ff' },
+  { id: 30, name: 'person', color: '#ff1e1e' },
+  { id: 31, name: 'bicyclist', color: '#ff28c8' },
+  { id: 32, name: 'motorcyclist', color: '#961e5a' },
+  { id: 40, name: 'road', color: '#ff00ff' },
+  { id: 44, name: 'parking', color: '#ff96ff' },
+  { id: 48, name: 'sidewalk', color: '#4b004b' },
+  { id: 49, name: 'other-ground', color: '#af004b' },
+  { id: 50, name: 'building', color: '#ffc800' },
+  { id: 51, name: 'fence', color: '#ff7832' },
+  { id: 52, name: 'other-structure', color: '#ff9600' },
+  { id: 60, name: 'lane-marking', color: '#96ffaa' },
+  { id: 70, name: 'vegetation', color: '#00af00' },
+  { id: 71, name: 'trunk', color: '#873c00' },
+  { id: 72, name: 'terrain', color: '#96f050' },
+  { id: 80, name: 'pole', color: '#fff096' },
+  { id: 81, name: 'traffic-sign', color: '#ff0000' },
+  { id: 99, name: 'other-object', color: '#32ffff' },
+  { id: 252, name: 'moving-car', color: '#6496f5' },
+  { id: 253, name: 'moving-bicyclist', color: '#ff28c8' },
+  { id: 254, name: 'moving-person', color: '#ff1e1e' },
+  { id: 255, name: 'moving-motorcyclist', color: '#961e5a' },
+  { id: 256, name: 'moving-on-rails', color: '#0000ff' },
+  { id: 257, name: 'moving-bus', color: '#6450fa' },
+  { id: 258, name: 'moving-truck', color: '#501eb4' },
+  { id: 259, name: 'moving-other-vehicle', color: '#0000ff' },
+];
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useThree } from '@react-three/fiber';
+import { buildFaceSpatialIndex, queryFacesInSphere } from '../utils/faceSpatialIndex';
+
+// Painted faces are flushed to the store at most this often (ms), so long strokes stay responsive
+const BRUSH_BATCH_INTERVAL = 80;
+// Radius multiplier per Alt + mouse wheel notch
+const BRUSH_WHEEL_FACTOR = 1.1;
+const MIN_BRUSH_RADIUS = 1e-3;
+
+/**
+ * A custom hook implementing the surface paint brush.
+ * Dragging over the mesh applies the active label to every face whose centroid lies within `brushRadius`
+ * of the hit point. Painted faces are accumulated and dispatched as `APPLY_LABEL_TO_FACES` batches.
+ * Alt + mouse wheel resizes the brush.
+ * @returns {{handlers: Object, cursorRef: React.RefObject}} R3F pointer handlers for the paintable meshes,
+ * and a ref for the brush cursor mesh rendered inside the model root group.
+ */
+export function useBrushPainting({ enabled, faces, points, labels, activeLabel, brushRadius, centerOffset, hiddenPointMask, rootRef, dispatch }) {
+  const { gl } = useThree();
+  const cursorRef = useRef();
+  const indexRef = useRef(null);
+  const strokeRef = useRef(null);
+  const strokeCountRef = useRef(0);
+
+  // Latest values for the event handlers, without re-creating them on every label update
+  const sourceRef = useRef({});
+  sourceRef.current = { faces, points, labels, activeLabel, brushRadius, centerOffset, hiddenPointMask };
+
+  // The spatial index only depends on geometry, so labeling faces must not invalidate it
+  const getSpatialIndex = () => {
+    const { faces: currentFaces, points: currentPoints } = sourceRef.current;
+    const cached = indexRef.current;
+    if (!cached || cached.points !== currentPoints || cached.faceCount !== currentFaces.length) {
+      indexRef.current = {
+        points: currentPoints,
+        faceCount: currentFaces.length,
+        index: buildFaceSpatialIndex(currentFaces, currentPoints),
+      };
+    }
+    return indexRef.current.index;
+  };
+
+  const flush = useCallback(() => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    clearTimeout(stroke.timer);
+    stroke.timer = null;
+    if (stroke.pending.length === 0) return;
+    // All batches of one stroke share a history group, so a single undo reverts the whole stroke
+    dispatch({
+      type: 'APPLY_LABEL_TO_FACES',
+      payload: { faceIndices: stroke.pending, labelId: stroke.labelId, historyGroup: stroke.historyGroup },
+    });
+    stroke.pending = [];
+  }, [dispatch]);
+
+  const endStroke = useCallback(() => {
+    flush();
+    strokeRef.current = null;
+  }, [flush]);
+
+  const moveCursor = (event) => {
+    const cursor = cursorRef.current;
+    if (!cursor || !rootRef.current) return;
+    cursor.position.copy(rootRef.current.worldToLocal(event.point.clone()));
+    cursor.visible = true;
+  };
+
+  const paintAt = (event) => {
+    const stroke = strokeRef.current;
+    if (!stroke || !rootRef.current) return;
+
+    const { faces: currentFaces, brushRadius: radius, centerOffset: offset, hiddenPointMask: hiddenPoints } = sourceRef.current;
+    // Hit point -> model root local space -> point coordinates (undo the centering)
+    const local = rootRef.current.worldToLocal(event.point.clone());
+    const center = [local.x + offset[0], local.y + offset[1], local.z + offset[2]];
+
+    for (const faceIndex of queryFacesInSphere(getSpatialIndex(), center, radius)) {
+      if (stroke.painted.has(faceIndex)) continue;
+      stroke.painted.add(faceIndex);
+      const labelId = currentFaces[faceIndex]?.labelId;
+      // Faces of hidden labels are not rendered, painting over them would be invisible
+      if (labelId === stroke.labelId || (labelId && stroke.hiddenLabels.has(labelId))) continue;
+      // Hidden layers may overlap the painted surface
+      if (hiddenPoints?.[currentFaces[faceIndex]?.indices[0]]) continue;
+      stroke.pending.push(faceIndex);
+    }
+
+    if (stroke.pending.length > 0 && !stroke.timer) {
+      stroke.timer = setTimeout(flush, BRUSH_BATCH_INTERVAL);
+    }
+  };
+
+  const onPointerDown = (event) => {
+    if (event.button !== 0) return;
+    moveCursor(event);
+    const { activeLabel: labelId, labels: currentLabels } = sourceRef.current;
+    if (!labelId) return;
+    event.stopPropagation();
+    strokeCountRef.current += 1;
+    strokeRef.current = {
+      labelId,
+      historyGroup: `brush-stroke-${strokeCountRef.current}`,
+      hiddenLabels: new Set(currentLabels.filter(label => label.visible === false).map(label => label.id)),
+      painted: new Set(),
+      pending: [],
+      timer: null,
+    };
+    paintAt(event);
+  };
+
+  const onPointerMove = (event) => {
+    // Only the closest hit moves the cursor and paints
+    event.stopPropagation();
+    moveCursor(event);
+    paintAt(event);
+  };
+
+  const onPointerOut = () => {
+    if (cursorRef.current) cursorRef.current.visible = false;
+  };
+
+  // Strokes may end anywhere on screen, not only over the mesh
+  useEffect(() => {
+    if (!enabled) return;
+    window.addEventListener('pointerup', endStroke);
+    return () => {
+      window.removeEventListener('pointerup', endStroke);
+      endStroke();
+    };
+  }, [enabled, endStroke]);
+
+  // Alt + wheel resizes the brush. Registered in the capture phase on the canvas container,
+  // so the event never reaches OrbitControls' zoom handler on the canvas itself.
+  useEffect(() => {
+    const container = gl.domElement.parentElement;
+    if (!enabled || !container) return;
+    const handleWheel = (event) => {
+      if (!event.altKey) return;
+      event.preventDefault();
+      event.stopPropagation();
+      const factor = event.deltaY < 0 ? BRUSH_WHEEL_FACTOR : 1 / BRUSH_WHEEL_FACTOR;
+      dispatch({ type: 'SET_BRUSH_RADIUS', payload: Math.max(MIN_BRUSH_RADIUS, sourceRef.current.brushRadius * factor) });
+    };
+    container.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+    return () => container.removeEventListener('wheel', handleWheel, { capture: true });
+  }, [enabled, gl, dispatch]);
+
+  return {
+    handlers: enabled ? { onPointerDown, onPointerMove, onPointerOut } : {},
+    cursorRef,
+  };
+}
@@ -30,6 +30,7 @@ const adjustColor = (color, adjustment) => {
 
 /**
  * A custom hook to dynamically update the colors of point cloud and mesh geometries.
+ * Points and triangles of hidden labels and of hidden layers (`hiddenPointMask`, see utils/layerUtils) get alpha 0.
  */
 export function useDynamicColors({
   pointCloudGeometry,
@@ -40,7 +41,8 @@ export function useDynamicColors({
   selectedPoints,
   selectedFaces,
   activeLabel,
-  colorAdjustment
+  colorAdjustment,
+  hiddenPointMask
 }) {
   const labelMap = useMemo(() => {
     const map = new Map();
@@ -62,7 +64,7 @@ export function useDynamicColors({
       let alpha = 1.0;
       const label = point.labelId ? labelMap.get(point.labelId) : null;
 
-      if (label && label.visible === false) {
+      if ((label && label.visible === false) || hiddenPointMask?.[i]) {
         alpha = 0.0;
       }
 
@@ -87,7 +89,7 @@ export function useDynamicColors({
     }
 
     pointCloudGeometry.attributes.color.needsUpdate = true;
-  }, [pointCloudGeometry, points, viewMode, labelMap, selectedPointsSet, colorAdjustment, activeLabel]);
+  }, [pointCloudGeometry, points, viewMode, labelMap, selectedPointsSet, colorAdjustment, activeLabel, hiddenPointMask]);
 
   // Effect for updating mesh colors
   useEffect(() => {
@@ -101,7 +103,7 @@ export function useDynamicColors({
       let alpha = 1.0;
       const label = triangle.labelId ? labelMap.get(triangle.labelId) : null;
 
-      if (label && label.visible === false) {
+      if ((label && label.visible === false) || hiddenPointMask?.[triangle.vertices[0]]) {
         alpha = 0.0;
       }
 
@@ -129,5 +131,5 @@ export function useDynamicColors({
     });
 
     labelMeshGeometry.attributes.color.needsUpdate = true;
-  }, [labelMeshGeometry, points, viewMode, labelMap, selectedPointsSet, selectedFaces, colorAdjustment, activeLabel]);
+  }, [labelMeshGeometry, points, viewMode, labelMap, selectedPointsSet, selectedFaces, colorAdjustment, activeLabel, hiddenPointMask]);
 }
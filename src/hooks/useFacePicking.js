@@ -0,0 +1,56 @@
+import { useCallback } from 'react';
+import { resolveSceneFaceIndex, resolveLabelMeshFaceIndex } from '../utils/selectionUtils';
+
+// Pointer travel (in pixels) above which a click is treated as the end of a camera drag
+const CLICK_TOLERANCE = 4;
+
+/**
+ * A custom hook that turns clicks on the rendered mesh into face selections.
+ * A plain click selects the hit face alone, a shift-click toggles it in the current selection.
+ * When `expandFace` is given (magic wand), the hit face is expanded to a region first:
+ * a plain click selects the region, a shift-click adds it to the current selection.
+ * Returns R3F click handlers for the original GLB scene and for the flattened label mesh.
+ * @returns {{onSceneClick: Function, onLabelMeshClick: Function}}
+ */
+export function useFacePicking({ enabled, faces, labels, interactionMapping, selectedFaces, expandFace, hiddenPointMask, dispatch }) {
+  // Returns false when the face cannot be picked, so the click can fall through to the next hit
+  const pickFace = useCallback((faceIndex, additive) => {
+    const face = faces[faceIndex];
+    if (!face) return false;
+
+    // Hidden labels are invisible in every view, they must not be pickable either
+    const label = face.labelId ? labels.find(l => l.id === face.labelId) : null;
+    if (label && label.visible === false) return false;
+    // Likewise the faces of hidden layers
+    if (hiddenPointMask?.[face.indices[0]]) return false;
+
+    const nextSelection = additive ? new Set(selectedFaces) : new Set();
+    if (expandFace) {
+      expandFace(faceIndex).forEach(index => nextSelection.add(index));
+    } else if (additive && nextSelection.has(faceIndex)) {
+      nextSelection.delete(faceIndex);
+    } else {
+      nextSelection.add(faceIndex);
+    }
+    dispatch({ type: 'UPDATE_SELECTED_FACES', payload: { faces: nextSelection, isManual: true } });
+    return true;
+  }, [faces, labels, selectedFaces, expandFace, hiddenPointMask, dispatch]);
+
+  const onSceneClick = useCallback((event) => {
+    if (!enabled || event.delta > CLICK_TOLERANCE || !event.object.isMesh) return;
+    const faceIndex = resolveSceneFaceIndex(event.object, event.faceIndex, interactionMapping);
+    if (faceIndex !== null && pickFace(faceIndex, event.shiftKey)) {
+      event.stopPropagation();
+    }
+  }, [enabled, interactionMapping, pickFace]);
+
+  const onLabelMeshClick = useCallback((event) => {
+    if (!enabled || event.delta > CLICK_TOLERANCE) return;
+    const faceIndex = resolveLabelMeshFaceIndex(event.object.geometry, event.faceIndex);
+    if (faceIndex !== null && pickFace(faceIndex, event.shiftKey)) {
+      event.stopPropagation();
+    }
+  }, [enabled, pickFace]);
+
+  return { onSceneClick, onLabelMeshClick };
+}
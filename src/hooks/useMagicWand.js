@@ -0,0 +1,35 @@
+import { useCallback, useRef } from 'react';
+import { buildFaceAdjacency, computeFaceNormals, floodFillFaces } from '../utils/meshTopology';
+
+/**
+ * A custom hook providing the magic wand region growing.
+ * Face adjacency and normals are built lazily on the first use and cached for as long as the geometry
+ * (points and face count) is unchanged, so labeling faces does not trigger a rebuild.
+ * @returns {(seedFace: number) => number[]} Expands a seed face to its smooth region.
+ */
+export function useMagicWand({ faces, points, labels, angleThreshold, hiddenPointMask }) {
+  const topologyRef = useRef(null);
+
+  return useCallback((seedFace) => {
+    const cached = topologyRef.current;
+    if (!cached || cached.points !== points || cached.faceCount !== faces.length) {
+      topologyRef.current = {
+        points,
+        faceCount: faces.length,
+        adjacency: buildFaceAdjacency(faces, points),
+        normals: computeFaceNormals(faces, points),
+      };
+    }
+    const { adjacency, normals } = topologyRef.current;
+
+    const hiddenLabels = new Set(labels.filter(label => label.visible === false).map(label => label.id));
+    const isVisible = (faceIndex) => {
+      const { labelId, indices } = faces[faceIndex];
+      // Vertices are welded by position, so the region could leak into an overlapping hidden layer
+      if (hiddenPointMask?.[indices[0]]) return false;
+      return !labelId || !hiddenLabels.has(labelId);
+    };
+
+    return floodFillFaces(adjacency, normals, seedFace, angleThreshold, isVisible);
+  }, [faces, points, labels, angleThreshold, hiddenPointMask]);
+}
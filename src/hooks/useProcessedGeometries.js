@@ -18,6 +18,7 @@ export const useProcessedGeometries = ({
   colorAdjustment,
   activeLabel,
   hasMesh,
+  hiddenPointMask,
   dispatch
 }) => {
   // Step 1: Center the points and get the offset.
@@ -54,7 +55,8 @@ export const useProcessedGeometries = ({
     selectedPoints,
     selectedFaces,
     activeLabel,
-    colorAdjustment
+    colorAdjustment,
+    hiddenPointMask
   });
 
   // Step 6: Return all the processed data.
@@ -2,6 +2,11 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { setKTX2SupportDetector } from './utils/glbParser'
+import { detectKTX2Support } from './utils/ktx2Support'
+
+// KTX2 textures are transcoded for the GPU of this browser
+setKTX2SupportDetector(detectKTX2Support)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
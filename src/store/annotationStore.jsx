@@ -1,4 +1,17 @@
 import React, { createContext, useContext, useReducer } from 'react';
+import {
+  createHistoryEntry,
+  mergeHistoryEntries,
+  applyHistoryEntry,
+  trimHistory,
+  DEFAULT_HISTORY_MEMORY_LIMIT_MB,
+} from '../utils/historyUtils';
+import { DEFAULT_FACE_LABEL_POLICY } from '../utils/faceLabelValidation';
+import {
+  createLayer,
+  mergeInteractionMappings,
+  translateLayerPoints,
+} from '../utils/layerUtils';
 
 const AnnotationContext = createContext();
 
@@ -9,10 +22,13 @@ const initialState = {
   pointSize: 3,
   viewMode: 'default', // 'default' or 'labels'
   shadingMode: 'flat', // 'flat', 'smooth', 'wireframe', 'points'
-  annotationBox: null,
+  annotationBox: null, // { position, size, rotation } in point coordinates, rotation as XYZ Euler radians
+  boxTransformMode: 'translate', // Annotation box gizmo mode: 'translate' | 'scale' | 'rotate'
   selectedPoints: [],
   selectedPointsHistory: [], // Selection history
-  history: [],
+  history: [], // Undo stack of diff entries, see utils/historyUtils
+  redoStack: [], // Entries popped by UNDO, replayed by REDO; cleared by any new undoable action
+  historyMemoryLimitMB: DEFAULT_HISTORY_MEMORY_LIMIT_MB, // Memory cap of the undo stack, oldest entries are dropped first
   fileName: null,
   originalFileName: null,
   backgroundColor: '#fcfcfc',
@@ -25,11 +41,15 @@ const initialState = {
   fileHeader: null,     // PLY file header information
   fileFields: [],       // PLY file field list
   labelInfo: null,      // Existing label information
+  faceLabelReport: null, // Load-time validation of GLB faceLabels per mesh, see utils/faceLabelValidation
+  faceLabelPolicy: DEFAULT_FACE_LABEL_POLICY, // 'truncatePad' | 'refuse': handling of faceLabels that do not match the mesh
   orientationMode: false, // 点云朝向调整模式
   transformMode: 'rotate', // 变换模式：'rotate' 或 'translate'
   pointCloudRotation: [0, 0, 0, 1], // Point cloud rotation state (quaternion)
   pointCloudPosition: [0, 0, 0], // Point cloud position state
-  editorMode: 'LASSO_SELECT', // 'BOX_SELECT', 'LASSO_SELECT', or 'RECTANGLE_SELECT'
+  editorMode: 'LASSO_SELECT', // 'BOX_SELECT', 'LASSO_SELECT', 'RECTANGLE_SELECT', 'BRUSH_PAINT' or 'MAGIC_WAND'
+  brushRadius: 1.0, // Paint brush radius in point coordinates (world units)
+  wandAngleThreshold: 10, // Magic wand: max angle between neighbouring face normals, in degrees
   centerOffset: [0, 0, 0], // Store point cloud center coordinates [x, y, z]
   // Mesh相关状态
   hasMesh: false, // 是否包含Mesh数据
@@ -43,8 +63,11 @@ const initialState = {
   textureFile: null, // 纹理文件信息
   meshOpacity: 1.0, // Face opacity (0.0 - 1.0)
   // 混合渲染架构新增字段
-  originalScene: null, // GLB/GLTF original scene object for high-fidelity rendering in default view
+  originalScene: null, // GLB/GLTF original scene object for high-fidelity rendering in default view (of the first file; ModelViewer groups the scenes of all layers)
   interactionMapping: null, // Interaction mapping metadata for raycast result mapping
+  roundTripSource: null, // Original GLB/GLTF JSON and chunks for round-trip-safe export, see utils/glbRoundTrip
+  lasSource: null, // Original LAS header, VLRs and point records for LAS export, see utils/lasExporter
+  layers: [], // Files loaded side by side: index ranges, visibility, offset and export data, see utils/layerUtils
   // Modal状态管理
   isModalOpen: false, // Whether label management modal is open, used to control keyboard shortcuts
   // 坐标轴显示控制
@@ -55,13 +78,184 @@ const initialState = {
   isNewFileLoaded: false, // Flag indicating new file loaded, used to control camera reset
 };
 
+// --- Undo / redo ---
+// Actions that modify annotations, label definitions or the selection. Each of them records one history entry.
+const UNDOABLE_ACTIONS = new Set([
+  'SET_POINTS',
+  'SET_PLY_DATA',
+  'APPLY_LABELS',
+  'APPLY_LABEL_TO_FACES',
+  'ADD_LABEL',
+  'ADD_LABELS',
+  'UPDATE_LABEL',
+  'DELETE_LABEL',
+  'SET_SELECTED_POINTS',
+  'UPDATE_SELECTED_FACES',
+  'CLEAR_SELECTION',
+  'INVERT_SELECTION',
+  'SET_ANNOTATION_BOX',
+]);
+
+const BYTES_PER_MB = 1024 * 1024;
+
+function shouldRecordHistory(state, nextState, action) {
+  if (nextState === state || !UNDOABLE_ACTIONS.has(action.type)) return false;
+  // Part of loading a file (e.g. labels created from the file), not a user edit
+  if (action.skipHistory) return false;
+  // Face selections derived from the selected points are recomputed automatically, only manual ones are edits
+  if (action.type === 'UPDATE_SELECTED_FACES') return !!action.payload?.isManual;
+  return true;
+}
+
+/**
+ * Wraps annotationReducer with a unified undo/redo stack of diff entries (see utils/historyUtils).
+ * Actions may carry `payload.historyGroup` (or `historyGroup` next to a non-object payload): consecutive actions of
+ * the same group (e.g. the batches of one brush stroke) collapse into a single undo step. A committed annotation box
+ * is its own group, so the box and the selection of its contents (see PLYViewer) are undone together.
+ * The undo stack is trimmed to `historyMemoryLimitMB`, oldest entries first.
+ */
+function undoableReducer(state, action) {
+  switch (action.type) {
+    case 'UNDO': {
+      if (state.history.length === 0) return state;
+      const { state: restored, inverse } = applyHistoryEntry(state, state.history[state.history.length - 1]);
+      return {
+        ...restored,
+        history: state.history.slice(0, -1),
+        redoStack: [...state.redoStack, inverse],
+      };
+    }
+    case 'REDO': {
+      if (state.redoStack.length === 0) return state;
+      const { state: restored, inverse } = applyHistoryEntry(state, state.redoStack[state.redoStack.length - 1]);
+      return {
+        ...restored,
+        history: trimHistory([...state.history, inverse], state.historyMemoryLimitMB * BYTES_PER_MB),
+        redoStack: state.redoStack.slice(0, -1),
+      };
+    }
+    case 'SET_HISTORY_MEMORY_LIMIT':
+      return {
+        ...state,
+        historyMemoryLimitMB: action.payload,
+        history: trimHistory(state.history, action.payload * BYTES_PER_MB),
+      };
+    default: {
+      const nextState = annotationReducer(state, action);
+      if (!shouldRecordHistory(state, nextState, action)) return nextState;
+
+      const entry = createHistoryEntry(
+        state,
+        nextState,
+        action.type === 'SET_ANNOTATION_BOX' ? { ...action, historyGroup: action.payload } : action
+      );
+      const lastEntry = state.history[state.history.length - 1];
+      const history = entry.historyGroup !== null && lastEntry?.historyGroup === entry.historyGroup
+        ? [...state.history.slice(0, -1), mergeHistoryEntries(lastEntry, entry)]
+        : [...state.history, entry];
+
+      return {
+        ...nextState,
+        history: trimHistory(history, state.historyMemoryLimitMB * BYTES_PER_MB),
+        redoStack: [],
+      };
+    }
+  }
+}
+
+// 支持新的面数据结构和旧的数组格式
+function normalizeFaces(faces) {
+  if (!faces || faces.length === 0) return [];
+  return faces.map(face => {
+    if (face.indices) {
+      // 新格式：完整的面对象
+      return {
+        indices: face.indices,
+        labelId: face.labelId || null,
+        textureCoords: face.textureCoords || null,
+        color: face.color || null
+      };
+    } else {
+      // 旧格式：只有索引数组
+      return {
+        indices: face,
+        labelId: null,
+        textureCoords: null,
+        color: null
+      };
+    }
+  });
+}
+
+// **修正**: 如果labels包含精确的faceCount和pointCount信息，使用它来初始化labelInfo
+function buildLabelInfo(labels, labelInfo, pointCount, faceCount) {
+  if (!labels || labels.length === 0 || !labels.some(label => label.faceCount !== undefined || label.pointCount !== undefined)) {
+    return labelInfo;
+  }
+
+  // 从labels中的精确计数信息构建labelStats和faceLabelStats
+  const labelStats = {};
+  const faceLabelStats = {};
+  let totalLabeledPoints = 0;
+  let totalLabeledFaces = 0;
+
+  labels.forEach(label => {
+    // 使用pointCount来构建点标注统计
+    if (label.pointCount && label.pointCount > 0) {
+      labelStats[label.id.toString()] = label.pointCount;
+      totalLabeledPoints += label.pointCount;
+    }
+
+    // 使用faceCount来构建面标注统计
+    if (label.faceCount && label.faceCount > 0) {
+      faceLabelStats[label.id.toString()] = label.faceCount;
+      totalLabeledFaces += label.faceCount;
+    }
+  });
+
+  return {
+    labelStats: labelStats,
+    faceLabelStats: faceLabelStats,
+    labeledCount: totalLabeledPoints,
+    unlabeledCount: Math.max(0, pointCount - totalLabeledPoints),
+    faceLabeledCount: totalLabeledFaces,
+    faceUnlabeledCount: Math.max(0, faceCount - totalLabeledFaces)
+  };
+}
+
+// Label statistics of two layers added up
+function mergeLabelInfo(a, b) {
+  if (!a || !b) return a || b || null;
+  const addStats = (x = {}, y = {}) => {
+    const stats = { ...x };
+    Object.entries(y).forEach(([id, count]) => { stats[id] = (stats[id] || 0) + count; });
+    return stats;
+  };
+  return {
+    labelStats: addStats(a.labelStats, b.labelStats),
+    faceLabelStats: addStats(a.faceLabelStats, b.faceLabelStats),
+    labeledCount: (a.labeledCount || 0) + (b.labeledCount || 0),
+    unlabeledCount: (a.unlabeledCount || 0) + (b.unlabeledCount || 0),
+    faceLabeledCount: (a.faceLabeledCount || 0) + (b.faceLabeledCount || 0),
+    faceUnlabeledCount: (a.faceUnlabeledCount || 0) + (b.faceUnlabeledCount || 0),
+  };
+}
+
+function mergeFaceLabelReports(a, b) {
+  if (!a || !b) return a || b || null;
+  return {
+    meshes: [...a.meshes, ...b.meshes],
+    issueCount: a.issueCount + b.issueCount,
+    structuralIssueCount: a.structuralIssueCount + b.structuralIssueCount,
+  };
+}
+
 function annotationReducer(state, action) {
   switch (action.type) {
     case 'SET_POINTS':
       return {
         ...state,
         points: action.payload,
-        history: [...state.history, state.points],
       };
     case 'SET_PLY_DATA':
       return {
@@ -70,7 +264,6 @@ function annotationReducer(state, action) {
         fileHeader: action.payload.header,
         fileFields: action.payload.fields,
         labelInfo: action.payload.labelInfo,
-        history: [...state.history, state.points],
       };
     case 'LOAD_FILE_DATA':
       const { 
@@ -83,66 +276,13 @@ function annotationReducer(state, action) {
         labelInfo,
         originalScene,
         interactionMapping,
-        labels // 关键修复：从 glbParser.js 解析结果中提取标签定义
+        labels, // 关键修复：从 glbParser.js 解析结果中提取标签定义
+        faceLabelReport,
+        roundTripSource,
+        lasSource
       } = action.payload;
-      const hasMesh = faces !== null && faces.length > 0;
-      const facesData = hasMesh ? faces.map(face => {
-        // 支持新的面数据结构和旧的数组格式
-        if (face.indices) {
-          // 新格式：完整的面对象
-          return {
-            indices: face.indices,
-            labelId: face.labelId || null,
-            textureCoords: face.textureCoords || null,
-            color: face.color || null
-          };
-        } else {
-          // 旧格式：只有索引数组
-          return {
-            indices: face,
-            labelId: null,
-            textureCoords: null,
-            color: null
-          };
-        }
-      }) : [];
-      
-      // **修正**: 如果labels包含精确的faceCount和pointCount信息，使用它来初始化labelInfo
-      let finalLabelInfo = labelInfo;
-      if (labels && labels.length > 0 && labels.some(label => label.faceCount !== undefined || label.pointCount !== undefined)) {
-
-        
-        // 从labels中的精确计数信息构建labelStats和faceLabelStats
-        const labelStats = {};
-        const faceLabelStats = {};
-        let totalLabeledPoints = 0;
-        let totalLabeledFaces = 0;
-        
-        labels.forEach(label => {
-          // 使用pointCount来构建点标注统计
-          if (label.pointCount && label.pointCount > 0) {
-            labelStats[label.id.toString()] = label.pointCount;
-            totalLabeledPoints += label.pointCount;
-          }
-          
-          // 使用faceCount来构建面标注统计
-          if (label.faceCount && label.faceCount > 0) {
-            faceLabelStats[label.id.toString()] = label.faceCount;
-            totalLabeledFaces += label.faceCount;
-          }
-        });
-        
-        finalLabelInfo = {
-          labelStats: labelStats,
-          faceLabelStats: faceLabelStats,
-          labeledCount: totalLabeledPoints,
-          unlabeledCount: Math.max(0, (points?.length || 0) - totalLabeledPoints),
-          faceLabeledCount: totalLabeledFaces,
-          faceUnlabeledCount: Math.max(0, (facesData?.length || 0) - totalLabeledFaces)
-        };
-        
-
-      }
+      const facesData = normalizeFaces(faces);
+      const hasMesh = facesData.length > 0;
 
       return {
         ...state,
@@ -153,21 +293,92 @@ function annotationReducer(state, action) {
         textureFile: textureFile,
         originalScene: originalScene || null, // 新增：原始场景对象
         interactionMapping: interactionMapping || null, // 新增：交互映射
+        roundTripSource: roundTripSource || null,
+        lasSource: lasSource || null,
         // --- 关键修复：确保用解析结果中的labels来更新状态 ---
         labels: labels || [], // 使用从GLB文件中解析出的标签定义
         isPointCloudVisible: !hasMesh, // 如果有Mesh，默认隐藏点云
         selectedFaces: new Set(),
         fileHeader: header,
         fileFields: fields,
-        labelInfo: finalLabelInfo,
-        history: [...state.history, state.points],
+        labelInfo: buildLabelInfo(labels, labelInfo, points?.length || 0, facesData.length),
+        faceLabelReport: faceLabelReport || null,
+        layers: [createLayer(action.payload, 1)],
+        // A new file starts a new editing session, earlier edits refer to data that no longer exists
+        history: [],
+        redoStack: [],
         isNewFileLoaded: true, // 标记为新文件加载
       };
+    case 'ADD_LAYER': {
+      // Another file loaded next to the current ones: its points and faces are appended, labels are shared
+      const layerFaces = normalizeFaces(action.payload.faces);
+      const pointStart = state.points.length;
+      const faceStart = state.faces.length;
+      const layer = createLayer(
+        { ...action.payload, faces: layerFaces },
+        Math.max(0, ...state.layers.map(l => l.id)) + 1,
+        { pointStart, faceStart }
+      );
+      const layers = [...state.layers, layer];
+
+      const knownLabelIds = new Set(state.labels.map(label => label.id));
+      const layerLabels = action.payload.labels || [];
+      const layerLabelInfo = buildLabelInfo(layerLabels, action.payload.labelInfo, layer.pointCount, layer.faceCount);
+      const nextFaces = [
+        ...state.faces,
+        ...layerFaces.map(face => ({ ...face, indices: face.indices.map(index => index + pointStart) })),
+      ];
+
+      return {
+        ...state,
+        points: [...state.points, ...action.payload.points],
+        faces: nextFaces,
+        hasMesh: nextFaces.length > 0,
+        layers,
+        interactionMapping: mergeInteractionMappings(layers),
+        // Label IDs already defined by an earlier layer keep their definition; FileUploadOverlay offers to remap
+        // the IDs the layer defines differently before it is added
+        labels: [...state.labels, ...layerLabels.filter(label => !knownLabelIds.has(label.id))],
+        labelInfo: mergeLabelInfo(state.labelInfo, layerLabelInfo),
+        faceLabelReport: mergeFaceLabelReports(state.faceLabelReport, action.payload.faceLabelReport),
+        // Point cloud layers are only visible as points
+        isPointCloudVisible: state.isPointCloudVisible || !layer.hasMesh,
+        // Earlier edits are diffs of the arrays before the layer was added
+        history: [],
+        redoStack: [],
+        isNewFileLoaded: true,
+      };
+    }
+    case 'SET_LAYER_VISIBILITY':
+      return {
+        ...state,
+        layers: state.layers.map(layer =>
+          layer.id === action.payload.id ? { ...layer, visible: action.payload.visible } : layer
+        ),
+      };
+    case 'SET_LAYER_OFFSET': {
+      // The points are moved, so selection, picking and painting see the layer where it is drawn
+      const layer = state.layers.find(l => l.id === action.payload.id);
+      if (!layer) return state;
+      const offset = action.payload.offset;
+      const delta = offset.map((value, i) => value - layer.offset[i]);
+      return {
+        ...state,
+        points: translateLayerPoints(state.points, layer, delta),
+        layers: state.layers.map(l => (l.id === layer.id ? { ...l, offset } : l)),
+      };
+    }
     case 'ADD_LABEL':
       return {
         ...state,
         labels: [...state.labels, action.payload],
       };
+    case 'ADD_LABELS':
+      // Bulk variant of ADD_LABEL, e.g. for labels generated from batch table values
+      return {
+        ...state,
+        labels: [...state.labels, ...action.payload.labels],
+      };
     case 'UPDATE_LABEL':
       return {
         ...state,
@@ -200,6 +411,11 @@ function annotationReducer(state, action) {
         ...state,
         annotationBox: action.payload,
       };
+    case 'SET_BOX_TRANSFORM_MODE':
+      return {
+        ...state,
+        boxTransformMode: action.payload,
+      };
     case 'SET_SELECTED_POINTS':
       // Only save history when new selection differs from current selection
       const newSelection = action.payload;
@@ -282,18 +498,7 @@ function annotationReducer(state, action) {
         ...state,
         points: newPoints,
         labelInfo: updatedLabelInfo,
-        history: [...state.history, state.points],
       };
-    case 'UNDO':
-      if (state.history.length > 0) {
-        const previousState = state.history[state.history.length - 1];
-        return {
-          ...state,
-          points: previousState,
-          history: state.history.slice(0, -1),
-        };
-      }
-      return state;
     case 'SET_FILE_NAME':
       return {
         ...state,
@@ -354,6 +559,18 @@ function annotationReducer(state, action) {
         editorMode: action.payload
       };
     
+    case 'SET_BRUSH_RADIUS':
+      return {
+        ...state,
+        brushRadius: action.payload
+      };
+    
+    case 'SET_WAND_ANGLE_THRESHOLD':
+      return {
+        ...state,
+        wandAngleThreshold: action.payload
+      };
+    
     case 'SET_CENTER_OFFSET':
       return {
         ...state,
@@ -374,7 +591,9 @@ function annotationReducer(state, action) {
     case 'CLEAR_SELECTION':
       return {
         ...state,
-        selectedPoints: []
+        selectedPoints: [],
+        selectedFaces: new Set(),
+        isManualFaceSelection: false
       };
     case 'INVERT_SELECTION':
       const totalPoints = state.points.length;
@@ -441,15 +660,17 @@ function annotationReducer(state, action) {
     case 'APPLY_LABEL_TO_FACES':
       if (!state.hasMesh) return state;
       
-      const { faceIndices, labelId: faceLabelId } = action.payload;
-      const faceIndicesSet = new Set(faceIndices);
+      // labelIds (optional): one label per entry of faceIndices, e.g. labels derived from batch IDs
+      const { faceIndices, labelId: faceLabelId, labelIds: faceLabelIds } = action.payload;
+      const faceLabelMap = new Map(faceIndices.map((faceIndex, i) => [faceIndex, faceLabelIds ? faceLabelIds[i] : faceLabelId]));
       
       const updatedFaces = state.faces.map((face, index) => {
-        if (faceIndicesSet.has(index)) {
+        if (faceLabelMap.has(index)) {
+          const newFaceLabelId = faceLabelMap.get(index);
           if (face.indices) {
-            return { ...face, labelId: faceLabelId };
+            return { ...face, labelId: newFaceLabelId };
           } else {
-            return { indices: face, labelId: faceLabelId };
+            return { indices: face, labelId: newFaceLabelId };
           }
         }
         return face;
@@ -510,6 +731,12 @@ function annotationReducer(state, action) {
         meshOpacity: action.payload
       };
     
+    case 'SET_FACE_LABEL_POLICY':
+      return {
+        ...state,
+        faceLabelPolicy: action.payload
+      };
+
     case 'SET_MODAL_OPEN':
       return {
         ...state,
@@ -540,7 +767,7 @@ function annotationReducer(state, action) {
 }
 
 export function AnnotationProvider({ children }) {
-  const [state, dispatch] = useReducer(annotationReducer, initialState);
+  const [state, dispatch] = useReducer(undoableReducer, initialState);
 
   return (
     <AnnotationContext.Provider value={{ state, dispatch }}>
@@ -0,0 +1,110 @@
+/**
+ * @file annotationIO.js
+ * Parsing and export without the DOM: files go in as buffers, labeled data comes out in LOAD_FILE_DATA shape, and
+ * exports come back as `{data, fileName, mimeType}`. Runs in Node and in workers as well as on the main thread.
+ *
+ * The browser adds what needs a document on top: the download of exported files (download.js), KTX2 transcoding
+ * (ktx2Support.js, registered with `setKTX2SupportDetector`) and PLY parsing in a worker (plyWorker.js).
+ * Decoding Draco geometry and LAZ still needs the browser decoders (workers / fetch of `decoderPaths.js`).
+ */
+
+import { parseGLB, isGLBFile, isGLTFFile } from './glbParser';
+import { parseTileContainer, isB3DMFile, isI3DMFile } from './b3dmParser';
+import { parseOBJ, isOBJFile } from './objParser';
+import { parseLAS, isLASFile } from './lasParser';
+import { parsePCD, isPCDFile } from './pcdParser';
+import { parseKITTIScan, isKITTIScanFile } from './kittiParser';
+import { parsePLY } from './plyParser';
+import { createPLYFile } from './plyExporter';
+import { createPCDFile } from './pcdExporter';
+import { createLASFile } from './lasExporter';
+import { createKITTILabelFile } from './kittiExporter';
+import { createGLBFile, createRoundTripGLBFile } from './glbExporter';
+
+export { parseTileset } from './tilesetParser';
+
+export const EXPORT_FORMATS = {
+  PLY: 'ply',
+  PCD: 'pcd',
+  LAS: 'las',
+  KITTI_LABEL: 'kitti_label',
+  GLB: 'glb',
+  ROUND_TRIP_GLB: 'round_trip_glb',
+};
+
+/**
+ * Parses a 3D file, choosing the parser by its name; unknown extensions are read as PLY.
+ * @param {ArrayBuffer} buffer - File content.
+ * @param {string} fileName - File name.
+ * @param {Object} [options]
+ * @param {Map<string, ArrayBuffer|string>} [options.materialMap] - Files loaded with it: MTL and textures, PLY
+ * textures, the `.label` of a SemanticKITTI scan.
+ * @param {(path: string) => Promise<ArrayBuffer|null>} [options.readFile] - Reads the external buffers and textures
+ * of a .gltf, see `parseGLB`.
+ * @param {string} [options.resourcePath] - Path of the .gltf among the files `readFile` reads.
+ * @param {Function} [options.chooseOBJLabelSource] - Picks the OBJ label source, see `parseOBJ`.
+ * @param {Function} [options.plyParser] - Replaces `parsePLY`, e.g. with `parsePLYInWorker`.
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - PLY parsing progress in bytes.
+ * @returns {Promise<Object>} Parse result in LOAD_FILE_DATA shape.
+ */
+export async function parseFile(buffer, fileName, {
+  materialMap = new Map(), readFile, resourcePath, chooseOBJLabelSource, plyParser = parsePLY, onProgress,
+} = {}) {
+  if (isGLBFile(fileName) || isGLTFFile(fileName)) {
+    return parseGLB(buffer, fileName, { readFile, resourcePath });
+  }
+  if (isB3DMFile(fileName) || isI3DMFile(fileName)) {
+    return parseTileContainer(buffer, fileName);
+  }
+  if (isOBJFile(fileName)) {
+    return parseOBJ(buffer, fileName, materialMap, { chooseLabelSource: chooseOBJLabelSource });
+  }
+  if (isLASFile(fileName)) {
+    return parseLAS(buffer, fileName);
+  }
+  if (isPCDFile(fileName)) {
+    return parsePCD(buffer);
+  }
+  if (isKITTIScanFile(fileName)) {
+    return parseKITTIScan(buffer, fileName, materialMap);
+  }
+  return plyParser(buffer, materialMap, { onProgress });
+}
+
+/**
+ * Exports loaded data with its labels.
+ * @param {string} format - One of `EXPORT_FORMATS`.
+ * @param {Object} data - The store state or the data of one layer (`getLayerData`): `points`, `faces`, `hasMesh`,
+ * `fileName`, `fileHeader`, `materials`, `textureFile`, `lasSource`, `originalScene`, `interactionMapping`,
+ * `roundTripSource`.
+ * @param {Array} labels - Label definitions.
+ * @param {Object} [options]
+ * @param {string} [options.format] - PLY / PCD encoding, see `PLY_FORMATS` / `PCD_FORMATS`.
+ * @param {boolean} [options.writeMeshFeatures] - GLB: also write EXT_mesh_features, see `createGLBFile`.
+ * @param {string} [options.faceLabelEncoding] - GLB: faceLabels encoding, see faceLabelEncoding.js.
+ * @returns {Promise<{data: ArrayBuffer|Uint8Array|string, fileName: string, mimeType: string}>}
+ */
+export async function exportFile(format, data, labels = [], options = {}) {
+  const { points, hasMesh, fileName, fileHeader = null } = data;
+  const faces = hasMesh ? data.faces : null;
+
+  switch (format) {
+    case EXPORT_FORMATS.PLY:
+      return createPLYFile(points, fileName, faces, data.materials, data.textureFile, labels, fileHeader, { format: options.format });
+    case EXPORT_FORMATS.PCD:
+      return createPCDFile(points, fileName, labels, fileHeader, { format: options.format });
+    case EXPORT_FORMATS.LAS:
+      return createLASFile(points, data.lasSource, fileName);
+    case EXPORT_FORMATS.KITTI_LABEL:
+      return createKITTILabelFile(points, fileHeader, fileName);
+    case EXPORT_FORMATS.GLB:
+      return createGLBFile(data.originalScene, data.interactionMapping, points, fileName, faces, labels, fileHeader, {
+        writeMeshFeatures: Boolean(faces) && options.writeMeshFeatures,
+        faceLabelEncoding: options.faceLabelEncoding,
+      });
+    case EXPORT_FORMATS.ROUND_TRIP_GLB:
+      return createRoundTripGLBFile(data.roundTripSource, data.interactionMapping, faces, labels, fileName, options.faceLabelEncoding);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
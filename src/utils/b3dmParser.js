@@ -0,0 +1,375 @@
+/**
+ * @file b3dmParser.js
+ * Unwrapping of the 3D Tiles container formats that embed glTF:
+ * - b3dm (Batched 3D Model): glTF with per-vertex batch IDs (`_BATCHID`) and a batch table
+ * - i3dm (Instanced 3D Model): one glTF placed once per instance, each instance with its own batch ID
+ *
+ * Both carry a feature table (e.g. `RTC_CENTER`, instance positions) and a batch table with per-batch properties.
+ * The loaded content is converted to the z-up tile coordinate system; the batch table is attached to
+ * `userData.batchTable` of the returned content root, so batch IDs can be used as a label source (see batchLabels.js).
+ */
+
+import * as THREE from 'three';
+import { createGLTFLoader, loadGLTF, buildSceneData } from './glbParser';
+
+// glTF content is y-up while 3D Tiles are z-up, the spec rotates glTF content by +90° about X before any tile transform
+export const Y_UP_TO_Z_UP = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+
+const B3DM_HEADER_LENGTH = 28;
+const I3DM_HEADER_LENGTH = 32;
+// A header field this large is really the start of the 'glTF' magic: the file uses one of the legacy b3dm headers
+const LEGACY_HEADER_THRESHOLD = 570425344;
+
+const COMPONENT_TYPES = {
+  BYTE: Int8Array,
+  UNSIGNED_BYTE: Uint8Array,
+  SHORT: Int16Array,
+  UNSIGNED_SHORT: Uint16Array,
+  INT: Int32Array,
+  UNSIGNED_INT: Uint32Array,
+  FLOAT: Float32Array,
+  DOUBLE: Float64Array,
+};
+
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+// WGS84 ellipsoid radii, used for the east-north-up frame of i3dm instances
+const WGS84_RADII_SQUARED = new THREE.Vector3(6378137.0 ** 2, 6378137.0 ** 2, 6356752.3142451793 ** 2);
+
+/**
+ * 检查文件是否为b3dm格式
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为b3dm文件
+ */
+export function isB3DMFile(fileName) {
+  return fileName.toLowerCase().endsWith('.b3dm');
+}
+
+/**
+ * 检查文件是否为i3dm格式
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为i3dm文件
+ */
+export function isI3DMFile(fileName) {
+  return fileName.toLowerCase().endsWith('.i3dm');
+}
+
+function readMagic(buffer) {
+  const bytes = new Uint8Array(buffer, 0, 4);
+  return String.fromCharCode(...bytes);
+}
+
+function readJSONChunk(buffer, byteOffset, byteLength) {
+  if (byteLength === 0) return {};
+  const text = new TextDecoder().decode(new Uint8Array(buffer, byteOffset, byteLength));
+  // Chunks are padded with spaces (or, in older writers, null bytes) to an 8-byte boundary
+  return JSON.parse(text.replace(/\0+$/, ''));
+}
+
+function readBinaryChunk(buffer, byteOffset, byteLength) {
+  return buffer.slice(byteOffset, byteOffset + byteLength);
+}
+
+/**
+ * Reads a feature table or batch table property that is stored either inline in the JSON or in the binary body.
+ * @returns {Array|TypedArray|null} Flat component array, or null if the property is missing.
+ */
+function readTableProperty(table, name, count, type, defaultComponentType) {
+  const value = table.json[name];
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.flat();
+  if (typeof value !== 'object' || value.byteOffset === undefined) return [value];
+
+  const ArrayType = COMPONENT_TYPES[value.componentType || defaultComponentType];
+  const componentCount = count * TYPE_COMPONENTS[value.type || type];
+  const byteLength = componentCount * ArrayType.BYTES_PER_ELEMENT;
+  // Copy the range: the binary body offsets are not guaranteed to be aligned for the component type
+  return new ArrayType(table.binary.slice(value.byteOffset, value.byteOffset + byteLength));
+}
+
+/**
+ * Reads all properties of a batch table into per-batch arrays.
+ * Vector properties stored in the binary body are regrouped into one array per batch.
+ * @returns {{batchLength: number, properties: Object<string, Array>}} The batch table.
+ */
+function readBatchTable(table, batchLength) {
+  const properties = {};
+  Object.entries(table.json).forEach(([name, value]) => {
+    if (name === 'extensions' || name === 'extras') return;
+    if (Array.isArray(value)) {
+      properties[name] = value;
+      return;
+    }
+    if (value && typeof value === 'object' && value.byteOffset !== undefined) {
+      const components = TYPE_COMPONENTS[value.type] || 1;
+      const flat = readTableProperty(table, name, batchLength, value.type, value.componentType);
+      properties[name] = components === 1
+        ? Array.from(flat)
+        : Array.from({ length: batchLength }, (_, i) => Array.from(flat.subarray(i * components, (i + 1) * components)));
+    }
+  });
+  return { batchLength, properties };
+}
+
+function readRTCCenter(featureTable) {
+  const rtcCenter = readTableProperty(featureTable, 'RTC_CENTER', 1, 'VEC3', 'FLOAT');
+  return rtcCenter ? new THREE.Vector3(rtcCenter[0], rtcCenter[1], rtcCenter[2]) : null;
+}
+
+/**
+ * Splits a b3dm file into its feature table, batch table and embedded GLB.
+ * @param {ArrayBuffer} buffer - The b3dm file content.
+ * @returns {{glb: ArrayBuffer, featureTable: Object, batchTable: Object, rtcCenter: THREE.Vector3|null}}
+ */
+export function unwrapB3DM(buffer) {
+  if (readMagic(buffer) !== 'b3dm') {
+    throw new Error('不是有效的 b3dm 文件');
+  }
+  const view = new DataView(buffer);
+  const byteLength = Math.min(view.getUint32(8, true), buffer.byteLength);
+  let headerLength = B3DM_HEADER_LENGTH;
+  let featureTableJSONByteLength = view.getUint32(12, true);
+  let featureTableBinaryByteLength = view.getUint32(16, true);
+  let batchTableJSONByteLength = view.getUint32(20, true);
+  let batchTableBinaryByteLength = view.getUint32(24, true);
+  let legacyBatchLength = null;
+
+  if (batchTableJSONByteLength >= LEGACY_HEADER_THRESHOLD) {
+    // Legacy header: [magic, version, byteLength, batchLength, batchTableByteLength]
+    headerLength -= 8;
+    legacyBatchLength = featureTableJSONByteLength;
+    batchTableJSONByteLength = featureTableBinaryByteLength;
+    batchTableBinaryByteLength = 0;
+    featureTableJSONByteLength = 0;
+    featureTableBinaryByteLength = 0;
+  } else if (batchTableBinaryByteLength >= LEGACY_HEADER_THRESHOLD) {
+    // Legacy header: [magic, version, byteLength, batchTableJSONByteLength, batchTableBinaryByteLength, batchLength]
+    headerLength -= 4;
+    legacyBatchLength = batchTableJSONByteLength;
+    batchTableJSONByteLength = featureTableJSONByteLength;
+    batchTableBinaryByteLength = featureTableBinaryByteLength;
+    featureTableJSONByteLength = 0;
+    featureTableBinaryByteLength = 0;
+  }
+
+  let offset = headerLength;
+  const featureTable = {
+    json: readJSONChunk(buffer, offset, featureTableJSONByteLength),
+    binary: readBinaryChunk(buffer, offset + featureTableJSONByteLength, featureTableBinaryByteLength),
+  };
+  offset += featureTableJSONByteLength + featureTableBinaryByteLength;
+
+  const batchTableChunk = {
+    json: readJSONChunk(buffer, offset, batchTableJSONByteLength),
+    binary: readBinaryChunk(buffer, offset + batchTableJSONByteLength, batchTableBinaryByteLength),
+  };
+  offset += batchTableJSONByteLength + batchTableBinaryByteLength;
+
+  const batchLength = legacyBatchLength ?? featureTable.json.BATCH_LENGTH ?? 0;
+
+  return {
+    glb: buffer.slice(offset, byteLength),
+    featureTable,
+    batchTable: readBatchTable(batchTableChunk, batchLength),
+    rtcCenter: readRTCCenter(featureTable),
+  };
+}
+
+// Decodes an oct-encoded unit vector (16 bits per component), as used by NORMAL_UP_OCT32P / NORMAL_RIGHT_OCT32P
+function octDecode(x, y) {
+  let nx = (x / 65535) * 2 - 1;
+  let ny = (y / 65535) * 2 - 1;
+  const nz = 1 - Math.abs(nx) - Math.abs(ny);
+  if (nz < 0) {
+    const oldX = nx;
+    nx = (1 - Math.abs(ny)) * (oldX < 0 ? -1 : 1);
+    ny = (1 - Math.abs(oldX)) * (ny < 0 ? -1 : 1);
+  }
+  return new THREE.Vector3(nx, ny, nz).normalize();
+}
+
+function readInstanceVector(values, i, decodeOct) {
+  if (!values) return null;
+  return decodeOct
+    ? octDecode(values[i * 2], values[i * 2 + 1])
+    : new THREE.Vector3(values[i * 3], values[i * 3 + 1], values[i * 3 + 2]);
+}
+
+/**
+ * Splits an i3dm file into its feature table, batch table, glTF (embedded GLB or external URI) and the
+ * transform of each instance.
+ * @param {ArrayBuffer} buffer - The i3dm file content.
+ * @returns {{glb: ArrayBuffer|null, uri: string|null, instances: Array<{matrix: THREE.Matrix4, batchId: number}>,
+ * batchTable: Object, rtcCenter: THREE.Vector3|null}}
+ */
+export function unwrapI3DM(buffer) {
+  if (readMagic(buffer) !== 'i3dm') {
+    throw new Error('不是有效的 i3dm 文件');
+  }
+  const view = new DataView(buffer);
+  const byteLength = Math.min(view.getUint32(8, true), buffer.byteLength);
+  const featureTableJSONByteLength = view.getUint32(12, true);
+  const featureTableBinaryByteLength = view.getUint32(16, true);
+  const batchTableJSONByteLength = view.getUint32(20, true);
+  const batchTableBinaryByteLength = view.getUint32(24, true);
+  const gltfFormat = view.getUint32(28, true); // 0: URI of an external glTF, 1: embedded GLB
+
+  let offset = I3DM_HEADER_LENGTH;
+  const featureTable = {
+    json: readJSONChunk(buffer, offset, featureTableJSONByteLength),
+    binary: readBinaryChunk(buffer, offset + featureTableJSONByteLength, featureTableBinaryByteLength),
+  };
+  offset += featureTableJSONByteLength + featureTableBinaryByteLength;
+
+  const batchTableChunk = {
+    json: readJSONChunk(buffer, offset, batchTableJSONByteLength),
+    binary: readBinaryChunk(buffer, offset + batchTableJSONByteLength, batchTableBinaryByteLength),
+  };
+  offset += batchTableJSONByteLength + batchTableBinaryByteLength;
+
+  const count = featureTable.json.INSTANCES_LENGTH || 0;
+  const rtcCenter = readRTCCenter(featureTable);
+
+  // Positions are either plain floats or quantized into the volume given by QUANTIZED_VOLUME_OFFSET / _SCALE
+  let positions = readTableProperty(featureTable, 'POSITION', count, 'VEC3', 'FLOAT');
+  if (!positions) {
+    const quantized = readTableProperty(featureTable, 'POSITION_QUANTIZED', count, 'VEC3', 'UNSIGNED_SHORT');
+    const volumeOffset = readTableProperty(featureTable, 'QUANTIZED_VOLUME_OFFSET', 1, 'VEC3', 'FLOAT');
+    const volumeScale = readTableProperty(featureTable, 'QUANTIZED_VOLUME_SCALE', 1, 'VEC3', 'FLOAT');
+    if (!quantized || !volumeOffset || !volumeScale) {
+      throw new Error('i3dm 缺少实例位置 (POSITION 或 POSITION_QUANTIZED)');
+    }
+    positions = Array.from(quantized, (q, i) => volumeOffset[i % 3] + (q / 65535) * volumeScale[i % 3]);
+  }
+
+  const octUp = readTableProperty(featureTable, 'NORMAL_UP_OCT32P', count, 'VEC2', 'UNSIGNED_SHORT');
+  const octRight = readTableProperty(featureTable, 'NORMAL_RIGHT_OCT32P', count, 'VEC2', 'UNSIGNED_SHORT');
+  const normalUp = octUp || readTableProperty(featureTable, 'NORMAL_UP', count, 'VEC3', 'FLOAT');
+  const normalRight = octRight || readTableProperty(featureTable, 'NORMAL_RIGHT', count, 'VEC3', 'FLOAT');
+  const eastNorthUp = featureTable.json.EAST_NORTH_UP === true;
+  const scales = readTableProperty(featureTable, 'SCALE', count, 'SCALAR', 'FLOAT');
+  const nonUniformScales = readTableProperty(featureTable, 'SCALE_NON_UNIFORM', count, 'VEC3', 'FLOAT');
+  const batchIds = readTableProperty(featureTable, 'BATCH_ID', count, 'SCALAR', 'UNSIGNED_SHORT');
+
+  const instances = [];
+  for (let i = 0; i < count; i++) {
+    const position = new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    const worldPosition = rtcCenter ? position.clone().add(rtcCenter) : position;
+
+    // Rotation columns: right, up, forward (right × up)
+    let right = readInstanceVector(normalRight, i, !!octRight);
+    let up = readInstanceVector(normalUp, i, !!octUp);
+    if ((!right || !up) && eastNorthUp) {
+      up = worldPosition.clone().divide(WGS84_RADII_SQUARED).normalize(); // Geodetic surface normal
+      right = new THREE.Vector3(-worldPosition.y, worldPosition.x, 0).normalize(); // East
+      up = new THREE.Vector3().crossVectors(up, right); // North
+    }
+    const rotation = new THREE.Matrix4();
+    if (right && up) {
+      rotation.makeBasis(right, up, new THREE.Vector3().crossVectors(right, up));
+    }
+
+    const scale = new THREE.Vector3(1, 1, 1);
+    if (nonUniformScales) scale.set(nonUniformScales[i * 3], nonUniformScales[i * 3 + 1], nonUniformScales[i * 3 + 2]);
+    if (scales) scale.multiplyScalar(scales[i]);
+
+    const matrix = new THREE.Matrix4().makeTranslation(position.x, position.y, position.z)
+      .multiply(rotation)
+      .multiply(new THREE.Matrix4().makeScale(scale.x, scale.y, scale.z));
+
+    instances.push({ matrix, batchId: batchIds ? batchIds[i] : i });
+  }
+
+  const body = buffer.slice(offset, byteLength);
+  return {
+    glb: gltfFormat === 1 ? body : null,
+    uri: gltfFormat === 0 ? new TextDecoder().decode(body).replace(/\0+$/, '').trim() : null,
+    instances,
+    batchTable: readBatchTable(batchTableChunk, featureTable.json.BATCH_LENGTH ?? count),
+    rtcCenter,
+  };
+}
+
+function wrapContent(name, matrix, ...children) {
+  const node = new THREE.Group();
+  node.name = name;
+  node.matrixAutoUpdate = false;
+  node.matrix.copy(matrix);
+  children.forEach(child => node.add(child));
+  return node;
+}
+
+/**
+ * Loads tile content (GLB/glTF, b3dm or i3dm) and converts it to z-up tile coordinates.
+ *
+ * @param {GLTFLoader} loader - Loader created by `createGLTFLoader`.
+ * @param {ArrayBuffer} buffer - File content.
+ * @param {Object} [options]
+ * @param {string} [options.path] - Path of the file, used to resolve external resources and as node name.
+ * @param {string} [options.upAxis] - Up axis of the embedded glTF ('Y' per spec, 'Z' for some legacy tilesets).
+ * @param {(path: string) => Promise<ArrayBuffer|null>} [options.resolveGLTF] - Reads the external glTF of an
+ * i3dm with `gltfFormat` 0, given its URI.
+ * @returns {Promise<THREE.Object3D>} The content root. For b3dm/i3dm `userData.batchTable` holds the batch table,
+ * and every i3dm instance node has `userData.instanceBatchId`.
+ */
+export async function loadTileContent(loader, buffer, { path = '', upAxis = 'Y', resolveGLTF } = {}) {
+  const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+  const axisMatrix = upAxis.toUpperCase() === 'Y' ? Y_UP_TO_Z_UP : new THREE.Matrix4();
+  const magic = readMagic(buffer);
+
+  if (magic === 'b3dm') {
+    const { glb, batchTable, rtcCenter } = unwrapB3DM(buffer);
+    const gltf = await loadGLTF(loader, glb, dir);
+    const matrix = new THREE.Matrix4();
+    if (rtcCenter) matrix.makeTranslation(rtcCenter.x, rtcCenter.y, rtcCenter.z);
+    const root = wrapContent(path, matrix.multiply(axisMatrix), gltf.scene);
+    root.userData.batchTable = batchTable;
+    return root;
+  }
+
+  if (magic === 'i3dm') {
+    const { glb, uri, instances, batchTable, rtcCenter } = unwrapI3DM(buffer);
+    let gltfContent = glb;
+    if (!gltfContent) {
+      gltfContent = resolveGLTF ? await resolveGLTF(uri) : null;
+      if (!gltfContent) throw new Error(`找不到 i3dm 引用的外部 glTF: ${uri}`);
+    }
+    const gltf = await loadGLTF(loader, gltfContent, dir);
+
+    const rtcMatrix = new THREE.Matrix4();
+    if (rtcCenter) rtcMatrix.makeTranslation(rtcCenter.x, rtcCenter.y, rtcCenter.z);
+    const root = wrapContent(path, rtcMatrix);
+    instances.forEach(({ matrix, batchId }, i) => {
+      // Every instance becomes its own set of faces. The viewer keeps per-face visibility on the geometry (filtered
+      // index, visibleFaceIndices), so each instance gets its own geometry; materials stay shared
+      const instanceScene = gltf.scene.clone();
+      instanceScene.traverse((node) => {
+        if (node.isMesh) node.geometry = node.geometry.clone();
+      });
+      const instance = wrapContent(`${path}#${i}`, matrix.clone().multiply(axisMatrix), instanceScene);
+      instance.userData.instanceBatchId = batchId;
+      root.add(instance);
+    });
+    root.userData.batchTable = batchTable;
+    return root;
+  }
+
+  const gltf = await loadGLTF(loader, buffer, dir);
+  return wrapContent(path, axisMatrix, gltf.scene);
+}
+
+/**
+ * 解析单独的 b3dm / i3dm 文件
+ * @param {ArrayBuffer} buffer - 文件的二进制内容
+ * @param {string} fileName - 文件名
+ * @returns {Promise<Object>} 解析结果，批次表挂在内容根节点的 userData.batchTable 上
+ */
+export async function parseTileContainer(buffer, fileName) {
+  const { loader, dispose } = createGLTFLoader();
+  try {
+    const content = await loadTileContent(loader, buffer, { path: fileName });
+    return buildSceneData(content, fileName);
+  } finally {
+    dispose();
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * @file batchLabels.js
+ * Batch IDs of b3dm / i3dm content as a label source.
+ *
+ * Every face of batched content belongs to a batch: b3dm meshes carry a per-vertex `_BATCHID` attribute,
+ * i3dm instances have one batch ID each. The batch table (see b3dmParser.js) attaches properties to the batches,
+ * e.g. a class name. Faces can be labeled by their batch ID or by the value of a batch table property.
+ */
+
+// Batch ID attribute names as GLTFLoader exposes them (lower-cased glTF attribute names)
+const BATCH_ID_ATTRIBUTES = ['_batchid', 'batchid'];
+
+// Pseudo property: label faces by the raw batch ID
+export const BATCH_ID_SOURCE = '__batchId';
+
+function findBatchContext(node) {
+  let instanceBatchId;
+  let batchTable = null;
+  for (let current = node; current; current = current.parent) {
+    if (instanceBatchId === undefined && current.userData?.instanceBatchId !== undefined) {
+      instanceBatchId = current.userData.instanceBatchId;
+    }
+    if (current.userData?.batchTable) {
+      batchTable = current.userData.batchTable;
+      break;
+    }
+  }
+  return { instanceBatchId, batchTable };
+}
+
+function getBatchIdAttribute(geometry) {
+  const name = BATCH_ID_ATTRIBUTES.find(attributeName => geometry.attributes[attributeName]);
+  return name ? geometry.attributes[name] : null;
+}
+
+/**
+ * Calls `callback(faceIndex, batchId, batchTable)` for every face that belongs to a batch.
+ */
+function forEachBatchedFace(interactionMapping, callback) {
+  interactionMapping.meshToFaceRange.forEach(({ start, end, node }) => {
+    const { instanceBatchId, batchTable } = findBatchContext(node);
+    const attribute = getBatchIdAttribute(node.geometry);
+    if (instanceBatchId === undefined && !attribute) return;
+
+    // The viewer replaces the index with the visible faces while labels are hidden, the full one is kept aside
+    const index = node.geometry.userData.originalIndex ?? node.geometry.index?.array;
+    for (let faceIndex = start; faceIndex < end; faceIndex++) {
+      let batchId = instanceBatchId;
+      if (batchId === undefined) {
+        const corner = (faceIndex - start) * 3;
+        batchId = attribute.getX(index ? index[corner] : corner);
+      }
+      callback(faceIndex, batchId, batchTable);
+    }
+  });
+}
+
+/**
+ * Lists the label sources available in the loaded scene.
+ * @param {Object|null} interactionMapping - Interaction mapping built by the GLB parser.
+ * @returns {{hasBatchIds: boolean, properties: Array<string>}} Whether any face has a batch ID,
+ * and the names of the batch table properties across all batch tables.
+ */
+export function getBatchLabelSources(interactionMapping) {
+  const sources = { hasBatchIds: false, properties: [] };
+  if (!interactionMapping) return sources;
+
+  const properties = new Set();
+  interactionMapping.meshToFaceRange.forEach(({ node }) => {
+    const { instanceBatchId, batchTable } = findBatchContext(node);
+    if (instanceBatchId === undefined && !getBatchIdAttribute(node.geometry)) return;
+    sources.hasBatchIds = true;
+    Object.keys(batchTable?.properties || {}).forEach(name => properties.add(name));
+  });
+  sources.properties = Array.from(properties).sort();
+  return sources;
+}
+
+/**
+ * Groups the batched faces by label source value.
+ * Faces whose batch has no value for the property are left out.
+ *
+ * @param {Object} interactionMapping - Interaction mapping built by the GLB parser.
+ * @param {string} source - A batch table property name, or `BATCH_ID_SOURCE`.
+ * @returns {{values: Array<string>, faceIndices: Array<number>, valueIndices: Array<number>}}
+ * The distinct values in order of appearance, and for each labeled face the index of its value.
+ */
+export function groupFacesByBatchValue(interactionMapping, source) {
+  const valueIndexByKey = new Map();
+  const values = [];
+  const faceIndices = [];
+  const valueIndices = [];
+
+  forEachBatchedFace(interactionMapping, (faceIndex, batchId, batchTable) => {
+    const value = source === BATCH_ID_SOURCE ? batchId : batchTable?.properties[source]?.[batchId];
+    if (value === undefined || value === null || value === '') return;
+
+    const key = Array.isArray(value) ? value.join(', ') : String(value);
+    let valueIndex = valueIndexByKey.get(key);
+    if (valueIndex === undefined) {
+      valueIndex = values.length;
+      valueIndexByKey.set(key, valueIndex);
+      values.push(key);
+    }
+    faceIndices.push(faceIndex);
+    valueIndices.push(valueIndex);
+  });
+
+  return { values, faceIndices, valueIndices };
+}
@@ -0,0 +1,48 @@
+/**
+ * @file decoderPaths.js
+ * Locations of the Draco decoder, the Basis (KTX2) transcoder and the LASzip (laz-perf) decoder.
+ *
+ * The decoders are shipped with the app under `public/decoders/`, so compressed GLBs and LAZ files load without any network
+ * access. The base path defaults to `decoders/` next to the app and can be overridden at build time with the
+ * `VITE_DECODER_BASE_PATH` environment variable, or at runtime with `setDecoderBasePath`. Outside a Vite build
+ * (Node) there is no `import.meta.env` and the path is relative to `/`.
+ */
+
+const env = import.meta.env || {};
+
+const DEFAULT_DECODER_BASE_PATH = `${env.BASE_URL || '/'}decoders/`;
+
+let decoderBasePath = env.VITE_DECODER_BASE_PATH || DEFAULT_DECODER_BASE_PATH;
+
+function withTrailingSlash(path) {
+  return path.endsWith('/') ? path : `${path}/`;
+}
+
+/**
+ * Overrides the base path the decoders are loaded from. Loaders created afterwards use the new path.
+ * @param {string} path - Directory URL containing `draco/`, `basis/` and `laz-perf/` subdirectories.
+ */
+export function setDecoderBasePath(path) {
+  decoderBasePath = path || DEFAULT_DECODER_BASE_PATH;
+}
+
+/**
+ * @returns {string} Directory of `draco_decoder.js`, `draco_decoder.wasm` and `draco_wasm_wrapper.js`.
+ */
+export function getDracoDecoderPath() {
+  return `${withTrailingSlash(decoderBasePath)}draco/`;
+}
+
+/**
+ * @returns {string} Directory of `basis_transcoder.js` and `basis_transcoder.wasm`.
+ */
+export function getBasisTranscoderPath() {
+  return `${withTrailingSlash(decoderBasePath)}basis/`;
+}
+
+/**
+ * @returns {string} Directory of `laz-perf.wasm`.
+ */
+export function getLazPerfPath() {
+  return `${withTrailingSlash(decoderBasePath)}laz-perf/`;
+}
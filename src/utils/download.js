@@ -0,0 +1,24 @@
+/**
+ * @file download.js
+ * Browser download of exported files. The exporters build their files as `{data, fileName, mimeType}` without
+ * touching the DOM (see annotationIO.js); only this last step needs a document.
+ */
+
+/**
+ * Saves a file through a temporary download link.
+ * @param {{data: ArrayBuffer|Uint8Array|string|Blob, fileName: string, mimeType: string}} file - File to save.
+ */
+export function downloadFile({ data, fileName, mimeType }) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Revoked later, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
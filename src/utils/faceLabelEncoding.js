@@ -0,0 +1,117 @@
+/**
+ * @file faceLabelEncoding.js
+ * Encodings of `extras.faceLabels`.
+ *
+ * - `array` (default, original format): a plain JSON integer array, one label ID per triangle.
+ * - `rle`: `{encoding: 'rle', count, runs: [labelId, runLength, labelId, runLength, ...]}`. Compact for the
+ *   contiguous regions labeling usually produces, and still pure JSON.
+ * - `accessor`: `{encoding: 'accessor', accessor}`, the index of a SCALAR accessor (UNSIGNED_BYTE / SHORT / INT)
+ *   in the binary chunk. Keeps the JSON chunk small for dense meshes.
+ *
+ * `decodeFaceLabels` turns the encoded forms back into plain arrays right after loading, so the rest of the parser
+ * only ever sees arrays.
+ */
+
+import * as THREE from 'three';
+
+export const FACE_LABEL_ENCODINGS = {
+  ARRAY: 'array',
+  RLE: 'rle',
+  ACCESSOR: 'accessor',
+};
+
+/**
+ * Run-length encodes face labels.
+ * @param {ArrayLike<number>} labelIds - Label ID per face.
+ * @returns {{encoding: 'rle', count: number, runs: Array<number>}}
+ */
+export function encodeRunLength(labelIds) {
+  const runs = [];
+  for (let i = 0; i < labelIds.length;) {
+    const labelId = labelIds[i];
+    let end = i + 1;
+    while (end < labelIds.length && labelIds[end] === labelId) end++;
+    runs.push(labelId, end - i);
+    i = end;
+  }
+  return { encoding: FACE_LABEL_ENCODINGS.RLE, count: labelIds.length, runs };
+}
+
+function decodeRunLength({ count, runs }) {
+  const labelIds = [];
+  for (let i = 0; i + 1 < runs.length; i += 2) {
+    for (let k = 0; k < runs[i + 1]; k++) labelIds.push(runs[i]);
+  }
+  // A truncated or overlong run list is left to the face label validation (see faceLabelValidation.js)
+  return count !== undefined && labelIds.length > count ? labelIds.slice(0, count) : labelIds;
+}
+
+/**
+ * Smallest unsigned typed array holding the label IDs, as an attribute for `GLTFExporter.processAccessor`.
+ * @param {Array<number>} labelIds - Label ID per face (non-negative).
+ * @returns {THREE.BufferAttribute}
+ */
+export function createFaceLabelAttribute(labelIds) {
+  const maxId = labelIds.reduce((max, id) => Math.max(max, id), 0);
+  const ArrayType = maxId < 256 ? Uint8Array : maxId < 65536 ? Uint16Array : Uint32Array;
+  return new THREE.BufferAttribute(ArrayType.from(labelIds), 1);
+}
+
+/**
+ * Replaces RLE and accessor encoded `faceLabels` in the userData of the loaded scene with plain arrays.
+ * Objects sharing one encoded value (the primitives of a multi-primitive mesh) share the decoded array.
+ *
+ * @param {Object} gltf - GLTFLoader result.
+ */
+export async function decodeFaceLabels(gltf) {
+  const encodedObjects = [];
+  gltf.scene.traverse(object => {
+    const faceLabels = object.userData?.faceLabels;
+    if (faceLabels && !Array.isArray(faceLabels) && typeof faceLabels === 'object') encodedObjects.push(object);
+  });
+
+  const decoded = new Map(); // encoded value -> Promise<Array>
+  const decode = async (encoded) => {
+    if (encoded.encoding === FACE_LABEL_ENCODINGS.RLE && Array.isArray(encoded.runs)) {
+      return decodeRunLength(encoded);
+    }
+    if (encoded.encoding === FACE_LABEL_ENCODINGS.ACCESSOR && Number.isInteger(encoded.accessor)) {
+      const attribute = await gltf.parser.getDependency('accessor', encoded.accessor);
+      return Array.from({ length: attribute.count }, (_, i) => attribute.getX(i));
+    }
+    console.warn('Unknown faceLabels encoding, labels ignored:', encoded.encoding);
+    return null;
+  };
+
+  for (const object of encodedObjects) {
+    const encoded = object.userData.faceLabels;
+    if (!decoded.has(encoded)) decoded.set(encoded, decode(encoded));
+    const labelIds = await decoded.get(encoded);
+    if (labelIds) object.userData.faceLabels = labelIds;
+    else delete object.userData.faceLabels;
+  }
+}
+
+/**
+ * GLTFExporter plugin writing the face labels of the registered meshes as an accessor referenced from the node extras.
+ * @returns {{setFaceLabels: Function, plugin: Function}} `setFaceLabels(mesh, labelIds)` for every mesh to export,
+ * and the plugin to register on the GLTFExporter.
+ */
+export function createFaceLabelAccessorExport() {
+  const labelsByMesh = new WeakMap();
+
+  const plugin = (writer) => ({
+    name: 'faceLabelAccessor',
+
+    writeNode(object, nodeDef) {
+      const labelIds = labelsByMesh.get(object);
+      if (!labelIds || labelIds.length === 0) return;
+      nodeDef.extras = {
+        ...nodeDef.extras,
+        faceLabels: { encoding: FACE_LABEL_ENCODINGS.ACCESSOR, accessor: writer.processAccessor(createFaceLabelAttribute(labelIds)) },
+      };
+    },
+  });
+
+  return { setFaceLabels: (mesh, labelIds) => labelsByMesh.set(mesh, labelIds), plugin };
+}
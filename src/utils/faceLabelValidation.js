@@ -0,0 +1,99 @@
+/**
+ * @file faceLabelValidation.js
+ * Load-time validation of `extras.faceLabels` against the mesh geometry.
+ *
+ * `faceLabels` must hold one positive integer label ID (or 0 for unlabeled) per triangle of the mesh.
+ * The report lists per mesh: face count vs. array length, negative and non-integer values, and IDs without a label
+ * definition. Structural problems (length mismatch, negative or non-integer values) are either repaired
+ * (truncate / pad, invalid values become unlabeled) or make the file load fail, depending on the policy.
+ */
+
+export const FACE_LABEL_POLICIES = {
+  TRUNCATE_PAD: 'truncatePad', // Ignore extra entries, leave missing faces unlabeled
+  REFUSE: 'refuse', // Do not load files with structural problems
+};
+
+export const DEFAULT_FACE_LABEL_POLICY = FACE_LABEL_POLICIES.TRUNCATE_PAD;
+
+/**
+ * Converts a `faceLabels` entry to a label ID; invalid values (negative, non-integer, non-numeric) become 0.
+ */
+export function sanitizeFaceLabel(value) {
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Validates the `faceLabels` array of one mesh.
+ *
+ * @param {Array<*>} faceLabels - The raw `faceLabels` array from the mesh extras.
+ * @param {number} faceCount - Number of triangles of the mesh.
+ * @returns {Object} `{faceCount, labelCount, extraCount, missingCount, negativeCount, nonIntegerCount, labelIds}`,
+ * where `labelIds` holds the valid label IDs used by the faces.
+ */
+export function validateFaceLabels(faceLabels, faceCount) {
+  const result = {
+    faceCount,
+    labelCount: faceLabels.length,
+    extraCount: Math.max(0, faceLabels.length - faceCount),
+    missingCount: Math.max(0, faceCount - faceLabels.length),
+    negativeCount: 0,
+    nonIntegerCount: 0,
+    labelIds: new Set(),
+  };
+
+  const checkedCount = Math.min(faceLabels.length, faceCount);
+  for (let i = 0; i < checkedCount; i++) {
+    const value = faceLabels[i];
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      if (value !== null && value !== undefined) result.nonIntegerCount++;
+    } else if (value < 0) {
+      result.negativeCount++;
+    } else if (value > 0) {
+      result.labelIds.add(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Whether a mesh entry of the report has a structural problem (refused by `FACE_LABEL_POLICIES.REFUSE`).
+ */
+export function hasStructuralIssues(mesh) {
+  return mesh.extraCount > 0 || mesh.missingCount > 0 || mesh.negativeCount > 0 || mesh.nonIntegerCount > 0;
+}
+
+/**
+ * Builds the validation report of a scene.
+ *
+ * @param {Array<Object>} meshResults - `validateFaceLabels` results extended with `meshId` and `meshName`.
+ * @param {Array<Object>} labelDefinitions - Merged label definitions of the scene.
+ * @returns {{meshes: Array<Object>, issueCount: number, structuralIssueCount: number}} Per mesh entries
+ * (with `unknownIds` instead of `labelIds`) and the number of meshes with any / with structural issues.
+ */
+export function buildFaceLabelReport(meshResults, labelDefinitions) {
+  const knownIds = new Set(labelDefinitions.map(label => label.id));
+  const meshes = meshResults.map(({ labelIds, ...mesh }) => ({
+    ...mesh,
+    unknownIds: Array.from(labelIds).filter(id => !knownIds.has(id)).sort((a, b) => a - b),
+  }));
+  return {
+    meshes,
+    issueCount: meshes.filter(mesh => hasStructuralIssues(mesh) || mesh.unknownIds.length > 0).length,
+    structuralIssueCount: meshes.filter(hasStructuralIssues).length,
+  };
+}
+
+/**
+ * Short human readable list of the problems of a mesh entry, e.g. `["12 labels for 10 faces", "unknown IDs 7, 9"]`.
+ */
+export function describeFaceLabelIssues(mesh) {
+  const issues = [];
+  if (mesh.extraCount > 0 || mesh.missingCount > 0) issues.push(`${mesh.labelCount} labels for ${mesh.faceCount} faces`);
+  if (mesh.negativeCount > 0) issues.push(`${mesh.negativeCount} negative IDs`);
+  if (mesh.nonIntegerCount > 0) issues.push(`${mesh.nonIntegerCount} non-integer values`);
+  if (mesh.unknownIds.length > 0) {
+    const shown = mesh.unknownIds.slice(0, 5).join(', ');
+    issues.push(`unknown IDs ${shown}${mesh.unknownIds.length > 5 ? ', ...' : ''}`);
+  }
+  return issues;
+}
@@ -0,0 +1,120 @@
+/**
+ * @file faceSpatialIndex.js
+ * Uniform grid over face centroids, used to find every face within a radius of a point
+ * (e.g. under the paint brush) without scanning the whole mesh.
+ */
+
+/**
+ * Builds a spatial index over the centroids of all faces.
+ * The cell size is derived from the data extent so that each cell holds a handful of faces on average.
+ *
+ * @param {Array<Object>} faces - The array of face objects, each with an `indices` array of point indices.
+ * @param {Array<Object>} points - The array of point objects, each with a `position` array.
+ * @returns {{cellSize: number, cells: Map<string, number[]>, centroids: Float32Array}} The spatial index.
+ */
+export function buildFaceSpatialIndex(faces, points) {
+  const centroids = new Float32Array(faces.length * 3);
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+  faces.forEach((face, faceIndex) => {
+    const indices = face.indices || face;
+    let x = 0, y = 0, z = 0;
+    for (const index of indices) {
+      const position = points[index].position;
+      x += position[0];
+      y += position[1];
+      z += position[2];
+    }
+    x /= indices.length;
+    y /= indices.length;
+    z /= indices.length;
+
+    centroids[faceIndex * 3] = x;
+    centroids[faceIndex * 3 + 1] = y;
+    centroids[faceIndex * 3 + 2] = z;
+
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z;
+    if (z > maxZ) maxZ = z;
+  });
+
+  // Aim for roughly 8 faces per cell if the faces were spread evenly over the bounding box.
+  // Flat axes (e.g. a planar tile) are left out, otherwise the volume and the cell size collapse to zero.
+  const extents = [maxX - minX, maxY - minY, maxZ - minZ].filter(extent => extent > 1e-9);
+  const measure = extents.reduce((product, extent) => product * extent, 1);
+  const cellSize = extents.length > 0
+    ? Math.pow((measure * 8) / Math.max(faces.length, 1), 1 / extents.length)
+    : 1;
+
+  const cells = new Map();
+  for (let faceIndex = 0; faceIndex < faces.length; faceIndex++) {
+    const key = cellKey(
+      Math.floor(centroids[faceIndex * 3] / cellSize),
+      Math.floor(centroids[faceIndex * 3 + 1] / cellSize),
+      Math.floor(centroids[faceIndex * 3 + 2] / cellSize)
+    );
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = [];
+      cells.set(key, cell);
+    }
+    cell.push(faceIndex);
+  }
+
+  return { cellSize, cells, centroids };
+}
+
+/**
+ * Returns the indices of all faces whose centroid lies within `radius` of `center`.
+ *
+ * @param {{cellSize: number, cells: Map<string, number[]>, centroids: Float32Array}} index - Index built by `buildFaceSpatialIndex`.
+ * @param {[number, number, number]} center - Query center, in point coordinates.
+ * @param {number} radius - Query radius, in point coordinates.
+ * @returns {Array<number>} The matching face indices.
+ */
+export function queryFacesInSphere(index, center, radius) {
+  const { cellSize, cells, centroids } = index;
+  const [cx, cy, cz] = center;
+  const radiusSq = radius * radius;
+  const result = [];
+
+  const testCell = (cell) => {
+    for (const faceIndex of cell) {
+      const dx = centroids[faceIndex * 3] - cx;
+      const dy = centroids[faceIndex * 3 + 1] - cy;
+      const dz = centroids[faceIndex * 3 + 2] - cz;
+      if (dx * dx + dy * dy + dz * dz <= radiusSq) {
+        result.push(faceIndex);
+      }
+    }
+  };
+
+  const minCell = [cx - radius, cy - radius, cz - radius].map(v => Math.floor(v / cellSize));
+  const maxCell = [cx + radius, cy + radius, cz + radius].map(v => Math.floor(v / cellSize));
+
+  // A radius covering more grid cells than are occupied is cheaper to answer by scanning the occupied cells
+  const spannedCells = (maxCell[0] - minCell[0] + 1) * (maxCell[1] - minCell[1] + 1) * (maxCell[2] - minCell[2] + 1);
+  if (spannedCells > cells.size) {
+    cells.forEach(testCell);
+    return result;
+  }
+
+  for (let ix = minCell[0]; ix <= maxCell[0]; ix++) {
+    for (let iy = minCell[1]; iy <= maxCell[1]; iy++) {
+      for (let iz = minCell[2]; iz <= maxCell[2]; iz++) {
+        const cell = cells.get(cellKey(ix, iy, iz));
+        if (cell) testCell(cell);
+      }
+    }
+  }
+
+  return result;
+}
+
+function cellKey(ix, iy, iz) {
+  return `${ix},${iy},${iz}`;
+}
@@ -1,18 +1,36 @@
+import * as THREE from 'three';
+
+/**
+ * Builds a fast containment test for an annotation box.
+ * The box is `{ position, size, rotation? }` in point coordinates, `rotation` being XYZ Euler angles in radians.
+ * Points are moved into the box's local frame once per call, so rotated boxes cost the same as axis-aligned ones.
+ * @param {{position: number[], size: number[], rotation?: number[]}} box - Annotation box
+ * @returns {(x: number, y: number, z: number) => boolean} Containment predicate
+ */
+export function createBoxTester(box) {
+  const [halfWidth, halfHeight, halfDepth] = box.size.map(value => Math.abs(value) / 2);
+  const [rx = 0, ry = 0, rz = 0] = box.rotation || [];
+
+  const worldToBox = new THREE.Matrix4()
+    .compose(
+      new THREE.Vector3().fromArray(box.position),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(rx, ry, rz)),
+      new THREE.Vector3(1, 1, 1)
+    )
+    .invert();
+  const local = new THREE.Vector3();
+
+  return (x, y, z) => {
+    local.set(x, y, z).applyMatrix4(worldToBox);
+    return Math.abs(local.x) <= halfWidth &&
+           Math.abs(local.y) <= halfHeight &&
+           Math.abs(local.z) <= halfDepth;
+  };
+}
+
 export function isPointInBox(point, box) {
   const [x, y, z] = point;
-  const [centerX, centerY, centerZ] = box.position;
-  const [width, height, depth] = box.size;
-
-  const minX = centerX - width / 2;
-  const maxX = centerX + width / 2;
-  const minY = centerY - height / 2;
-  const maxY = centerY + height / 2;
-  const minZ = centerZ - depth / 2;
-  const maxZ = centerZ + depth / 2;
-
-  return x >= minX && x <= maxX &&
-         y >= minY && y <= maxY &&
-         z >= minZ && z <= maxZ;
+  return createBoxTester(box)(x, y, z);
 }
 
 export function calculateBoundingBox(points) {
@@ -53,4 +71,17 @@ export function calculateBoundingBox(points) {
   ];
 
   return { min, max, center };
-}
\ No newline at end of file
+}
+/**
+ * Creates an initial annotation box centered in the data, a quarter of its extent on each axis.
+ * @param {Array<Object>} points - The array of point objects, each with a `position` array.
+ * @returns {{position: number[], size: number[], rotation: number[]}} Annotation box in point coordinates
+ */
+export function createDefaultAnnotationBox(points) {
+  const { min, max, center } = calculateBoundingBox(points);
+  return {
+    position: center,
+    size: [0, 1, 2].map(axis => Math.max((max[axis] - min[axis]) / 4, 1e-3)),
+    rotation: [0, 0, 0],
+  };
+}
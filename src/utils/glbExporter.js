@@ -1,9 +1,14 @@
 import * as THREE from 'three';
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { getDracoDecoderPath } from './decoderPaths';
+import { createMeshFeaturesExport } from './meshFeatures';
+import { exportRoundTrip } from './glbRoundTrip';
+import { FACE_LABEL_ENCODINGS, encodeRunLength, createFaceLabelAccessorExport } from './faceLabelEncoding';
+import { downloadFile } from './download';
 
 /**
- * Export GLB file with annotation information
+ * Build a GLB file with annotation information
  * Final architecture: Using Parallel Traversal to solve UUID mapping issues
  * 
  * Core principles:
@@ -20,8 +25,16 @@ import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
  * @param {Array} faces - face data array, each face contains indices, labelId etc.
  * @param {Array} labels - label definitions array
  * @param {Object} originalHeader - original file header information (optional)
+ * @param {Object} [exportOptions] - export options
+ * @param {boolean} [exportOptions.writeMeshFeatures=false] - additionally write face labels as EXT_mesh_features
+ *   feature IDs with an EXT_structural_metadata label table (de-indexes the exported geometry)
+ * @param {string} [exportOptions.faceLabelEncoding='array'] - faceLabels encoding: 'array' | 'rle' | 'accessor'
+ *   (see faceLabelEncoding.js)
+ * @returns {Promise<{data: ArrayBuffer, fileName: string, mimeType: string}>} The GLB file. three's GLTFExporter
+ *   reads its output with the global FileReader: browsers and workers have it, Node callers have to provide one
  */
-export const exportGLB = async (originalScene, interactionMapping, points, fileName, faces = null, labels = [], originalHeader = null) => {
+export const createGLBFile = async (originalScene, interactionMapping, points, fileName, faces = null, labels = [], originalHeader = null, exportOptions = {}) => {
+  const { writeMeshFeatures = false, faceLabelEncoding = FACE_LABEL_ENCODINGS.ARRAY } = exportOptions;
   try {
 
 
@@ -54,6 +67,13 @@ export const exportGLB = async (originalScene, interactionMapping, points, fileN
       faceLabelIds = faces.map(face => face.labelId || 0);
     }
 
+    // 标准扩展形式的标签（可选）
+    const meshFeatures = writeMeshFeatures && faceLabelIds.length > 0 && labels.length > 0
+      ? createMeshFeaturesExport(labels)
+      : null;
+    // 二进制 accessor 编码的面标注
+    const faceLabelAccessors = faceLabelEncoding === FACE_LABEL_ENCODINGS.ACCESSOR ? createFaceLabelAccessorExport() : null;
+
     // [Key Step 4] Implement Parallel Traversal to solve UUID mapping issues
 
     
@@ -130,7 +150,16 @@ export const exportGLB = async (originalScene, interactionMapping, points, fileN
       if (faceLabelIds.length > 0 && faceRange) {
         // 根据faceRange精确切片面标注数据
         const meshFaceLabels = faceLabelIds.slice(faceRange.start, faceRange.end);
-        clonedMesh.userData.faceLabels = meshFaceLabels;
+        if (faceLabelAccessors) {
+          faceLabelAccessors.setFaceLabels(clonedMesh, meshFaceLabels);
+        } else {
+          clonedMesh.userData.faceLabels = faceLabelEncoding === FACE_LABEL_ENCODINGS.RLE
+            ? encodeRunLength(meshFaceLabels)
+            : meshFaceLabels;
+        }
+        if (meshFeatures) {
+          meshFeatures.prepareMesh(clonedMesh, meshFaceLabels);
+        }
         
         const labeledFaceCount = meshFaceLabels.filter(id => id > 0).length;
       }
@@ -160,10 +189,16 @@ export const exportGLB = async (originalScene, interactionMapping, points, fileN
     
     // [Key Step 5] Configure and execute GLTFExporter
     const exporter = new GLTFExporter();
+    if (meshFeatures) {
+      exporter.register(meshFeatures.plugin);
+    }
+    if (faceLabelAccessors) {
+      exporter.register(faceLabelAccessors.plugin);
+    }
     
     // 实例化并配置 DRACOLoader
     const dracoLoader = new DRACOLoader();
-    dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+    dracoLoader.setDecoderPath(getDracoDecoderPath());
 
     // 配置导出选项（包含 Draco 压缩）
     const options = {
@@ -187,30 +222,7 @@ export const exportGLB = async (originalScene, interactionMapping, points, fileN
       exporter.parse(
         sceneToExport, // 传入修改后的完整场景对象
         (result) => {
-          try {
-
-            
-            // 创建下载链接
-            const blob = new Blob([result], { type: 'model/gltf-binary' });
-            const url = URL.createObjectURL(blob);
-            
-            // 触发下载
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `${fileName || 'annotated_model'}.glb`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            // 清理URL
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-            
-
-            resolve(result);
-          } catch (error) {
-  
-            reject(error);
-          }
+          resolve({ data: result, fileName: `${fileName || 'annotated_model'}.glb`, mimeType: 'model/gltf-binary' });
         },
         (error) => {
   
@@ -226,6 +238,47 @@ export const exportGLB = async (originalScene, interactionMapping, points, fileN
   }
 };
 
+/**
+ * Export GLB file with annotation information and download it, see `createGLBFile`.
+ * @returns {Promise<ArrayBuffer>} The exported file content
+ */
+export const exportGLB = async (originalScene, interactionMapping, points, fileName, faces = null, labels = [], originalHeader = null, exportOptions = {}) => {
+  const file = await createGLBFile(originalScene, interactionMapping, points, fileName, faces, labels, originalHeader, exportOptions);
+  downloadFile(file);
+  return file.data;
+};
+
+/**
+ * Round-trip-safe export: writes the face labels and label definitions into the mesh extras of the original file. Everything else (geometry, textures, compression, extensions) is kept byte-identical.
+ * Point labels are not written in this mode.
+ *
+ * @param {Object} roundTripSource - Original file kept by parseGLB (see glbRoundTrip.js)
+ * @param {Object} interactionMapping - interaction mapping object, contains meshToFaceRange
+ * @param {Array} faces - face data array, each face contains indices, labelId etc.
+ * @param {Array} labels - label definitions array
+ * @param {string} fileName - export filename (without extension)
+ * @param {string} [faceLabelEncoding='array'] - faceLabels encoding: 'array' | 'rle' (the binary chunk is not modified)
+ * @returns {{data: ArrayBuffer|string, fileName: string, mimeType: string}} The patched file, `.glb` or `.gltf`
+ *   like the original
+ */
+export const createRoundTripGLBFile = (roundTripSource, interactionMapping, faces, labels, fileName, faceLabelEncoding = FACE_LABEL_ENCODINGS.ARRAY) => {
+  if (!roundTripSource) {
+    throw new Error('Missing original file (roundTripSource). Round-trip export is only available for GLB/GLTF files.');
+  }
+  const { data, extension, mimeType } = exportRoundTrip(roundTripSource, interactionMapping, faces || [], labels, faceLabelEncoding);
+  return { data, fileName: `${fileName || 'annotated_model'}.${extension}`, mimeType };
+};
+
+/**
+ * Round-trip-safe export and download, see `createRoundTripGLBFile`.
+ * @returns {ArrayBuffer|string} The exported file content
+ */
+export const exportRoundTripGLB = (roundTripSource, interactionMapping, faces, labels, fileName, faceLabelEncoding = FACE_LABEL_ENCODINGS.ARRAY) => {
+  const file = createRoundTripGLBFile(roundTripSource, interactionMapping, faces, labels, fileName, faceLabelEncoding);
+  downloadFile(file);
+  return file.data;
+};
+
 /**
  * 验证导出数据的完整性
  * @param {Array} points - 点云数据
@@ -26,8 +26,15 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { getDracoDecoderPath, getBasisTranscoderPath } from './decoderPaths';
 import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
 import { getDefaultColorForLabel } from '../constants/colors.js';
+import { applyMeshFeatureLabels } from './meshFeatures';
+import { createRoundTripSource } from './glbRoundTrip';
+import { readExternalResources, createResourceManager } from './gltfResources';
+import { decodeFaceLabels } from './faceLabelEncoding';
+import { mergeLabelDefinitions, countLabelUsage } from './labelMerge';
+import { validateFaceLabels, sanitizeFaceLabel, buildFaceLabelReport } from './faceLabelValidation';
 
 /**
  * Standardizes mesh node userData structure
@@ -238,340 +245,424 @@ function processSingleMaterial(material, materialIndex) {
 }
 
 
+// KTX2 转码目标的检测需要 WebGL 上下文，由浏览器端注册（见 ktx2Support.js），解析本身不依赖 DOM
+let ktx2SupportDetector = null;
+
 /**
- * 解析GLB文件的主函数
- * @param {ArrayBuffer} buffer - GLB文件的二进制内容
- * @param {string} fileName - 文件名
- * @returns {Promise<Object>} 解析结果
+ * 注册 KTX2 支持检测函数，之后创建的加载器才会解码 KTX2 纹理。
+ * 未注册或检测失败时（Node、Worker、无 WebGL）不配置 KTX2Loader：带有其他图像源的纹理回退到该图像源，必须使用 KTX2 的文件报错。
+ * @param {((ktx2Loader: KTX2Loader) => boolean)|null} detector - 配置加载器，无法检测时返回 false
  */
-export function parseGLB(buffer, fileName = 'model.glb') {
-  return new Promise((resolve, reject) => {
-    const manager = new THREE.LoadingManager();
-    const loader = new GLTFLoader(manager);
-
-    // --- 配置加载器 (参考 three-gltf-viewer) ---
-    const dracoLoader = new DRACOLoader(manager);
-    dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-    loader.setDRACOLoader(dracoLoader);
-
-    const ktx2Loader = new KTX2Loader(manager);
-    ktx2Loader.setTranscoderPath('https://unpkg.com/three@0.168.0/examples/jsm/libs/basis/');
-    // 动态检测渲染器支持来配置KTX2
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-    if (gl) {
-      const renderer = new THREE.WebGLRenderer({ canvas, context: gl });
-      ktx2Loader.detectSupport(renderer);
-      renderer.dispose();
+export function setKTX2SupportDetector(detector) {
+  ktx2SupportDetector = detector;
+}
+
+/**
+ * 创建配置好 Draco / KTX2 / Meshopt 解码器的 GLTFLoader
+ * @param {THREE.LoadingManager} [manager] - 加载管理器
+ * @returns {{loader: GLTFLoader, dispose: Function}} 加载器，以及用完后释放解码器的函数
+ */
+export function createGLTFLoader(manager = new THREE.LoadingManager()) {
+  const loader = new GLTFLoader(manager);
+
+  // --- 配置加载器 (参考 three-gltf-viewer) ---
+  const dracoLoader = new DRACOLoader(manager);
+  dracoLoader.setDecoderPath(getDracoDecoderPath()); // 本地解码器，离线可用
+  loader.setDRACOLoader(dracoLoader);
+
+  let ktx2Loader = null;
+  if (ktx2SupportDetector) {
+    ktx2Loader = new KTX2Loader(manager);
+    ktx2Loader.setTranscoderPath(getBasisTranscoderPath());
+    // 动态检测渲染器支持来配置KTX2；检测失败（无 WebGL）时不使用 KTX2Loader，纹理回退到其他图像源
+    if (ktx2SupportDetector(ktx2Loader)) {
+      loader.setKTX2Loader(ktx2Loader);
+    } else {
+      ktx2Loader.dispose();
+      ktx2Loader = null;
     }
-    loader.setKTX2Loader(ktx2Loader);
-    
-    loader.setMeshoptDecoder(MeshoptDecoder);
-    // --- 配置加载器结束 ---
-
-    loader.parse(buffer, '', (gltf) => {
-      try {
-        const scene = gltf.scene;
-        if (!scene) {
-            reject(new Error('GLB 文件不包含任何场景 (scene)。'));
-            return;
-        }
-        
-        const allPoints = [];
-        const allFaces = [];
-        let totalVertices = 0;
-        let totalFaces = 0;
-
-        scene.updateMatrixWorld(true);
-        
-        // **新增**: 标准化自定义数据结构 - 将扁平的userData属性重构为嵌套的extras结构
-        let standardizedMeshCount = 0;
-        scene.traverse((node) => {
-          if (standardizeUserDataStructure(node)) {
-            standardizedMeshCount++;
-          }
-        });
-        
-
-        
-        // 1. 首先收集并处理所有唯一的材质
-        const materialMap = new Map(); // 使用UUID作为键来确保唯一性
-        let materialIndexCounter = 0;
-        let totalMeshCount = 0;
-        
-        scene.traverse((node) => {
-          if (node.isMesh && node.material) {
-            totalMeshCount++;
-            
-            const materials = Array.isArray(node.material) ? node.material : [node.material];
-            
-            materials.forEach((material, matIndex) => {
-              if (!materialMap.has(material.uuid)) {
-                const materialInfo = processSingleMaterial(material, materialIndexCounter);
-                materialMap.set(material.uuid, materialInfo);
-                materialIndexCounter++;
-              }
-            });
-          }
-        });
+  }
 
-        // 2. 遍历场景中的所有网格，提取顶点和面，并分配正确的材质索引
-        scene.traverse((node) => {
-          if (node.isMesh) {
-
-            
-            const geometry = node.geometry;
-            const materials = Array.isArray(node.material) ? node.material : [node.material];
-            
-            const vertices = extractVerticesFromGeometry(geometry, node.matrixWorld);
-            const localFaces = extractFacesFromGeometry(geometry);
-            
-            // **修改**: 检查并解析面标注数据 - 只从标准化的extras路径读取
-            let faceLabelIds = null;
-            if (node.userData && node.userData.extras && node.userData.extras.faceLabels) {
-              faceLabelIds = node.userData.extras.faceLabels;
-            }
-            
-            // 为当前网格的面分配材质索引
-            if (materials.length === 1) {
-              // 单材质情况
-              const material = materials[0];
-              const materialInfo = materialMap.get(material.uuid);
-              const currentMaterialIndex = materialInfo ? materialInfo.index : -1;
-              localFaces.forEach(face => {
-                face.materialIndex = currentMaterialIndex;
-              });
-            } else if (geometry.groups && geometry.groups.length > 0) {
-              // 多材质情况，使用 geometry groups
-              geometry.groups.forEach(group => {
-                const material = materials[group.materialIndex];
-                if (!material) return;
-
-                const materialInfo = materialMap.get(material.uuid);
-                const groupMaterialIndex = materialInfo ? materialInfo.index : -1;
-                
-                const faceStart = group.start / 3;
-                const faceEnd = faceStart + group.count / 3;
-                for (let i = faceStart; i < faceEnd; i++) {
-                  if (localFaces[i]) {
-                    localFaces[i].materialIndex = groupMaterialIndex;
-                  }
-                }
-              });
-            }
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  // --- 配置加载器结束 ---
 
-            // **新增**: 应用面标注数据
-            if (faceLabelIds && faceLabelIds.length > 0) {
-              localFaces.forEach((face, localFaceIndex) => {
-                if (localFaceIndex < faceLabelIds.length) {
-                  const labelId = faceLabelIds[localFaceIndex];
-                  if (labelId && labelId > 0) {
-                    face.labelId = labelId;
-                  }
-                }
-              });
-              
-              const labeledFacesCount = localFaces.filter(f => f.labelId && f.labelId > 0).length;
-            }
+  return {
+    loader,
+    dispose: () => {
+      dracoLoader.dispose();
+      ktx2Loader?.dispose();
+    },
+  };
+}
 
-            // 调整面索引为全局索引并合并
-            localFaces.forEach(face => {
-              face.indices = face.indices.map(index => index + totalVertices);
-              allFaces.push(face);
-            });
+/**
+ * 多图元网格：GLTFLoader 把 mesh.extras 赋给每个图元的 Mesh，faceLabels 按图元顺序拼接存储，在此切分到各图元。
+ * 写在节点 extras 上的 faceLabels（GLTFExporter 把 Mesh.userData 写入节点）落在 Group 上，同样切分到各图元。
+ * @param {Object} gltf - GLTFLoader 的解析结果
+ */
+function splitPrimitiveFaceLabels(gltf) {
+  const { associations } = gltf.parser;
+  gltf.scene.traverse((group) => {
+    const association = associations.get(group);
+    if (!group.isGroup || association?.meshes === undefined || association.primitives !== undefined) return;
+
+    const groupFaceLabels = Array.isArray(group.userData.faceLabels) ? group.userData.faceLabels : null;
+    let offset = 0;
+    group.children.forEach((child) => {
+      if (!child.isMesh || associations.get(child)?.meshes !== association.meshes) return;
+      const faceCount = child.geometry.index
+        ? child.geometry.index.count / 3
+        : child.geometry.attributes.position.count / 3;
+      const faceLabels = Array.isArray(child.userData.faceLabels) ? child.userData.faceLabels : groupFaceLabels;
+      if (faceLabels) {
+        child.userData.faceLabels = faceLabels.slice(offset, offset + faceCount);
+      }
+      offset += faceCount;
+    });
+    if (groupFaceLabels) delete group.userData.faceLabels;
+  });
+}
 
-            allPoints.push(...vertices);
-            
-            totalVertices += vertices.length;
-            totalFaces += localFaces.length;
+/**
+ * 使用给定的加载器解析 GLB/GLTF 数据
+ * @param {GLTFLoader} loader - 由 createGLTFLoader 创建的加载器
+ * @param {ArrayBuffer|string} buffer - GLB二进制内容或GLTF JSON文本
+ * @param {string} [path] - 解析外部资源时使用的基础路径
+ * @returns {Promise<Object>} GLTFLoader 的解析结果 (gltf)
+ */
+export async function loadGLTF(loader, buffer, path = '') {
+  const gltf = await new Promise((resolve, reject) => {
+    loader.parse(buffer, path, resolve, (error) => {
+      reject(new Error(`GLB文件解析失败: ${error.message || '未知错误'}`));
+    });
+  });
+  // RLE / 二进制 accessor 编码的 faceLabels → 普通数组
+  await decodeFaceLabels(gltf);
+  splitPrimitiveFaceLabels(gltf);
+  // EXT_mesh_features 要素ID / EXT_structural_metadata 属性表 → faceLabels / labelDefinitions
+  await applyMeshFeatureLabels(gltf);
+  return gltf;
+}
 
+/**
+ * 从已加载的场景中提取点、面、材质、交互映射和标签定义
+ * @param {THREE.Object3D} scene - GLTF场景（或由多个瓦片组合而成的场景）
+ * @param {string} fileName - 文件名
+ * @returns {Object} 与 LOAD_FILE_DATA 兼容的解析结果
+ */
+export function buildSceneData(scene, fileName) {
+  const allPoints = [];
+  const allFaces = [];
+  const faceLabelResults = []; // 每个带 faceLabels 的网格的校验结果
+  let totalVertices = 0;
+  let totalFaces = 0;
+
+  scene.updateMatrixWorld(true);
+  
+  // **新增**: 标准化自定义数据结构 - 将扁平的userData属性重构为嵌套的extras结构
+  let standardizedMeshCount = 0;
+  scene.traverse((node) => {
+    if (standardizeUserDataStructure(node)) {
+      standardizedMeshCount++;
+    }
+  });
+  
 
-          }
-        });
-        
-        // 3. 构建最终的材质对象，使用标准化的名称作为key
-        const finalMaterials = {};
-        for (const materialInfo of materialMap.values()) {
-          finalMaterials[materialInfo.name] = materialInfo;
+  
+  // 1. 首先收集并处理所有唯一的材质
+  const materialMap = new Map(); // 使用UUID作为键来确保唯一性
+  let materialIndexCounter = 0;
+  let totalMeshCount = 0;
+  
+  scene.traverse((node) => {
+    if (node.isMesh && node.material) {
+      totalMeshCount++;
+      
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      
+      materials.forEach((material, matIndex) => {
+        if (!materialMap.has(material.uuid)) {
+          const materialInfo = processSingleMaterial(material, materialIndexCounter);
+          materialMap.set(material.uuid, materialInfo);
+          materialIndexCounter++;
         }
+      });
+    }
+  });
 
-        // 4. 生成交互映射元数据 - 用于将原始场景的射线检测结果映射到扁平化数据
-        const interactionMapping = {
-          meshToFaceRange: new Map(), // 存储每个原始网格对应的面片范围
-          meshToPointRange: new Map(), // **新增**: 存储每个原始网格对应的顶点范围
-          faceToMesh: new Map(),      // 存储每个面片对应的原始网格
-          meshUuidToNode: new Map()   // 存储UUID到原始节点的映射
-        };
-
-        let faceOffset = 0;
-        let vertexOffset = 0; // **新增**: 顶点偏移量追踪
-        scene.traverse((node) => {
-          if (node.isMesh) {
-            const geometry = node.geometry;
-            const faceCount = geometry.index 
-              ? geometry.index.count / 3 
-              : geometry.attributes.position.count / 3;
-            const vertexCount = geometry.attributes.position.count; // **新增**: 获取顶点数量
-            
-            // 记录这个网格对应的面片范围
-            const faceRange = {
-              start: faceOffset,
-              end: faceOffset + faceCount,
-              node: node,
-              meshName: node.name || `mesh_${node.uuid}`,
-              materialIndices: []
-            };
-
-            // **新增**: 记录这个网格对应的顶点范围
-            const pointRange = {
-              start: vertexOffset,
-              end: vertexOffset + vertexCount,
-              node: node,
-              meshName: node.name || `mesh_${node.uuid}`,
-              vertexCount: vertexCount
-            };
-
-            // 记录材质索引信息
-            const materials = Array.isArray(node.material) ? node.material : [node.material];
-            if (materials.length === 1) {
-              const materialInfo = materialMap.get(materials[0].uuid);
-              faceRange.materialIndices = Array(faceCount).fill(materialInfo ? materialInfo.index : -1);
-            } else if (geometry.groups && geometry.groups.length > 0) {
-              faceRange.materialIndices = new Array(faceCount).fill(-1);
-              geometry.groups.forEach(group => {
-                const material = materials[group.materialIndex];
-                if (material) {
-                  const materialInfo = materialMap.get(material.uuid);
-                  const groupMaterialIndex = materialInfo ? materialInfo.index : -1;
-                  const groupFaceStart = group.start / 3;
-                  const groupFaceEnd = groupFaceStart + group.count / 3;
-                  for (let i = groupFaceStart; i < groupFaceEnd; i++) {
-                    if (i < faceCount) {
-                      faceRange.materialIndices[i] = groupMaterialIndex;
-                    }
-                  }
-                }
-              });
+  // 2. 遍历场景中的所有网格，提取顶点和面，并分配正确的材质索引
+  scene.traverse((node) => {
+    if (node.isMesh) {
+
+      
+      const geometry = node.geometry;
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      
+      const vertices = extractVerticesFromGeometry(geometry, node.matrixWorld);
+      const localFaces = extractFacesFromGeometry(geometry);
+      
+      // **修改**: 检查并解析面标注数据 - 只从标准化的extras路径读取
+      let faceLabelIds = null;
+      if (node.userData && node.userData.extras && node.userData.extras.faceLabels) {
+        faceLabelIds = node.userData.extras.faceLabels;
+      }
+      
+      // 为当前网格的面分配材质索引
+      if (materials.length === 1) {
+        // 单材质情况
+        const material = materials[0];
+        const materialInfo = materialMap.get(material.uuid);
+        const currentMaterialIndex = materialInfo ? materialInfo.index : -1;
+        localFaces.forEach(face => {
+          face.materialIndex = currentMaterialIndex;
+        });
+      } else if (geometry.groups && geometry.groups.length > 0) {
+        // 多材质情况，使用 geometry groups
+        geometry.groups.forEach(group => {
+          const material = materials[group.materialIndex];
+          if (!material) return;
+
+          const materialInfo = materialMap.get(material.uuid);
+          const groupMaterialIndex = materialInfo ? materialInfo.index : -1;
+          
+          const faceStart = group.start / 3;
+          const faceEnd = faceStart + group.count / 3;
+          for (let i = faceStart; i < faceEnd; i++) {
+            if (localFaces[i]) {
+              localFaces[i].materialIndex = groupMaterialIndex;
             }
+          }
+        });
+      }
 
-            interactionMapping.meshToFaceRange.set(node.uuid, faceRange);
-            interactionMapping.meshToPointRange.set(node.uuid, pointRange); // **新增**: 存储顶点范围映射
-            interactionMapping.meshUuidToNode.set(node.uuid, node);
-
-            // 为每个面片记录对应的网格
-            for (let i = faceOffset; i < faceOffset + faceCount; i++) {
-              interactionMapping.faceToMesh.set(i, {
-                meshUuid: node.uuid,
-                localFaceIndex: i - faceOffset,
-                node: node
-              });
+      // **新增**: 应用面标注数据（多余的条目被忽略，缺少的面保持未标注，非法值视为未标注）
+      if (Array.isArray(faceLabelIds)) {
+        faceLabelResults.push({
+          meshId: node.uuid,
+          meshName: node.name || `mesh_${node.uuid}`,
+          ...validateFaceLabels(faceLabelIds, localFaces.length),
+        });
+        localFaces.forEach((face, localFaceIndex) => {
+          if (localFaceIndex < faceLabelIds.length) {
+            const labelId = sanitizeFaceLabel(faceLabelIds[localFaceIndex]);
+            if (labelId > 0) {
+              face.labelId = labelId;
             }
-
-            faceOffset += faceCount;
-            vertexOffset += vertexCount; // **新增**: 更新顶点偏移量
           }
         });
+      }
 
-        // **修改**: 解析标签定义和原始文件信息 - 只从标准化的extras路径读取
-        let labelDefinitions = [];
-        let originalHeader = null;
-        // 从场景中的网格的标准化userData.extras中提取全局信息
-        scene.traverse((node) => {
-          if (node.isMesh && node.userData && node.userData.extras) {
-            const extras = node.userData.extras;
-            
-            // 解析标签定义（只在第一次发现时设置，避免重复）
-            if (!labelDefinitions.length && extras.labelDefinitions && Array.isArray(extras.labelDefinitions)) {
-              // **修改**: 深拷贝一份标签定义，以避免修改原始GLTF数据
-              labelDefinitions = JSON.parse(JSON.stringify(extras.labelDefinitions));
+      // 调整面索引为全局索引并合并
+      localFaces.forEach(face => {
+        face.indices = face.indices.map(index => index + totalVertices);
+        allFaces.push(face);
+      });
 
-            }
-            
-            // 解析原始文件头信息（只在第一次发现时设置，避免重复）
-            if (!originalHeader && extras.originalHeader) {
-              originalHeader = extras.originalHeader;
+      allPoints.push(...vertices);
+      
+      totalVertices += vertices.length;
+      totalFaces += localFaces.length;
+
+
+    }
+  });
+  
+  // 3. 构建最终的材质对象，使用标准化的名称作为key
+  const finalMaterials = {};
+  for (const materialInfo of materialMap.values()) {
+    finalMaterials[materialInfo.name] = materialInfo;
+  }
 
+  // 4. 生成交互映射元数据 - 用于将原始场景的射线检测结果映射到扁平化数据
+  const interactionMapping = {
+    meshToFaceRange: new Map(), // 存储每个原始网格对应的面片范围
+    meshToPointRange: new Map(), // **新增**: 存储每个原始网格对应的顶点范围
+    faceToMesh: new Map(),      // 存储每个面片对应的原始网格
+    meshUuidToNode: new Map()   // 存储UUID到原始节点的映射
+  };
+
+  let faceOffset = 0;
+  let vertexOffset = 0; // **新增**: 顶点偏移量追踪
+  scene.traverse((node) => {
+    if (node.isMesh) {
+      const geometry = node.geometry;
+      const faceCount = geometry.index 
+        ? geometry.index.count / 3 
+        : geometry.attributes.position.count / 3;
+      const vertexCount = geometry.attributes.position.count; // **新增**: 获取顶点数量
+      
+      // 记录这个网格对应的面片范围
+      const faceRange = {
+        start: faceOffset,
+        end: faceOffset + faceCount,
+        node: node,
+        meshName: node.name || `mesh_${node.uuid}`,
+        materialIndices: []
+      };
+
+      // **新增**: 记录这个网格对应的顶点范围
+      const pointRange = {
+        start: vertexOffset,
+        end: vertexOffset + vertexCount,
+        node: node,
+        meshName: node.name || `mesh_${node.uuid}`,
+        vertexCount: vertexCount
+      };
+
+      // 记录材质索引信息
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      if (materials.length === 1) {
+        const materialInfo = materialMap.get(materials[0].uuid);
+        faceRange.materialIndices = Array(faceCount).fill(materialInfo ? materialInfo.index : -1);
+      } else if (geometry.groups && geometry.groups.length > 0) {
+        faceRange.materialIndices = new Array(faceCount).fill(-1);
+        geometry.groups.forEach(group => {
+          const material = materials[group.materialIndex];
+          if (material) {
+            const materialInfo = materialMap.get(material.uuid);
+            const groupMaterialIndex = materialInfo ? materialInfo.index : -1;
+            const groupFaceStart = group.start / 3;
+            const groupFaceEnd = groupFaceStart + group.count / 3;
+            for (let i = groupFaceStart; i < groupFaceEnd; i++) {
+              if (i < faceCount) {
+                faceRange.materialIndices[i] = groupMaterialIndex;
+              }
             }
           }
         });
+      }
 
-        // **核心修正**: 对标签进行统计，为标签管理UI提供计数
-        if (labelDefinitions.length > 0) {
+      interactionMapping.meshToFaceRange.set(node.uuid, faceRange);
+      interactionMapping.meshToPointRange.set(node.uuid, pointRange); // **新增**: 存储顶点范围映射
+      interactionMapping.meshUuidToNode.set(node.uuid, node);
 
-          
-          // 1. 创建一个 labelId -> labelObject 的映射，方便快速查找和更新
-          const labelMap = new Map();
-          labelDefinitions.forEach((label, index) => {
-            label.faceCount = 0; // 初始化面计数字段
-            label.pointCount = 0; // 初始化点计数字段
-            // 如果标签没有颜色，则根据其ID或索引生成一个默认颜色
-            if (!label.color) {
-              label.color = getDefaultColorForLabel(label.id || (index + 1));
-            }
-            labelMap.set(label.id, label);
-          });
-
-          // 2. 遍历所有面（Face）进行统计
-          allFaces.forEach(face => {
-            if (face.labelId && face.labelId > 0) {
-              const label = labelMap.get(face.labelId);
-              if (label) {
-                label.faceCount++; // 只增加面计数
-              }
-            }
-          });
-
-          // 3. 遍历所有点（Point）进行统计
-          allPoints.forEach(point => {
-            if (point.labelId && point.labelId > 0) {
-              const label = labelMap.get(point.labelId);
-              if (label) {
-                label.pointCount++; // 只增加点计数
-              }
-            }
-          });
-          
-          // 4. 统计结果已经更新到 labelDefinitions 数组中的每个对象上
+      // 为每个面片记录对应的网格
+      for (let i = faceOffset; i < faceOffset + faceCount; i++) {
+        interactionMapping.faceToMesh.set(i, {
+          meshUuid: node.uuid,
+          localFaceIndex: i - faceOffset,
+          node: node
+        });
+      }
 
-        }
+      faceOffset += faceCount;
+      vertexOffset += vertexCount; // **新增**: 更新顶点偏移量
+    }
+  });
 
-        // 构建最终结果
-
-        const result = {
-          points: allPoints,
-          faces: allFaces.length > 0 ? allFaces : null,
-          materials: Object.keys(finalMaterials).length > 0 ? finalMaterials : null,
-          textureFile: null, // GLB纹理是内联的，不通过此字段处理
-          // **核心新增**: 原始场景对象，用于默认视图的高保真渲染
-          originalScene: scene,
-          // **核心新增**: 交互映射元数据，用于射线检测结果的映射
-          interactionMapping: interactionMapping,
-          // **修改**: 解析到的标签定义，现在包含每个类别的计数信息
-          labels: labelDefinitions,
-          header: originalHeader || {
-            format: 'glb',
-            vertexCount: totalVertices,
-            faceCount: totalFaces,
-            comments: [`Converted from GLB file: ${fileName}`]
-          },
-          // ... 其他元数据
-        };
-        
-        // 清理资源
-        dracoLoader.dispose();
-        ktx2Loader.dispose();
-        
-        resolve(result);
-
-      } catch (error) {
-
-        reject(new Error(`GLTF数据处理失败: ${error.message}`));
+  // 解析标签定义和原始文件信息 - 只从标准化的extras路径读取
+  // 合并所有网格的标签定义（瓦片可能来自不同的数据源），同一ID定义不一致时记录为冲突
+  const labelSources = [];
+  let originalHeader = null;
+  scene.traverse((node) => {
+    if (node.isMesh && node.userData && node.userData.extras) {
+      const extras = node.userData.extras;
+
+      if (Array.isArray(extras.labelDefinitions)) {
+        labelSources.push({
+          meshId: node.uuid,
+          meshName: interactionMapping.meshToFaceRange.get(node.uuid).meshName,
+          // 深拷贝一份标签定义，以避免修改原始GLTF数据
+          definitions: JSON.parse(JSON.stringify(extras.labelDefinitions)),
+        });
       }
-    }, (error) => {
+      
+      // 解析原始文件头信息（只在第一次发现时设置，避免重复）
+      if (!originalHeader && extras.originalHeader) {
+        originalHeader = extras.originalHeader;
 
-      reject(new Error(`GLB文件解析失败: ${error.message || '未知错误'}`));
-    });
+      }
+    }
   });
+  const { labels: labelDefinitions, conflicts: labelConflicts } = mergeLabelDefinitions(labelSources);
+
+  // 对标签进行统计，为标签管理UI提供计数
+  if (labelDefinitions.length > 0) {
+    labelDefinitions.forEach((label, index) => {
+      // 如果标签没有颜色，则根据其ID或索引生成一个默认颜色
+      if (!label.color) {
+        label.color = getDefaultColorForLabel(label.id || (index + 1));
+      }
+    });
+    countLabelUsage(labelDefinitions, allPoints, allFaces);
+  }
+
+  // 构建最终结果
+
+  const result = {
+    points: allPoints,
+    faces: allFaces.length > 0 ? allFaces : null,
+    materials: Object.keys(finalMaterials).length > 0 ? finalMaterials : null,
+    textureFile: null, // GLB纹理是内联的，不通过此字段处理
+    // **核心新增**: 原始场景对象，用于默认视图的高保真渲染
+    originalScene: scene,
+    // **核心新增**: 交互映射元数据，用于射线检测结果的映射
+    interactionMapping: interactionMapping,
+    // **修改**: 解析到的标签定义，现在包含每个类别的计数信息
+    labels: labelDefinitions,
+    // 各网格间同一标签ID定义不一致的冲突，见 labelMerge.js
+    labelConflicts,
+    // 各网格 faceLabels 与面数的校验报告，见 faceLabelValidation.js
+    faceLabelReport: faceLabelResults.length > 0 ? buildFaceLabelReport(faceLabelResults, labelDefinitions) : null,
+    header: originalHeader || {
+      format: 'glb',
+      vertexCount: totalVertices,
+      faceCount: totalFaces,
+      comments: [`Converted from GLB file: ${fileName}`]
+    },
+    // ... 其他元数据
+  };
+
+  return result;
+}
+
+/**
+ * 解析GLB文件的主函数
+ * @param {ArrayBuffer} buffer - GLB文件的二进制内容
+ * @param {string} fileName - 文件名
+ * @param {Object} [options]
+ * @param {(path: string) => Promise<ArrayBuffer|null>} [options.readFile] - 读取同时拖入或打包的文件，
+ * 用于 .gltf 引用的外部 .bin 缓冲区和纹理
+ * @param {string} [options.resourcePath] - glTF 在拖入文件 / zip 中的路径，外部 URI 相对于其目录，默认为 fileName
+ * @returns {Promise<Object>} 解析结果，外部纹理缺失时带有 `missingResources`
+ */
+export async function parseGLB(buffer, fileName = 'model.glb', { readFile, resourcePath = fileName } = {}) {
+  // External resources of a .gltf are read before parsing, GLTFLoader gets them through the loading manager
+  let resources = null;
+  if (readFile && !isGLBContent(buffer)) {
+    const json = JSON.parse(typeof buffer === 'string' ? buffer : new TextDecoder().decode(buffer));
+    const { resources: files, missing } = await readExternalResources(json, resourcePath, readFile);
+    resources = { ...createResourceManager(files, resourcePath), missing };
+  }
+
+  const { loader, dispose } = createGLTFLoader(resources?.manager);
+  try {
+    const gltf = await loadGLTF(loader, buffer, resources?.basePath);
+    const scene = gltf.scene;
+    if (!scene) {
+      throw new Error('GLB 文件不包含任何场景 (scene)。');
+    }
+
+    try {
+      return {
+        ...buildSceneData(scene, fileName),
+        // 原始文件及网格映射，用于只修改标注 extras 的无损导出，见 glbRoundTrip.js
+        roundTripSource: createRoundTripSource(gltf, buffer),
+        ...(resources?.missing.length > 0 && { missingResources: resources.missing }),
+      };
+    } catch (error) {
+      throw new Error(`GLTF数据处理失败: ${error.message}`);
+    }
+  } finally {
+    // 清理资源
+    dispose();
+    resources?.dispose();
+  }
+}
+
+// GLB 以二进制头 "glTF" 开头，.gltf 为 JSON 文本
+function isGLBContent(buffer) {
+  return buffer instanceof ArrayBuffer && buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === 0x46546c67;
 }
 
 /**
@@ -598,5 +689,6 @@ export function isGLTFFile(fileName) {
  * @returns {boolean} 是否为支持的3D文件
  */
 export function isSupported3DFile(fileName) {
-  return isGLBFile(fileName) || isGLTFFile(fileName);
+  // b3dm / i3dm 是包装了GLB的3D Tiles容器，由 b3dmParser 解包
+  return isGLBFile(fileName) || isGLTFFile(fileName) || /\.(b3dm|i3dm)$/i.test(fileName);
 }
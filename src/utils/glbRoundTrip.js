@@ -0,0 +1,216 @@
+/**
+ * @file glbRoundTrip.js
+ * Round-trip-safe GLB / glTF export: the labels are patched into the JSON of the original file.
+ *
+ * Re-serializing the scene through GLTFExporter drops everything three.js does not model: vendor extensions,
+ * Draco / meshopt compression, KTX2 textures, CESIUM_RTC, node extras... Here only `extras.faceLabels` and
+ * `extras.labelDefinitions` of the glTF meshes change; the BIN chunk (and any other chunk) is copied unchanged,
+ * so geometry, textures and extensions stay byte-identical.
+ *
+ * Multi-primitive meshes store the labels of their primitives concatenated in primitive order (GLTFLoader assigns
+ * the mesh extras to every primitive; `loadGLTF` splits them again). A mesh used by several nodes whose instances
+ * were labeled differently is duplicated (the copy references the same accessors) and the node re-pointed to it.
+ * Face labels are written as a JSON array or run-length encoded; the binary accessor encoding would change the
+ * BIN chunk and is only offered by the re-encoding export.
+ */
+
+import { FACE_LABEL_ENCODINGS, encodeRunLength } from './faceLabelEncoding';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+
+/**
+ * Splits a GLB into its chunks.
+ * @param {ArrayBuffer} buffer - GLB file content.
+ * @returns {{json: Object, chunks: Array<{type: number, data: Uint8Array}>}} The parsed JSON chunk and all chunks
+ * in file order.
+ */
+export function readGLBContainer(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < GLB_HEADER_LENGTH || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a GLB file');
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error(`Unsupported GLB version ${view.getUint32(4, true)}`);
+  }
+
+  const length = Math.min(view.getUint32(8, true), buffer.byteLength);
+  const chunks = [];
+  let json = null;
+  for (let offset = GLB_HEADER_LENGTH; offset + CHUNK_HEADER_LENGTH <= length;) {
+    const chunkLength = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const data = new Uint8Array(buffer, offset + CHUNK_HEADER_LENGTH, chunkLength);
+    if (type === CHUNK_JSON && !json) json = JSON.parse(new TextDecoder().decode(data));
+    chunks.push({ type, data });
+    offset += CHUNK_HEADER_LENGTH + chunkLength;
+  }
+  if (!json) throw new Error('GLB file has no JSON chunk');
+  return { json, chunks };
+}
+
+/**
+ * Builds a GLB from its chunks, replacing the JSON chunk with `json`. Other chunks are copied unchanged.
+ * @returns {ArrayBuffer} GLB file content.
+ */
+export function writeGLBContainer(json, chunks) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  // Chunks are 4-byte aligned: JSON is padded with spaces, binary chunks with zeros
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+  const outputChunks = chunks.map(chunk => (chunk.type === CHUNK_JSON ? { type: CHUNK_JSON, data: jsonBytes, length: jsonLength } : { ...chunk, length: Math.ceil(chunk.data.length / 4) * 4 }));
+
+  const totalLength = GLB_HEADER_LENGTH + outputChunks.reduce((sum, chunk) => sum + CHUNK_HEADER_LENGTH + chunk.length, 0);
+  const output = new Uint8Array(totalLength);
+  const view = new DataView(output.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  let offset = GLB_HEADER_LENGTH;
+  outputChunks.forEach(({ type, data, length }) => {
+    view.setUint32(offset, length, true);
+    view.setUint32(offset + 4, type, true);
+    output.set(data, offset + CHUNK_HEADER_LENGTH);
+    if (type === CHUNK_JSON) output.fill(0x20, offset + CHUNK_HEADER_LENGTH + data.length, offset + CHUNK_HEADER_LENGTH + length);
+    offset += CHUNK_HEADER_LENGTH + length;
+  });
+  return output.buffer;
+}
+
+/**
+ * Keeps what the round-trip export needs from a loaded GLB / glTF: the original file and, for every THREE.Mesh,
+ * the glTF node, mesh and primitive it was created from.
+ *
+ * @param {Object} gltf - GLTFLoader result.
+ * @param {ArrayBuffer|string} buffer - The loaded file content.
+ * @returns {Object|null} `{format, json, chunks, meshMap}`, or null if the file cannot be patched.
+ */
+export function createRoundTripSource(gltf, buffer) {
+  let format;
+  let json;
+  let chunks = null;
+  try {
+    const isBinary = buffer instanceof ArrayBuffer && buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === GLB_MAGIC;
+    if (isBinary) {
+      ({ json, chunks } = readGLBContainer(buffer));
+      format = 'glb';
+    } else {
+      json = JSON.parse(typeof buffer === 'string' ? buffer : new TextDecoder().decode(buffer));
+      format = 'gltf';
+    }
+  } catch (error) {
+    console.warn('Round-trip export unavailable:', error);
+    return null;
+  }
+
+  const { associations } = gltf.parser;
+  const meshMap = new Map();
+  gltf.scene.traverse(object => {
+    if (!object.isMesh) return;
+    const association = associations.get(object);
+    if (association?.meshes === undefined) return;
+    // Multi-primitive meshes: the node association is on the parent group
+    const node = association.nodes ?? associations.get(object.parent)?.nodes;
+    if (node === undefined) return;
+    meshMap.set(object.uuid, { node, mesh: association.meshes, primitive: association.primitives ?? 0 });
+  });
+
+  return { format, json, chunks, meshMap };
+}
+
+/**
+ * Patches the face labels and label definitions into a copy of the original glTF JSON.
+ *
+ * @param {Object} source - Result of `createRoundTripSource`.
+ * @param {Object} interactionMapping - Interaction mapping of the loaded scene (mesh UUID -> face range).
+ * @param {Array<Object>} faces - Faces with `labelId`.
+ * @param {Array<Object>} labels - Label definitions.
+ * @param {string} [encoding='array'] - faceLabels encoding: 'array' | 'rle'.
+ * @returns {Object} The patched glTF JSON.
+ */
+export function patchLabelsIntoGLTF(source, interactionMapping, faces, labels, encoding = FACE_LABEL_ENCODINGS.ARRAY) {
+  if (encoding !== FACE_LABEL_ENCODINGS.ARRAY && encoding !== FACE_LABEL_ENCODINGS.RLE) {
+    throw new Error(`Face label encoding "${encoding}" is not supported by the round-trip export`);
+  }
+  const encode = (faceLabels) => (encoding === FACE_LABEL_ENCODINGS.RLE ? encodeRunLength(faceLabels) : faceLabels);
+  const json = structuredClone(source.json);
+
+  // node -> primitive -> face labels, in primitive order
+  const instances = new Map();
+  let firstMeshIndex;
+  interactionMapping.meshToFaceRange.forEach(({ start, end }, uuid) => {
+    const target = source.meshMap.get(uuid);
+    if (!target) return;
+    if (firstMeshIndex === undefined) firstMeshIndex = target.mesh;
+    if (!instances.has(target.node)) instances.set(target.node, { mesh: target.mesh, primitives: [] });
+    instances.get(target.node).primitives[target.primitive] = faces.slice(start, end).map(face => face.labelId || 0);
+  });
+
+  // mesh -> [{node, faceLabels}]
+  const meshInstances = new Map();
+  instances.forEach(({ mesh, primitives }, node) => {
+    const faceLabels = primitives.filter(Boolean).flat();
+    if (!meshInstances.has(mesh)) meshInstances.set(mesh, []);
+    meshInstances.get(mesh).push({ node, faceLabels });
+  });
+
+  meshInstances.forEach((nodeLabels, meshIndex) => {
+    const meshDef = json.meshes[meshIndex];
+    const hasNodeLabels = ({ node }) => json.nodes[node].extras?.faceLabels !== undefined;
+    const hadLabels = meshDef.extras?.faceLabels !== undefined || nodeLabels.some(hasNodeLabels);
+    const [first, ...others] = nodeLabels;
+    const isLabeled = ({ faceLabels }) => faceLabels.some(id => id > 0);
+    if (!hadLabels && !nodeLabels.some(isLabeled)) return; // Leave meshes without labels untouched
+
+    // GLTFLoader applies node extras after mesh extras: labels written by GLTFExporter on the node would win
+    nodeLabels.filter(hasNodeLabels).forEach(({ node }) => {
+      delete json.nodes[node].extras.faceLabels;
+      if (Object.keys(json.nodes[node].extras).length === 0) delete json.nodes[node].extras;
+    });
+
+    meshDef.extras = { ...meshDef.extras, faceLabels: encode(first.faceLabels) };
+    const firstKey = first.faceLabels.join(',');
+    others.forEach(({ node, faceLabels }) => {
+      if (faceLabels.join(',') === firstKey) return;
+      // Differently labeled instance of a shared mesh: duplicate the mesh definition for its node
+      json.nodes[node].mesh = json.meshes.push({ ...meshDef, extras: { ...meshDef.extras, faceLabels: encode(faceLabels) } }) - 1;
+    });
+  });
+
+  // Label definitions live on the first mesh only, stale copies on other meshes are removed
+  (json.meshes || []).forEach(meshDef => {
+    if (!meshDef.extras || !('labelDefinitions' in meshDef.extras)) return;
+    delete meshDef.extras.labelDefinitions;
+    if (Object.keys(meshDef.extras).length === 0) delete meshDef.extras;
+  });
+  if (labels.length > 0 && firstMeshIndex !== undefined) {
+    const meshDef = json.meshes[firstMeshIndex];
+    meshDef.extras = {
+      ...meshDef.extras,
+      labelDefinitions: labels.map(label => ({ id: label.id, name: label.name, color: label.color, visible: label.visible })),
+    };
+  }
+
+  return json;
+}
+
+/**
+ * Writes the labels into the original file and returns the patched file content.
+ *
+ * @param {Object} source - Result of `createRoundTripSource`.
+ * @param {Object} interactionMapping - Interaction mapping of the loaded scene.
+ * @param {Array<Object>} faces - Faces with `labelId`.
+ * @param {Array<Object>} labels - Label definitions.
+ * @param {string} [encoding='array'] - faceLabels encoding: 'array' | 'rle'.
+ * @returns {{data: ArrayBuffer|string, extension: string, mimeType: string}} The file content: a GLB, or the glTF JSON
+ * text (external buffers and images are referenced unchanged).
+ */
+export function exportRoundTrip(source, interactionMapping, faces, labels, encoding) {
+  const json = patchLabelsIntoGLTF(source, interactionMapping, faces, labels, encoding);
+  if (source.format === 'glb') {
+    return { data: writeGLBContainer(json, source.chunks), extension: 'glb', mimeType: 'model/gltf-binary' };
+  }
+  return { data: JSON.stringify(json, null, 2), extension: 'gltf', mimeType: 'model/gltf+json' };
+}
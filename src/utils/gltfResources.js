@@ -0,0 +1,105 @@
+/**
+ * @file gltfResources.js
+ * External resources of a `.gltf` (buffers and images referenced by URI), read from the dropped files or the zip
+ * package the glTF came with.
+ *
+ * The referenced files are read up front through a `readFile(path)` callback (as for 3D Tiles); GLTFLoader then
+ * requests them under a virtual root, which the LoadingManager URL modifier maps to blob URLs of the file data.
+ */
+
+import * as THREE from 'three';
+import { getBaseName, getDirName, normalizePath, resolveRelativePath } from './pathUtils';
+
+// Base path given to GLTFLoader: URIs resolved against it can be told apart from decoder and data URLs
+const VIRTUAL_ROOT = 'gltf-resource:///';
+
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', ktx2: 'image/ktx2', bin: 'application/octet-stream' };
+
+// data:, blob: and remote URIs are loaded as they are
+const isExternalURI = (uri) => typeof uri === 'string' && !/^(data:|blob:|https?:|\/\/)/i.test(uri);
+
+/**
+ * Creates a `readFile(path)` for a set of files, resolving a path to the file at that path or, when there is
+ * none, to the only file with the same name (files dropped without their folder structure).
+ * @param {Map<string, T>} entries - Files by normalized path.
+ * @param {(entry: T) => Promise<ArrayBuffer>} read - Reads one entry.
+ * @returns {(path: string) => Promise<ArrayBuffer|null>}
+ * @template T
+ */
+export function createFileReader(entries, read) {
+  return async (path) => {
+    let entry = entries.get(normalizePath(path));
+    if (!entry) {
+      const baseName = getBaseName(path).toLowerCase();
+      const matches = Array.from(entries.keys()).filter(key => getBaseName(key).toLowerCase() === baseName);
+      if (matches.length === 1) entry = entries.get(matches[0]);
+    }
+    return entry ? read(entry) : null;
+  };
+}
+
+/**
+ * Reads the buffers and images referenced by a glTF JSON.
+ * @param {Object} json - glTF JSON.
+ * @param {string} gltfPath - Path of the glTF in the file set; URIs are relative to its directory.
+ * @param {(path: string) => Promise<ArrayBuffer|null>} readFile - Reads a file of the set, null if missing.
+ * @returns {Promise<{resources: Map<string, ArrayBuffer>, missing: Array<string>}>} Files by resolved path, and
+ * the URIs of the missing images. A missing buffer throws, the model cannot be loaded without it.
+ */
+export async function readExternalResources(json, gltfPath, readFile) {
+  const baseDir = getDirName(normalizePath(gltfPath));
+  const resources = new Map();
+  const missing = [];
+
+  const read = async (uri, isRequired) => {
+    const path = resolveRelativePath(baseDir, uri);
+    if (resources.has(path)) return;
+    const data = await readFile(path);
+    if (data) {
+      resources.set(path, data);
+    } else if (isRequired) {
+      throw new Error(`External buffer "${uri}" of the glTF was not found, drop or zip it together with the .gltf`);
+    } else {
+      missing.push(uri);
+    }
+  };
+
+  for (const buffer of json.buffers || []) {
+    if (isExternalURI(buffer.uri)) await read(buffer.uri, true);
+  }
+  for (const image of json.images || []) {
+    if (isExternalURI(image.uri)) await read(image.uri, false);
+  }
+  return { resources, missing };
+}
+
+/**
+ * LoadingManager serving `resources` to GLTFLoader. Pass `basePath` as the path of `loader.parse`.
+ * @param {Map<string, ArrayBuffer|Blob>} resources - Files by resolved path, see `readExternalResources`.
+ * @param {string} gltfPath - Path of the glTF in the file set.
+ * @returns {{manager: THREE.LoadingManager, basePath: string, dispose: Function}} `dispose` revokes the blob URLs
+ * once loading has finished.
+ */
+export function createResourceManager(resources, gltfPath) {
+  const blobURLs = new Map();
+  const manager = new THREE.LoadingManager();
+
+  manager.setURLModifier((url) => {
+    if (!url.startsWith(VIRTUAL_ROOT)) return url;
+    const path = resolveRelativePath('', url.slice(VIRTUAL_ROOT.length));
+    const data = resources.get(path);
+    if (!data) return url;
+    if (!blobURLs.has(path)) {
+      const type = MIME_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+      blobURLs.set(path, URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type })));
+    }
+    return blobURLs.get(path);
+  });
+
+  const baseDir = getDirName(normalizePath(gltfPath));
+  return {
+    manager,
+    basePath: `${VIRTUAL_ROOT}${baseDir ? `${baseDir}/` : ''}`,
+    dispose: () => blobURLs.forEach(url => URL.revokeObjectURL(url)),
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * @file historyUtils.js
+ * Diff-based undo/redo entries for the annotation store.
+ *
+ * Labeling a few faces of a multi-million-vertex tile must not keep a copy of the whole points or faces array
+ * per undo step. Label edits are therefore stored as the changed indices plus their previous label IDs.
+ * Every other undoable change (label definitions, selections and the box they were made with, label statistics)
+ * is stored as the previous value of the state fields the action replaced.
+ */
+
+// State fields an undo step can restore
+const HISTORY_FIELDS = [
+  'points',
+  'faces',
+  'labels',
+  'labelInfo',
+  'selectedPoints',
+  'selectedFaces',
+  'isManualFaceSelection',
+  'annotationBox',
+];
+
+// Collections whose label edits are stored as diffs, keyed by the action that edits them
+const LABEL_DIFF_ACTIONS = {
+  APPLY_LABELS: 'points',
+  APPLY_LABEL_TO_FACES: 'faces',
+};
+
+// Rough per-item costs used to estimate the memory held by an entry (V8, 64-bit)
+const BYTES_PER_DIFF_ITEM = 12; // Uint32 index + label ID slot
+const BYTES_PER_ARRAY_SLOT = 8;
+const BYTES_PER_SET_ITEM = 24;
+const BYTES_PER_RECORD = 96; // A point or face object kept alive by a replaced array
+
+export const DEFAULT_HISTORY_MEMORY_LIMIT_MB = 256;
+
+/**
+ * Records the label diff of one collection: the indices that changed and their previous label IDs.
+ * Indices whose label does not change are left out.
+ */
+function createLabelDiff(items, nextItems, indices) {
+  const changed = [];
+  const previousLabelIds = [];
+  for (const index of indices) {
+    const item = items[index];
+    if (!item) continue;
+    const labelId = item.labelId ?? null;
+    if (labelId === (nextItems[index]?.labelId ?? null)) continue;
+    changed.push(index);
+    previousLabelIds.push(labelId);
+  }
+  return { indices: Uint32Array.from(changed), labelIds: previousLabelIds };
+}
+
+/**
+ * Writes the label IDs of a diff back into a copy of the collection.
+ * Diffs are applied from last to first, so for an index recorded twice (merged history groups)
+ * the earliest recorded label wins.
+ */
+function applyLabelDiff(items, diff) {
+  const nextItems = items.slice();
+  for (let i = diff.indices.length - 1; i >= 0; i--) {
+    const index = diff.indices[i];
+    const item = nextItems[index];
+    nextItems[index] = Array.isArray(item)
+      ? { indices: item, labelId: diff.labelIds[i] }
+      : { ...item, labelId: diff.labelIds[i] };
+  }
+  return nextItems;
+}
+
+function estimateFieldBytes(key, value) {
+  if (value instanceof Set) return value.size * BYTES_PER_SET_ITEM;
+  if (!Array.isArray(value)) return 0;
+  // A replaced points or faces array keeps all of its records alive
+  const perItem = key === 'points' || key === 'faces' ? BYTES_PER_ARRAY_SLOT + BYTES_PER_RECORD : BYTES_PER_ARRAY_SLOT;
+  return value.length * perItem;
+}
+
+function estimateEntryBytes(entry) {
+  let bytes = 0;
+  Object.entries(entry.fields).forEach(([key, value]) => {
+    bytes += estimateFieldBytes(key, value);
+  });
+  Object.values(entry.labelDiffs).forEach(diff => {
+    bytes += diff.indices.length * BYTES_PER_DIFF_ITEM;
+  });
+  return bytes;
+}
+
+function finalizeEntry(entry) {
+  return { ...entry, bytes: estimateEntryBytes(entry) };
+}
+
+/**
+ * Creates the history entry that reverts `action`, given the states before and after it.
+ *
+ * @param {Object} state - The state before the action.
+ * @param {Object} nextState - The state after the action.
+ * @param {Object} action - The applied action.
+ * @returns {{historyGroup: string|null, fields: Object, labelDiffs: Object, bytes: number}} The history entry.
+ */
+export function createHistoryEntry(state, nextState, action) {
+  const fields = {};
+  const labelDiffs = {};
+  const diffTarget = LABEL_DIFF_ACTIONS[action.type];
+
+  HISTORY_FIELDS.forEach(key => {
+    if (nextState[key] === state[key]) return;
+    if (key === diffTarget) {
+      const indices = diffTarget === 'points' ? action.payload.pointIndices : action.payload.faceIndices;
+      labelDiffs[key] = createLabelDiff(state[key], nextState[key], indices);
+    } else {
+      fields[key] = state[key];
+    }
+  });
+
+  return finalizeEntry({ historyGroup: action.historyGroup ?? action.payload?.historyGroup ?? null, fields, labelDiffs });
+}
+
+/**
+ * Folds `entry` into `previous`, the entry of an earlier action of the same history group.
+ * The merged entry restores the state from before the first action of the group.
+ */
+export function mergeHistoryEntries(previous, entry) {
+  const labelDiffs = { ...entry.labelDiffs };
+  Object.entries(previous.labelDiffs).forEach(([key, diff]) => {
+    const later = labelDiffs[key];
+    labelDiffs[key] = later
+      ? {
+          indices: Uint32Array.from([...diff.indices, ...later.indices]),
+          labelIds: [...diff.labelIds, ...later.labelIds],
+        }
+      : diff;
+  });
+
+  return finalizeEntry({
+    historyGroup: previous.historyGroup,
+    fields: { ...entry.fields, ...previous.fields },
+    labelDiffs,
+  });
+}
+
+/**
+ * Applies a history entry to the state.
+ *
+ * @param {Object} state - The current state.
+ * @param {Object} entry - The entry to apply, from the undo or the redo stack.
+ * @returns {{state: Object, inverse: Object}} The restored state, and the entry that reverts this step
+ * (pushed onto the opposite stack).
+ */
+export function applyHistoryEntry(state, entry) {
+  const nextState = { ...state, ...entry.fields };
+  const inverseFields = {};
+  const inverseDiffs = {};
+
+  Object.keys(entry.fields).forEach(key => {
+    inverseFields[key] = state[key];
+  });
+
+  Object.entries(entry.labelDiffs).forEach(([key, diff]) => {
+    const items = state[key];
+    inverseDiffs[key] = {
+      indices: diff.indices,
+      labelIds: Array.from(diff.indices, index => items[index]?.labelId ?? null),
+    };
+    nextState[key] = applyLabelDiff(items, diff);
+  });
+
+  return {
+    state: nextState,
+    inverse: finalizeEntry({ historyGroup: entry.historyGroup, fields: inverseFields, labelDiffs: inverseDiffs }),
+  };
+}
+
+/**
+ * Drops the oldest entries until the stack fits into the memory limit. The newest entry is always kept,
+ * so the last edit stays undoable even when it alone exceeds the limit.
+ *
+ * @param {Array<Object>} entries - History entries, oldest first.
+ * @param {number} limitBytes - Memory limit in bytes.
+ * @returns {Array<Object>} The trimmed stack.
+ */
+export function trimHistory(entries, limitBytes) {
+  let total = getHistoryBytes(entries);
+  let start = 0;
+  while (total > limitBytes && start < entries.length - 1) {
+    total -= entries[start].bytes;
+    start++;
+  }
+  return start > 0 ? entries.slice(start) : entries;
+}
+
+/**
+ * Estimated memory held by a history stack, in bytes.
+ */
+export function getHistoryBytes(entries) {
+  return entries.reduce((sum, entry) => sum + entry.bytes, 0);
+}
@@ -0,0 +1,54 @@
+/**
+ * @file kittiExporter.js
+ * SemanticKITTI `.label` export: one uint32 per point, the point label in the lower 16 bits and the instance ID
+ * loaded from the original `.label` (0 without one) in the upper 16.
+ */
+
+import { downloadFile } from './download';
+
+/**
+ * 生成 .label 文件内容
+ * @param {Array} points - 点数组，顺序与 .bin 文件相同
+ * @param {Object} header - parseKITTIScan 返回的文件头
+ * @returns {ArrayBuffer} .label 文件内容
+ */
+export function generateKITTILabelContent(points, header) {
+  const instanceIds = header?.instanceIds || null;
+  if (instanceIds && instanceIds.length !== points.length) {
+    throw new Error(`Point count ${points.length} does not match the loaded scan (${instanceIds.length})`);
+  }
+
+  const buffer = new ArrayBuffer(points.length * 4);
+  const view = new DataView(buffer);
+  points.forEach((point, i) => {
+    const labelId = point.labelId === undefined || point.labelId === null || point.labelId < 0 ? 0 : point.labelId;
+    if (labelId > 0xffff) {
+      throw new Error(`Label ID ${labelId} does not fit the 16 bit semantic label of a .label file`);
+    }
+    view.setUint32(i * 4, (((instanceIds ? instanceIds[i] : 0) << 16) | labelId) >>> 0, true);
+  });
+  return buffer;
+}
+
+/**
+ * Build the SemanticKITTI `.label` file of a scan, named after it (`000042.bin` -> `000042.label`).
+ * @param {Array} points - Points of the loaded scan.
+ * @param {Object} header - Header of the loaded scan.
+ * @param {string} originalFileName - Name of the loaded `.bin` file.
+ * @returns {{data: ArrayBuffer, fileName: string, mimeType: string}}
+ */
+export function createKITTILabelFile(points, header, originalFileName) {
+  const baseName = originalFileName ? originalFileName.replace(/\.bin$/i, '') : 'scan';
+  return {
+    data: generateKITTILabelContent(points, header),
+    fileName: `${baseName}.label`,
+    mimeType: 'application/octet-stream',
+  };
+}
+
+/**
+ * Export point labels as a SemanticKITTI `.label` file, see `createKITTILabelFile`.
+ */
+export function exportKITTILabels(points, header, originalFileName) {
+  downloadFile(createKITTILabelFile(points, header, originalFileName));
+}
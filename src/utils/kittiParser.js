@@ -0,0 +1,143 @@
+/**
+ * @file kittiParser.js
+ * SemanticKITTI scan import: a velodyne `.bin` (float32 x, y, z, remission per point) with its companion `.label`
+ * (uint32 per point, semantic label in the lower 16 bits, instance ID in the upper 16).
+ *
+ * The points are returned unlabeled; the semantic labels come as `labelAssignments` and are applied through the
+ * regular APPLY_LABELS path when the file is loaded. Instance IDs are kept in the header for `exportKITTILabels`.
+ */
+
+import { SEMANTIC_KITTI_LABELS } from '../constants/semanticKittiLabels';
+
+const POINT_SIZE = 16; // x, y, z, remission
+const LABEL_SIZE = 4;
+
+/**
+ * 检查文件是否为SemanticKITTI点云（velodyne .bin）
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为.bin文件
+ */
+export function isKITTIScanFile(fileName) {
+  return fileName.toLowerCase().endsWith('.bin');
+}
+
+/**
+ * 检查文件是否为SemanticKITTI标签文件
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为.label文件
+ */
+export function isKITTILabelFile(fileName) {
+  return fileName.toLowerCase().endsWith('.label');
+}
+
+const getStem = (path) => path.replace(/\\/g, '/').split('/').pop().replace(/\.[^.]+$/, '');
+
+/**
+ * Companion `.label` of a scan: the file with the same name (`velodyne/000042.bin` -> `labels/000042.label`),
+ * or the only `.label` file dropped with it.
+ * @param {string} fileName - Scan file name.
+ * @param {Map<string, ArrayBuffer|string>} materialMap - Files dropped or zipped with the scan.
+ * @returns {{name: string, data: ArrayBuffer}|null}
+ */
+export function findKITTILabelFile(fileName, materialMap) {
+  const labelFiles = Array.from(materialMap.entries()).filter(([name]) => isKITTILabelFile(name));
+  const match = labelFiles.find(([name]) => getStem(name) === getStem(fileName))
+    ?? (labelFiles.length === 1 ? labelFiles[0] : null);
+  return match ? { name: match[0], data: match[1] } : null;
+}
+
+/**
+ * Split `.label` content into semantic labels and instance IDs.
+ * @param {ArrayBuffer} buffer - `.label` file content.
+ * @param {number} pointCount - Number of points of the scan.
+ * @returns {{semanticIds: Uint16Array, instanceIds: Uint16Array}}
+ */
+export function parseKITTILabels(buffer, pointCount) {
+  if (buffer.byteLength !== pointCount * LABEL_SIZE) {
+    throw new Error(`Label file has ${buffer.byteLength / LABEL_SIZE} entries, the scan has ${pointCount} points`);
+  }
+  const view = new DataView(buffer);
+  const semanticIds = new Uint16Array(pointCount);
+  const instanceIds = new Uint16Array(pointCount);
+  for (let i = 0; i < pointCount; i++) {
+    const value = view.getUint32(i * LABEL_SIZE, true);
+    semanticIds[i] = value & 0xffff;
+    instanceIds[i] = value >>> 16;
+  }
+  return { semanticIds, instanceIds };
+}
+
+/**
+ * 解析SemanticKITTI扫描的主函数
+ * @param {ArrayBuffer} buffer - .bin文件内容
+ * @param {string} fileName - 文件名
+ * @param {Map<string, ArrayBuffer|string>} materialMap - 同时拖入或打包的文件，其中的 .label 作为标签
+ * @returns {Object} 与 parsePLY 相同结构的解析结果，另有 `labelAssignments`（标签ID -> 点索引）
+ */
+export function parseKITTIScan(buffer, fileName = 'scan.bin', materialMap = new Map()) {
+  if (buffer.byteLength % POINT_SIZE !== 0) {
+    throw new Error(`${fileName} is not a SemanticKITTI scan (size is not a multiple of ${POINT_SIZE} bytes)`);
+  }
+  const pointCount = buffer.byteLength / POINT_SIZE;
+  const view = new DataView(buffer);
+
+  const points = new Array(pointCount);
+  for (let i = 0; i < pointCount; i++) {
+    const offset = i * POINT_SIZE;
+    const remission = view.getFloat32(offset + 12, true);
+    // Remission is in [0, 1], shown as gray
+    const gray = Math.min(1, Math.max(0, remission));
+    points[i] = {
+      position: [view.getFloat32(offset, true), view.getFloat32(offset + 4, true), view.getFloat32(offset + 8, true)],
+      color: [gray, gray, gray],
+      labelId: 0,
+      remission,
+    };
+  }
+
+  // 1. Companion label file, grouped by label ID for APPLY_LABELS
+  const labelFile = findKITTILabelFile(fileName, materialMap);
+  let instanceIds = null;
+  const labelAssignments = new Map();
+  if (labelFile) {
+    const labels = parseKITTILabels(labelFile.data, pointCount);
+    instanceIds = labels.instanceIds;
+    labels.semanticIds.forEach((labelId, i) => {
+      if (labelId === 0) return;
+      if (!labelAssignments.has(labelId)) labelAssignments.set(labelId, []);
+      labelAssignments.get(labelId).push(i);
+    });
+  }
+
+  // 2. Default labels: the SemanticKITTI classes, plus the other IDs used by the file
+  const labelDefinitions = SEMANTIC_KITTI_LABELS.map(label => ({ ...label }));
+  Array.from(labelAssignments.keys()).filter(id => !labelDefinitions.some(label => label.id === id)).forEach(id => {
+    labelDefinitions.push({ id, name: `Class ${id}` });
+  });
+
+  return {
+    points,
+    faces: null,
+    materials: null,
+    textureFile: null,
+    labelDefinitions,
+    labelAssignments,
+    header: {
+      format: 'semantickitti',
+      version: labelFile ? 'bin + label' : 'bin',
+      vertexCount: pointCount,
+      comments: labelFile ? [`Labels: ${labelFile.name}`] : ['No .label file, points are unlabeled'],
+      instanceIds,
+    },
+    fields: ['x', 'y', 'z', 'remission'],
+    // Filled in by APPLY_LABELS
+    labelInfo: {
+      labeledCount: 0,
+      unlabeledCount: pointCount,
+      labelStats: {},
+      faceLabeledCount: 0,
+      faceUnlabeledCount: 0,
+      faceLabelStats: {},
+    },
+  };
+}
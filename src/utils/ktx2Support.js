@@ -0,0 +1,24 @@
+/**
+ * @file ktx2Support.js
+ * KTX2 transcoding target detection for the browser. KTX2Loader picks the compressed texture format to transcode
+ * to from the extensions of a WebGL context, so it needs a canvas; register it with `setKTX2SupportDetector`
+ * (glbParser.js) where a DOM is available.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Configures a KTX2Loader for the GPU of this browser.
+ * @param {import('three/examples/jsm/loaders/KTX2Loader.js').KTX2Loader} ktx2Loader - Loader to configure.
+ * @returns {boolean} False when no WebGL context is available; the loader is then not usable.
+ */
+export function detectKTX2Support(ktx2Loader) {
+  const canvas = document.createElement('canvas');
+  const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+  if (!gl) return false;
+
+  const renderer = new THREE.WebGLRenderer({ canvas, context: gl });
+  ktx2Loader.detectSupport(renderer);
+  renderer.dispose();
+  return true;
+}
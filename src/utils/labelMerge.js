@@ -0,0 +1,217 @@
+/**
+ * @file labelMerge.js
+ * Merging the label definitions of several meshes into one label list.
+ *
+ * Every mesh of a GLB (and every tile of a tileset) may carry its own `labelDefinitions`. Definitions of the same ID
+ * are merged; when they disagree on name or color, the first definition is kept and the disagreement is reported
+ * as a conflict. A conflict can be resolved by giving every other variant a new, unused label ID and rewriting the
+ * labels of the faces and points of the meshes that declared it.
+ */
+
+import { getDefaultColorForLabel } from '../constants/colors.js';
+
+function normalizeColor(color) {
+  return typeof color === 'string' ? color.toLowerCase() : null;
+}
+
+// A definition without a color matches any color, so a missing color is never a conflict
+function isSameDefinition(a, b) {
+  const colorA = normalizeColor(a.color);
+  const colorB = normalizeColor(b.color);
+  return (a.name || '') === (b.name || '') && (!colorA || !colorB || colorA === colorB);
+}
+
+/**
+ * Merges the label definitions of several meshes.
+ *
+ * @param {Array<{meshId: string, meshName: string, definitions: Array<Object>}>} sources - Definitions per mesh,
+ * in scene order.
+ * @returns {{labels: Array<Object>, conflicts: Array<Object>}} The merged definitions (first definition of every ID,
+ * sorted by ID), and one conflict `{id, variants}` per ID with differing definitions. Every variant is
+ * `{definition, meshIds, meshNames}`; the first variant is the one kept in `labels`.
+ */
+export function mergeLabelDefinitions(sources) {
+  const variantsById = new Map();
+
+  sources.forEach(({ meshId, meshName, definitions }) => {
+    definitions.forEach(definition => {
+      if (!variantsById.has(definition.id)) variantsById.set(definition.id, []);
+      const variants = variantsById.get(definition.id);
+      let variant = variants.find(candidate => isSameDefinition(candidate.definition, definition));
+      if (!variant) {
+        variant = { definition: { ...definition }, meshIds: [], meshNames: [] };
+        variants.push(variant);
+      } else if (!variant.definition.color && definition.color) {
+        variant.definition.color = definition.color;
+      }
+      if (!variant.meshIds.includes(meshId)) {
+        variant.meshIds.push(meshId);
+        variant.meshNames.push(meshName);
+      }
+    });
+  });
+
+  const labels = [];
+  const conflicts = [];
+  variantsById.forEach((variants, id) => {
+    labels.push({ ...variants[0].definition });
+    if (variants.length > 1) conflicts.push({ id, variants });
+  });
+  labels.sort((a, b) => a.id - b.id);
+  conflicts.sort((a, b) => a.id - b.id);
+  return { labels, conflicts };
+}
+
+/**
+ * Recomputes `faceCount` and `pointCount` of every label.
+ *
+ * @param {Array<Object>} labels - Label definitions, updated in place.
+ * @param {Array<Object>} points - Points with `labelId`.
+ * @param {Array<Object>|null} faces - Faces with `labelId`.
+ */
+export function countLabelUsage(labels, points, faces) {
+  const labelMap = new Map();
+  labels.forEach(label => {
+    label.faceCount = 0;
+    label.pointCount = 0;
+    labelMap.set(label.id, label);
+  });
+  (faces || []).forEach(face => {
+    const label = face.labelId > 0 ? labelMap.get(face.labelId) : null;
+    if (label) label.faceCount++;
+  });
+  points.forEach(point => {
+    const label = point.labelId > 0 ? labelMap.get(point.labelId) : null;
+    if (label) label.pointCount++;
+  });
+}
+
+/**
+ * Resolves the label conflicts of a GLB / tileset parse result: every variant except the first gets a new label ID
+ * (after the highest ID in use), and the faces and points of the meshes that declared it are relabeled.
+ *
+ * @param {Object} fileData - Parse result with `labels`, `labelConflicts`, `points`, `faces` and `interactionMapping`.
+ * @returns {{fileData: Object, remapped: Array<{fromId: number, toId: number, name: string}>}} The parse result
+ * without conflicts, and the applied remappings.
+ */
+export function remapLabelConflicts(fileData) {
+  const { labels, labelConflicts, points, faces, interactionMapping } = fileData;
+  const { meshToPointRange, meshToFaceRange } = interactionMapping;
+  let nextId = labels.reduce((max, label) => Math.max(max, label.id), 0) + 1;
+  const nextLabels = labels.map(label => ({ ...label }));
+  const nextPoints = points.slice();
+  const nextFaces = faces ? faces.slice() : faces;
+  const remapped = [];
+
+  const relabel = (items, range, fromId, toId) => {
+    if (!items || !range) return;
+    for (let i = range.start; i < range.end; i++) {
+      if (items[i].labelId === fromId) items[i] = { ...items[i], labelId: toId };
+    }
+  };
+
+  labelConflicts.forEach(({ id, variants }) => {
+    variants.slice(1).forEach(({ definition, meshIds }) => {
+      const toId = nextId++;
+      nextLabels.push({ ...definition, id: toId, color: definition.color || getDefaultColorForLabel(toId) });
+      meshIds.forEach(meshId => {
+        relabel(nextFaces, meshToFaceRange.get(meshId), id, toId);
+        relabel(nextPoints, meshToPointRange.get(meshId), id, toId);
+      });
+      remapped.push({ fromId: id, toId, name: definition.name || `Label ${id}` });
+    });
+  });
+
+  countLabelUsage(nextLabels, nextPoints, nextFaces);
+  return {
+    fileData: { ...fileData, labels: nextLabels, points: nextPoints, faces: nextFaces, labelConflicts: [] },
+    remapped,
+  };
+}
+
+/**
+ * Label definitions of a parse result as an array. PLY files return `labelDefinitions` as an `{id: name}` object.
+ * @param {Array<Object>|Object|null} labelDefinitions - `labelDefinitions` of a parse result.
+ * @returns {Array<Object>}
+ */
+export function normalizeLabelDefinitions(labelDefinitions) {
+  if (!labelDefinitions) return [];
+  if (Array.isArray(labelDefinitions)) return labelDefinitions;
+  return Object.entries(labelDefinitions).map(([id, name]) => ({ id: parseInt(id, 10), name }));
+}
+
+/**
+ * Finds the label IDs a file loaded as a further layer defines differently from the labels of the session.
+ *
+ * @param {Array<Object>} sessionLabels - Labels of the session.
+ * @param {Object} fileData - Parse result of the file: `labels` (GLB, tilesets) and / or `labelDefinitions`.
+ * @returns {Array<{id: number, existing: Object, incoming: Object}>} One conflict per ID, sorted by ID.
+ */
+export function findLayerLabelConflicts(sessionLabels, fileData) {
+  const sessionById = new Map(sessionLabels.map(label => [label.id, label]));
+  const conflicts = new Map();
+  [...(fileData.labels || []), ...normalizeLabelDefinitions(fileData.labelDefinitions)].forEach(definition => {
+    const existing = sessionById.get(definition.id);
+    if (definition.id > 0 && existing && !conflicts.has(definition.id) && !isSameDefinition(existing, definition)) {
+      conflicts.set(definition.id, { id: definition.id, existing, incoming: definition });
+    }
+  });
+  return Array.from(conflicts.values()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Resolves the conflicts found by `findLayerLabelConflicts`: every conflicting definition of the file gets a new
+ * label ID (after the highest ID used by the session or the file), and all points and faces of the file are
+ * relabeled, as are its label statistics and SemanticKITTI `labelAssignments`.
+ *
+ * @param {Object} fileData - Parse result of the file.
+ * @param {Array<Object>} conflicts - Conflicts found by `findLayerLabelConflicts`.
+ * @param {Array<Object>} sessionLabels - Labels of the session.
+ * @returns {{fileData: Object, remapped: Array<{fromId: number, toId: number, name: string}>}}
+ */
+export function remapLayerLabels(fileData, conflicts, sessionLabels) {
+  const { points, faces, labels, labelInfo, labelAssignments } = fileData;
+  const labelDefinitions = normalizeLabelDefinitions(fileData.labelDefinitions);
+  const usedIds = [
+    ...sessionLabels.map(label => label.id),
+    ...(labels || []).map(label => label.id),
+    ...labelDefinitions.map(label => label.id),
+    ...Object.keys(labelInfo?.labelStats || {}).map(Number),
+    ...Object.keys(labelInfo?.faceLabelStats || {}).map(Number),
+    ...(labelAssignments ? labelAssignments.keys() : []),
+  ].filter(Number.isFinite);
+  let nextId = Math.max(0, ...usedIds) + 1;
+
+  const idMap = new Map();
+  const remapped = conflicts.map(({ id, incoming }) => {
+    const toId = nextId++;
+    idMap.set(id, toId);
+    return { fromId: id, toId, name: incoming.name || `Label ${id}` };
+  });
+
+  const remapId = (id) => (idMap.has(id) ? idMap.get(id) : id);
+  const remapItems = (items) => items && items.map(item => (idMap.has(item.labelId) ? { ...item, labelId: idMap.get(item.labelId) } : item));
+  const remapDefinitions = (definitions) => definitions.map(definition => {
+    if (!idMap.has(definition.id)) return definition;
+    const id = idMap.get(definition.id);
+    return { ...definition, id, color: definition.color || getDefaultColorForLabel(id) };
+  });
+  const remapStats = (stats) => stats && Object.fromEntries(Object.entries(stats).map(([id, count]) => [remapId(Number(id)), count]));
+
+  return {
+    fileData: {
+      ...fileData,
+      points: remapItems(points),
+      faces: remapItems(faces),
+      ...(labels && { labels: remapDefinitions(labels) }),
+      ...(fileData.labelDefinitions && { labelDefinitions: remapDefinitions(labelDefinitions) }),
+      ...(labelInfo && {
+        labelInfo: { ...labelInfo, labelStats: remapStats(labelInfo.labelStats), faceLabelStats: remapStats(labelInfo.faceLabelStats) },
+      }),
+      ...(labelAssignments && {
+        labelAssignments: new Map(Array.from(labelAssignments, ([id, pointIndices]) => [remapId(id), pointIndices])),
+      }),
+    },
+    remapped,
+  };
+}
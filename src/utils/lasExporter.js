@@ -0,0 +1,100 @@
+/**
+ * @file lasExporter.js
+ * LAS export of point cloud classifications.
+ *
+ * The file is rebuilt from the `lasSource` kept by `parseLAS`: header, VLRs, point records and extended VLRs are
+ * written back unchanged, except for the classification field of every point. LAZ input is written as uncompressed
+ * LAS.
+ */
+
+import { getPointRecordLayout } from './lasParser';
+import { downloadFile } from './download';
+
+/**
+ * Classification value written for a label ID. Unlabeled points (0 / -1 / no label) are written as
+ * "Created, never classified" (0).
+ */
+function toClassification(labelId, maxClassification) {
+  if (labelId === undefined || labelId === null || labelId < 0) return 0;
+  if (!Number.isInteger(labelId) || labelId > maxClassification) {
+    throw new Error(`Label ID ${labelId} cannot be stored as a LAS classification (0 - ${maxClassification})`);
+  }
+  return labelId;
+}
+
+/**
+ * 生成LAS文件内容
+ * @param {Array} points - 点数组，顺序与原文件相同
+ * @param {Object} lasSource - parseLAS 返回的 `lasSource`
+ * @returns {ArrayBuffer} LAS文件内容
+ */
+export function generateLASContent(points, lasSource) {
+  const { header, headerBytes, vlrs, records, evlrBytes } = lasSource;
+  const { pointFormat, recordLength, pointCount } = header;
+  if (points.length !== pointCount) {
+    throw new Error(`Point count ${points.length} does not match the loaded LAS file (${pointCount})`);
+  }
+
+  // 1. Point records with the edited classifications
+  const layout = getPointRecordLayout(pointFormat);
+  const pointRecords = records.slice();
+  for (let i = 0; i < pointCount; i++) {
+    const index = i * recordLength + layout.classificationOffset;
+    const classification = toClassification(points[i].labelId, layout.classificationMask);
+    // Formats 0-5 keep the synthetic / key-point / withheld flags in the upper 3 bits
+    pointRecords[index] = (pointRecords[index] & ~layout.classificationMask) | classification;
+  }
+
+  // 2. File layout: header, VLRs, padding, points, extended VLRs
+  const vlrLength = vlrs.reduce((sum, vlr) => sum + vlr.bytes.length, 0);
+  const offsetToPointData = headerBytes.length + vlrLength + header.vlrPadding.length;
+  const evlrStart = offsetToPointData + pointRecords.length;
+  const totalLength = evlrStart + (evlrBytes ? evlrBytes.length : 0);
+
+  const output = new Uint8Array(totalLength);
+  output.set(headerBytes, 0);
+  let offset = headerBytes.length;
+  vlrs.forEach(vlr => {
+    output.set(vlr.bytes, offset);
+    offset += vlr.bytes.length;
+  });
+  output.set(header.vlrPadding, offset);
+  output.set(pointRecords, offsetToPointData);
+  if (evlrBytes) output.set(evlrBytes, evlrStart);
+
+  // 3. Header fields that depend on the layout
+  const view = new DataView(output.buffer);
+  view.setUint32(96, offsetToPointData, true);
+  view.setUint32(100, vlrs.length, true);
+  view.setUint8(104, pointFormat); // clears the LAZ compression bits
+  if (header.waveformStart > 0 && header.evlrStart > 0) {
+    view.setBigUint64(227, BigInt(header.waveformStart - header.evlrStart + evlrStart), true);
+  }
+  if (header.versionMinor >= 4 && header.headerSize >= 375) {
+    view.setBigUint64(235, BigInt(evlrBytes ? evlrStart : 0), true);
+  }
+  return output.buffer;
+}
+
+/**
+ * Build the LAS file of points, with the classifications taken from the point labels.
+ * @param {Array} points - Points loaded from a LAS / LAZ file.
+ * @param {Object} lasSource - `lasSource` of the parse result.
+ * @param {string} originalFileName - Name of the loaded file.
+ * @returns {{data: ArrayBuffer, fileName: string, mimeType: string}}
+ */
+export function createLASFile(points, lasSource, originalFileName) {
+  const baseName = originalFileName ? originalFileName.replace(/\.(las|laz)$/i, '') : 'pointcloud';
+  return {
+    data: generateLASContent(points, lasSource),
+    fileName: `${baseName}_annotated.las`,
+    mimeType: 'application/octet-stream',
+  };
+}
+
+/**
+ * Export points as LAS and download it, see `createLASFile`.
+ */
+export function exportLAS(points, lasSource, originalFileName) {
+  downloadFile(createLASFile(points, lasSource, originalFileName));
+}
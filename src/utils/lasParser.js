@@ -0,0 +1,263 @@
+/**
+ * @file lasParser.js
+ * LAS 1.2 - 1.4 / LAZ point cloud import.
+ *
+ * The ASPRS classification of every point becomes its `labelId`; default labels are created for the standard ASPRS
+ * classes. Intensity, return number and number of returns are kept on the points as extra attributes.
+ * LAZ is decompressed with laz-perf (WASM, served from the decoders directory like Draco).
+ *
+ * The parse result carries a `lasSource` (header, VLRs and the raw point records), used by `lasExporter.js` to write
+ * the file back with only the classifications changed.
+ */
+
+import { ASPRS_CLASSES } from '../constants/asprsClasses';
+import { getLazPerfPath } from './decoderPaths';
+
+const LAS_SIGNATURE = 'LASF';
+const VLR_HEADER_LENGTH = 54;
+const LASZIP_VLR = { userId: 'laszip encoded', recordId: 22204 };
+
+/**
+ * 检查文件是否为LAS / LAZ格式
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为LAS或LAZ文件
+ */
+export function isLASFile(fileName) {
+  return /\.(las|laz)$/i.test(fileName);
+}
+
+const readString = (bytes, offset, length) => {
+  const slice = bytes.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? slice : slice.subarray(0, end)).trim();
+};
+
+/**
+ * Byte offsets of the fields used by the viewer within a point record.
+ * Formats 0-5 (LAS 1.2 / 1.3) store the classification in the low 5 bits of byte 15, formats 6-10 (LAS 1.4) use
+ * a full byte at 16.
+ * @param {number} pointFormat - Point data record format (0-10).
+ */
+export function getPointRecordLayout(pointFormat) {
+  if (pointFormat < 0 || pointFormat > 10) {
+    throw new Error(`Unsupported LAS point data record format ${pointFormat}`);
+  }
+  const isLegacy = pointFormat < 6;
+  const rgbOffsets = isLegacy ? { 2: 20, 3: 28, 5: 28 } : { 7: 30, 8: 30, 10: 30 };
+  return {
+    isLegacy,
+    classificationOffset: isLegacy ? 15 : 16,
+    classificationMask: isLegacy ? 0x1f : 0xff,
+    rgbOffset: rgbOffsets[pointFormat] ?? null,
+  };
+}
+
+/**
+ * Read the public header block and the variable length records.
+ * @param {ArrayBuffer} buffer - File content.
+ * @returns {object} Header fields, `vlrs` (`{userId, recordId, bytes}`) and the byte ranges of the file sections.
+ */
+export function parseLASHeader(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (buffer.byteLength < 227 || readString(bytes, 0, 4) !== LAS_SIGNATURE) {
+    throw new Error('Not a LAS file (missing "LASF" signature)');
+  }
+
+  const versionMajor = view.getUint8(24);
+  const versionMinor = view.getUint8(25);
+  const headerSize = view.getUint16(94, true);
+  const formatByte = view.getUint8(104);
+  const header = {
+    versionMajor,
+    versionMinor,
+    systemIdentifier: readString(bytes, 26, 32),
+    generatingSoftware: readString(bytes, 58, 32),
+    headerSize,
+    offsetToPointData: view.getUint32(96, true),
+    vlrCount: view.getUint32(100, true),
+    // LAZ sets bit 7 (and bit 6) of the format byte
+    isCompressed: (formatByte & 0xc0) !== 0,
+    pointFormat: formatByte & 0x3f,
+    recordLength: view.getUint16(105, true),
+    pointCount: view.getUint32(107, true),
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+    waveformStart: 0,
+    evlrStart: 0,
+    evlrCount: 0,
+  };
+
+  if (versionMinor >= 3 && headerSize >= 235) {
+    header.waveformStart = Number(view.getBigUint64(227, true));
+    // LAS 1.3 has a single extended VLR, the waveform data stored after the points
+    header.evlrStart = header.waveformStart;
+  }
+  if (versionMinor >= 4 && headerSize >= 375) {
+    header.evlrStart = Number(view.getBigUint64(235, true));
+    header.evlrCount = view.getUint32(243, true);
+    // The legacy point count is 0 for formats 6-10 and files with more than 2^32 points
+    header.pointCount = Number(view.getBigUint64(247, true)) || header.pointCount;
+  }
+
+  header.vlrs = [];
+  let offset = headerSize;
+  for (let i = 0; i < header.vlrCount && offset + VLR_HEADER_LENGTH <= header.offsetToPointData; i++) {
+    const length = VLR_HEADER_LENGTH + view.getUint16(offset + 20, true);
+    header.vlrs.push({
+      userId: readString(bytes, offset + 2, 16),
+      recordId: view.getUint16(offset + 18, true),
+      bytes: bytes.slice(offset, offset + length),
+    });
+    offset += length;
+  }
+  // User-defined bytes between the VLRs and the point data
+  header.vlrPadding = bytes.slice(offset, header.offsetToPointData);
+
+  header.isCompressed = header.isCompressed || header.vlrs.some(vlr => vlr.userId === LASZIP_VLR.userId && vlr.recordId === LASZIP_VLR.recordId);
+  return header;
+}
+
+/**
+ * Decompress the point records of a LAZ file with laz-perf.
+ * @returns {Promise<Uint8Array>} Uncompressed point records.
+ */
+async function decompressLAZ(buffer, header) {
+  const { createLazPerf } = await import('laz-perf');
+  const LazPerf = await createLazPerf({ locateFile: (path) => `${getLazPerfPath()}${path}` });
+
+  const filePointer = LazPerf._malloc(buffer.byteLength);
+  const laszip = new LazPerf.LASZip();
+  let pointPointer = 0;
+  try {
+    LazPerf.HEAPU8.set(new Uint8Array(buffer), filePointer);
+    laszip.open(filePointer, buffer.byteLength);
+
+    const recordLength = laszip.getPointLength();
+    if (recordLength !== header.recordLength) {
+      throw new Error(`LAZ point length ${recordLength} does not match the header (${header.recordLength})`);
+    }
+    const records = new Uint8Array(header.pointCount * recordLength);
+    pointPointer = LazPerf._malloc(recordLength);
+    for (let i = 0; i < header.pointCount; i++) {
+      laszip.getPoint(pointPointer);
+      // HEAPU8 is replaced when the WASM memory grows, do not keep a reference
+      records.set(LazPerf.HEAPU8.subarray(pointPointer, pointPointer + recordLength), i * recordLength);
+    }
+    return records;
+  } finally {
+    if (pointPointer) LazPerf._free(pointPointer);
+    laszip.delete();
+    LazPerf._free(filePointer);
+  }
+}
+
+/**
+ * 解析LAS / LAZ文件的主函数
+ * @param {ArrayBuffer} buffer - 文件的二进制内容
+ * @param {string} fileName - 文件名
+ * @returns {Promise<Object>} 与 parsePLY 相同结构的解析结果，另有 `lasSource` 用于导出
+ */
+export async function parseLAS(buffer, fileName = 'pointcloud.las') {
+  const header = parseLASHeader(buffer);
+  const { pointFormat, recordLength, pointCount, scale, offset } = header;
+  const layout = getPointRecordLayout(pointFormat);
+
+  let records;
+  if (header.isCompressed) {
+    records = await decompressLAZ(buffer, header);
+  } else {
+    if (header.offsetToPointData + pointCount * recordLength > buffer.byteLength) {
+      throw new Error(`LAS file is truncated: ${pointCount} points of ${recordLength} bytes expected`);
+    }
+    records = new Uint8Array(buffer, header.offsetToPointData, pointCount * recordLength);
+  }
+  const view = new DataView(records.buffer, records.byteOffset, records.byteLength);
+
+  // RGB is 16 bit, but some writers store 8 bit values: scale by the largest value found
+  let maxColor = 0;
+  let maxIntensity = 0;
+  for (let i = 0, o = 0; i < pointCount; i++, o += recordLength) {
+    maxIntensity = Math.max(maxIntensity, view.getUint16(o + 12, true));
+    if (layout.rgbOffset !== null) {
+      for (let c = 0; c < 3; c++) maxColor = Math.max(maxColor, view.getUint16(o + layout.rgbOffset + c * 2, true));
+    }
+  }
+  const colorScale = maxColor > 255 ? 1 / 65535 : 1 / 255;
+
+  const points = new Array(pointCount);
+  const labelStats = {};
+  for (let i = 0, o = 0; i < pointCount; i++, o += recordLength) {
+    const returnByte = view.getUint8(o + 14);
+    const intensity = view.getUint16(o + 12, true);
+    const labelId = view.getUint8(o + layout.classificationOffset) & layout.classificationMask;
+
+    let color;
+    if (layout.rgbOffset !== null) {
+      color = [0, 1, 2].map(c => view.getUint16(o + layout.rgbOffset + c * 2, true) * colorScale);
+    } else {
+      // Without RGB, points are shaded by intensity
+      const gray = maxIntensity > 0 ? intensity / maxIntensity : 1;
+      color = [gray, gray, gray];
+    }
+
+    points[i] = {
+      position: [
+        view.getInt32(o, true) * scale[0] + offset[0],
+        view.getInt32(o + 4, true) * scale[1] + offset[1],
+        view.getInt32(o + 8, true) * scale[2] + offset[2],
+      ],
+      color,
+      labelId,
+      intensity,
+      returnNumber: layout.isLegacy ? returnByte & 0x07 : returnByte & 0x0f,
+      numberOfReturns: layout.isLegacy ? (returnByte >> 3) & 0x07 : returnByte >> 4,
+    };
+    labelStats[labelId] = (labelStats[labelId] || 0) + 1;
+  }
+
+  // Default labels: all standard ASPRS classes, plus the non-standard classes used by the file
+  const labelDefinitions = ASPRS_CLASSES.map(label => ({ ...label }));
+  Object.keys(labelStats).map(Number).filter(id => id > 0 && !labelDefinitions.some(label => label.id === id)).forEach(id => {
+    labelDefinitions.push({ id, name: `Class ${id}` });
+  });
+
+  const version = `${header.versionMajor}.${header.versionMinor}`;
+  const evlrBytes = header.evlrStart > 0 && header.evlrStart < buffer.byteLength ? new Uint8Array(buffer.slice(header.evlrStart)) : null;
+  return {
+    points,
+    faces: null,
+    materials: null,
+    textureFile: null,
+    labelDefinitions,
+    header: {
+      format: header.isCompressed ? 'laz' : 'las',
+      version,
+      vertexCount: pointCount,
+      comments: [
+        `Point data record format ${pointFormat}`,
+        header.systemIdentifier && `System: ${header.systemIdentifier}`,
+        header.generatingSoftware && `Software: ${header.generatingSoftware}`,
+      ].filter(Boolean),
+    },
+    fields: ['x', 'y', 'z', 'intensity', 'return_number', 'number_of_returns', 'classification', ...(layout.rgbOffset !== null ? ['red', 'green', 'blue'] : [])],
+    labelInfo: {
+      labeledCount: pointCount,
+      unlabeledCount: 0,
+      labelStats,
+      faceLabeledCount: 0,
+      faceUnlabeledCount: 0,
+      faceLabelStats: {},
+    },
+    // 原始头、VLR 和点记录（LAZ 为解压后的记录），导出时只修改分类字段，见 lasExporter.js
+    lasSource: {
+      fileName,
+      header,
+      headerBytes: new Uint8Array(buffer.slice(0, header.headerSize)),
+      // The LASzip VLR only describes the compression, exported files are uncompressed
+      vlrs: header.vlrs.filter(vlr => !(vlr.userId === LASZIP_VLR.userId && vlr.recordId === LASZIP_VLR.recordId)),
+      records: header.isCompressed ? records : records.slice(),
+      evlrBytes,
+    },
+  };
+}
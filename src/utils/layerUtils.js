@@ -0,0 +1,164 @@
+/**
+ * @file layerUtils.js
+ * Several models loaded side by side in one session. Every file becomes a layer whose points and faces are
+ * appended to the shared `points` / `faces` arrays, so the selection and labeling tools work across layers
+ * unchanged and all layers share one label list.
+ *
+ * A layer records its index ranges, its visibility and offset, and the per-file data its exporters need
+ * (header, round-trip source, scene...), under the same names as the corresponding store fields.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Creates the layer of a loaded file.
+ * @param {Object} fileData - Parse result in LOAD_FILE_DATA shape.
+ * @param {number} id - Layer ID, unique within the session.
+ * @param {{pointStart: number, faceStart: number}} ranges - Index of the first point / face in the shared arrays.
+ * @returns {Object} The layer.
+ */
+export function createLayer(fileData, id, { pointStart = 0, faceStart = 0 } = {}) {
+  const faceCount = fileData.faces?.length || 0;
+  return {
+    id,
+    name: fileData.fileName || `Model ${id}`,
+    visible: true,
+    offset: [0, 0, 0], // Translation applied to the points of the layer, removed again on export
+    pointStart,
+    pointCount: fileData.points.length,
+    faceStart,
+    faceCount,
+    hasMesh: faceCount > 0,
+    fileName: fileData.fileName || null,
+    fileHeader: fileData.header || null,
+    fileFields: fileData.fields || [],
+    materials: fileData.materials || null,
+    textureFile: fileData.textureFile || null,
+    // Scene and mapping of the file on its own, with face and point ranges relative to the layer
+    originalScene: fileData.originalScene || null,
+    interactionMapping: fileData.interactionMapping || null,
+    roundTripSource: fileData.roundTripSource || null,
+    lasSource: fileData.lasSource || null,
+  };
+}
+
+/**
+ * Copies an interaction mapping with its face and point ranges moved to the position of a layer.
+ * @param {Object} mapping - Interaction mapping built by `buildSceneData`.
+ * @param {number} pointStart - Index of the first point of the layer.
+ * @param {number} faceStart - Index of the first face of the layer.
+ * @returns {Object} The shifted mapping.
+ */
+export function shiftInteractionMapping(mapping, pointStart, faceStart) {
+  const shiftRanges = (ranges, start) => new Map(Array.from(ranges, ([uuid, range]) =>
+    [uuid, { ...range, start: range.start + start, end: range.end + start }]));
+
+  return {
+    meshToFaceRange: shiftRanges(mapping.meshToFaceRange, faceStart),
+    meshToPointRange: shiftRanges(mapping.meshToPointRange, pointStart),
+    faceToMesh: new Map(Array.from(mapping.faceToMesh, ([faceIndex, entry]) => [faceIndex + faceStart, entry])),
+    meshUuidToNode: new Map(mapping.meshUuidToNode),
+  };
+}
+
+/**
+ * Interaction mapping of all layers with a scene, null when there is none.
+ * @param {Array<Object>} layers - Layers of the session.
+ * @returns {Object|null}
+ */
+export function mergeInteractionMappings(layers) {
+  const merged = {
+    meshToFaceRange: new Map(),
+    meshToPointRange: new Map(),
+    faceToMesh: new Map(),
+    meshUuidToNode: new Map(),
+  };
+  const mappedLayers = layers.filter(layer => layer.interactionMapping);
+  mappedLayers.forEach(layer => {
+    const shifted = shiftInteractionMapping(layer.interactionMapping, layer.pointStart, layer.faceStart);
+    Object.keys(merged).forEach(key => shifted[key].forEach((value, mapKey) => merged[key].set(mapKey, value)));
+  });
+  return mappedLayers.length > 0 ? merged : null;
+}
+
+/**
+ * Scene rendered for several layers: one group per layer with a scene, carrying its offset and visibility.
+ * Returns null when a layer with faces has no scene (PLY meshes): the default view then shows all
+ * layers as the flattened vertex-colored mesh instead.
+ * @param {Array<Object>} layers - Layers of the session.
+ * @returns {THREE.Group|null}
+ */
+export function buildLayerScene(layers) {
+  const sceneLayers = layers.filter(layer => layer.originalScene);
+  if (sceneLayers.length === 0 || layers.some(layer => layer.hasMesh && !layer.originalScene)) return null;
+
+  const root = new THREE.Group();
+  root.name = 'layers';
+  sceneLayers.forEach(layer => {
+    const node = new THREE.Group();
+    node.name = layer.name;
+    node.userData.layerId = layer.id;
+    node.position.fromArray(layer.offset);
+    node.visible = layer.visible;
+    node.add(layer.originalScene);
+    root.add(node);
+  });
+  return root;
+}
+
+/**
+ * Moves the points of a layer.
+ * @param {Array<Object>} points - Shared points array.
+ * @param {Object} layer - The layer to move.
+ * @param {[number, number, number]} delta - Translation to add to its positions.
+ * @returns {Array<Object>} A new points array.
+ */
+export function translateLayerPoints(points, layer, [dx, dy, dz]) {
+  const nextPoints = points.slice();
+  for (let i = layer.pointStart; i < layer.pointStart + layer.pointCount; i++) {
+    const point = points[i];
+    const [x, y, z] = point.position;
+    nextPoints[i] = { ...point, position: [x + dx, y + dy, z + dz] };
+  }
+  return nextPoints;
+}
+
+/**
+ * Marks the points of hidden layers.
+ * @param {Array<Object>} layers - Layers of the session.
+ * @param {number} pointCount - Length of the shared points array.
+ * @returns {Uint8Array|null} 1 for every point of a hidden layer, null when all layers are visible.
+ */
+export function getHiddenPointMask(layers, pointCount) {
+  const hiddenLayers = layers.filter(layer => !layer.visible);
+  if (hiddenLayers.length === 0) return null;
+
+  const mask = new Uint8Array(pointCount);
+  hiddenLayers.forEach(layer => mask.fill(1, layer.pointStart, layer.pointStart + layer.pointCount));
+  return mask;
+}
+
+/**
+ * Data of one layer as if its file had been loaded alone: points and faces sliced out of the shared arrays,
+ * face indices relative to the layer and the offset removed, plus the per-file fields of the layer.
+ * @param {Array<Object>} points - Shared points array.
+ * @param {Array<Object>} faces - Shared faces array.
+ * @param {Object} layer - The layer to extract.
+ * @returns {Object} The layer fields with `points` and `faces`, ready for the exporters.
+ */
+export function getLayerData(points, faces, layer) {
+  const { pointStart, pointCount, faceStart, faceCount, offset } = layer;
+  const isMoved = offset.some(value => value !== 0);
+
+  const layerPoints = points.slice(pointStart, pointStart + pointCount).map(point => {
+    if (!isMoved) return point;
+    const [x, y, z] = point.position;
+    return { ...point, position: [x - offset[0], y - offset[1], z - offset[2]] };
+  });
+  const layerFaces = (faces || []).slice(faceStart, faceStart + faceCount).map(face => ({
+    ...face,
+    indices: face.indices.map(index => index - pointStart),
+  }));
+
+  return { ...layer, points: layerPoints, faces: layerFaces };
+}
@@ -0,0 +1,118 @@
+/**
+ * @file lzf.js
+ * LZF compression (liblzf format), used by `binary_compressed` PCD files.
+ *
+ * A stream is a sequence of chunks. A control byte below 32 starts a run of `ctrl + 1` literal bytes; otherwise the
+ * upper 3 bits hold the match length - 2 (7: one more length byte follows) and the lower 5 bits plus the next byte the
+ * distance - 1 of the back reference.
+ */
+
+const HASH_LOG = 14;
+const MAX_LITERAL = 32;
+const MAX_OFFSET = 1 << 13;
+const MAX_MATCH = (1 << 8) + 8; // 7 + 255 + 2
+
+/**
+ * Decompress LZF data.
+ * @param {Uint8Array} input - Compressed data.
+ * @param {number} outputLength - Uncompressed size, stored next to the data by the writer.
+ * @returns {Uint8Array} Uncompressed data.
+ */
+export function lzfDecompress(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0;
+  let op = 0;
+
+  while (ip < input.length) {
+    const ctrl = input[ip++];
+    if (ctrl < MAX_LITERAL) {
+      // Literal run
+      const length = ctrl + 1;
+      if (op + length > outputLength || ip + length > input.length) {
+        throw new Error('Corrupt LZF data: literal run out of bounds');
+      }
+      output.set(input.subarray(ip, ip + length), op);
+      ip += length;
+      op += length;
+    } else {
+      // Back reference, may overlap the bytes being written
+      let length = ctrl >> 5;
+      if (length === 7) length += input[ip++];
+      const ref = op - ((ctrl & 0x1f) << 8) - input[ip++] - 1;
+      length += 2;
+      if (ref < 0 || op + length > outputLength) {
+        throw new Error('Corrupt LZF data: back reference out of bounds');
+      }
+      for (let i = 0; i < length; i++) output[op++] = output[ref + i];
+    }
+  }
+
+  if (op !== outputLength) {
+    throw new Error(`Corrupt LZF data: ${op} bytes decompressed, ${outputLength} expected`);
+  }
+  return output;
+}
+
+/**
+ * Compress data with LZF.
+ * @param {Uint8Array} input - Data to compress.
+ * @returns {Uint8Array} Compressed data.
+ */
+export function lzfCompress(input) {
+  const length = input.length;
+  // Worst case: incompressible data, one control byte per 32 literals
+  const output = new Uint8Array(length + Math.ceil(length / MAX_LITERAL) + 1);
+  const hashTable = new Int32Array(1 << HASH_LOG).fill(-1);
+
+  let ip = 0;
+  let op = 1; // output[0] is the control byte of the first literal run
+  let literals = 0;
+
+  const pushLiteral = () => {
+    output[op++] = input[ip++];
+    if (++literals === MAX_LITERAL) {
+      output[op - literals - 1] = literals - 1;
+      literals = 0;
+      op++;
+    }
+  };
+
+  while (ip + 2 < length) {
+    const hash = Math.imul((input[ip] << 16) | (input[ip + 1] << 8) | input[ip + 2], 2654435761) >>> (32 - HASH_LOG);
+    const ref = hashTable[hash];
+    hashTable[hash] = ip;
+    const offset = ip - ref - 1;
+
+    if (ref < 0 || offset >= MAX_OFFSET || input[ref] !== input[ip] || input[ref + 1] !== input[ip + 1] || input[ref + 2] !== input[ip + 2]) {
+      pushLiteral();
+      continue;
+    }
+
+    let matchLength = 3;
+    const maxLength = Math.min(MAX_MATCH, length - ip);
+    while (matchLength < maxLength && input[ref + matchLength] === input[ip + matchLength]) matchLength++;
+
+    // Close the pending literal run, or drop its unused control byte
+    if (literals > 0) output[op - literals - 1] = literals - 1;
+    else op--;
+
+    const encodedLength = matchLength - 2;
+    if (encodedLength < 7) {
+      output[op++] = (encodedLength << 5) | (offset >> 8);
+    } else {
+      output[op++] = (7 << 5) | (offset >> 8);
+      output[op++] = encodedLength - 7;
+    }
+    output[op++] = offset & 0xff;
+
+    literals = 0;
+    op++;
+    ip += matchLength;
+  }
+
+  while (ip < length) pushLiteral();
+  if (literals > 0) output[op - literals - 1] = literals - 1;
+  else op--;
+
+  return output.slice(0, op);
+}
@@ -0,0 +1,357 @@
+/**
+ * @file meshFeatures.js
+ * Labels in the standard 3D Tiles / glTF form: `EXT_mesh_features` feature IDs and `EXT_structural_metadata`
+ * property tables.
+ *
+ * Import: feature IDs (vertex attribute, texture or implicit) and their property table rows are converted into the
+ * app's own convention (`faceLabels` / `labelDefinitions` in the mesh extras), so the rest of the parser does not
+ * need to know where the labels came from. Existing `extras.faceLabels` always take precedence.
+ *
+ * Export: a GLTFExporter plugin writes one feature ID per vertex (`_FEATURE_ID_0`) and a `labels` property table
+ * with the label ID, name and color of each label.
+ */
+
+import * as THREE from 'three';
+
+const MESH_FEATURES = 'EXT_mesh_features';
+const STRUCTURAL_METADATA = 'EXT_structural_metadata';
+
+// Feature ID written for unlabeled faces
+const NULL_FEATURE_ID = 65535;
+
+const COMPONENT_ARRAYS = {
+  INT8: Int8Array,
+  UINT8: Uint8Array,
+  INT16: Int16Array,
+  UINT16: Uint16Array,
+  INT32: Int32Array,
+  UINT32: Uint32Array,
+  INT64: BigInt64Array,
+  UINT64: BigUint64Array,
+  FLOAT32: Float32Array,
+  FLOAT64: Float64Array,
+};
+
+// Property names (lower case) recognized as label ID, label name and label color
+const ID_PROPERTIES = ['label_id', 'labelid', 'class_id', 'classid', 'id'];
+const NAME_PROPERTIES = ['name', 'label', 'label_name', 'class', 'class_name', 'classname'];
+const COLOR_PROPERTIES = ['color', 'colour'];
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+async function readTypedColumn(parser, bufferViewIndex, ArrayType, count) {
+  const buffer = await parser.getDependency('bufferView', bufferViewIndex);
+  // Copy the range: buffer views are not guaranteed to be aligned for the component type
+  return new ArrayType(buffer.slice(0, count * ArrayType.BYTES_PER_ELEMENT));
+}
+
+/**
+ * Reads one column of a property table. SCALAR, STRING and ENUM properties are supported,
+ * others resolve to null.
+ * @returns {Promise<Array|null>} One value per row.
+ */
+async function readPropertyColumn(parser, schema, table, name) {
+  const classProperty = schema.classes?.[table.class]?.properties?.[name];
+  const property = table.properties?.[name];
+  if (!classProperty || !property || classProperty.array) return null;
+
+  if (classProperty.type === 'STRING') {
+    const OffsetArray = COMPONENT_ARRAYS[property.stringOffsetType || 'UINT32'];
+    const offsets = await readTypedColumn(parser, property.stringOffsets, OffsetArray, table.count + 1);
+    const bytes = new Uint8Array(await parser.getDependency('bufferView', property.values));
+    const decoder = new TextDecoder();
+    return Array.from({ length: table.count }, (_, row) =>
+      decoder.decode(bytes.subarray(Number(offsets[row]), Number(offsets[row + 1]))));
+  }
+
+  if (classProperty.type === 'ENUM') {
+    const enumDef = schema.enums?.[classProperty.enumType];
+    if (!enumDef) return null;
+    const namesByValue = new Map(enumDef.values.map(({ name: valueName, value }) => [value, valueName]));
+    const values = await readTypedColumn(parser, property.values, COMPONENT_ARRAYS[enumDef.valueType || 'UINT16'], table.count);
+    return Array.from(values, value => namesByValue.get(Number(value)) ?? null);
+  }
+
+  if (classProperty.type === 'SCALAR') {
+    const ArrayType = COMPONENT_ARRAYS[classProperty.componentType];
+    if (!ArrayType) return null;
+    const values = await readTypedColumn(parser, property.values, ArrayType, table.count);
+    return Array.from(values, Number);
+  }
+
+  return null;
+}
+
+function findPropertyName(table, candidates) {
+  const names = Object.keys(table.properties || {});
+  return names.find(name => candidates.includes(name.toLowerCase())) || null;
+}
+
+/**
+ * Converts the rows of a property table into labels.
+ * The label ID comes from an ID-like property; without one, rows with the same name share a label;
+ * without either, every row becomes its own label.
+ * @returns {Promise<Array<{id: number, name: string, color?: string}|null>>} Label per row (null: unlabeled).
+ */
+async function readPropertyTableLabels(parser, metadata, tableIndex) {
+  const table = metadata.propertyTables?.[tableIndex];
+  if (!table || !metadata.schema) return null;
+
+  const idName = findPropertyName(table, ID_PROPERTIES);
+  const nameName = findPropertyName(table, NAME_PROPERTIES);
+  const colorName = findPropertyName(table, COLOR_PROPERTIES);
+  const ids = idName ? await readPropertyColumn(parser, metadata.schema, table, idName) : null;
+  const names = nameName ? await readPropertyColumn(parser, metadata.schema, table, nameName) : null;
+  const colors = colorName ? await readPropertyColumn(parser, metadata.schema, table, colorName) : null;
+
+  const idByName = new Map();
+  return Array.from({ length: table.count }, (_, row) => {
+    const name = names?.[row] ?? null;
+    let id;
+    if (ids) {
+      id = ids[row];
+    } else if (name !== null) {
+      if (!idByName.has(name)) idByName.set(name, idByName.size + 1);
+      id = idByName.get(name);
+    } else {
+      id = row + 1;
+    }
+    if (!Number.isInteger(id) || id <= 0) return null; // 0 / negative IDs mean unlabeled
+
+    const label = { id, name: name || `Label ${id}` };
+    const color = colors?.[row];
+    if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) label.color = color;
+    return label;
+  });
+}
+
+async function readTexturePixels(parser, textureIndex, cache) {
+  if (cache.has(textureIndex)) return cache.get(textureIndex);
+  const texture = await parser.getDependency('texture', textureIndex);
+  const image = texture?.image;
+  let pixels = null;
+  // Compressed (KTX2) textures cannot be read back on the CPU; without a document (Node) there is no canvas either
+  if (image && image.width && image.height && !texture.isCompressedTexture && typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    pixels = { data: context.getImageData(0, 0, image.width, image.height).data, width: image.width, height: image.height };
+  }
+  cache.set(textureIndex, pixels);
+  return pixels;
+}
+
+/**
+ * Reads the feature ID of every triangle of a mesh: the ID of the first vertex for attribute and implicit
+ * feature IDs, the texel under the triangle centroid for feature ID textures.
+ * @returns {Promise<Array<number>|null>} Feature ID per triangle, or null if the source cannot be read.
+ */
+async function readFaceFeatureIds(parser, mesh, featureIdSet, textureCache) {
+  const geometry = mesh.geometry;
+  const index = geometry.index;
+  const faceCount = index ? index.count / 3 : geometry.attributes.position.count / 3;
+  const vertexAt = (corner) => (index ? index.getX(corner) : corner);
+
+  if (featureIdSet.attribute !== undefined) {
+    const attribute = geometry.attributes[`_feature_id_${featureIdSet.attribute}`];
+    if (!attribute) return null;
+    return Array.from({ length: faceCount }, (_, face) => attribute.getX(vertexAt(face * 3)));
+  }
+
+  if (featureIdSet.texture) {
+    const { index: textureIndex, texCoord = 0, channels = [0] } = featureIdSet.texture;
+    const uv = geometry.attributes[texCoord === 0 ? 'uv' : `uv${texCoord}`];
+    const pixels = uv ? await readTexturePixels(parser, textureIndex, textureCache) : null;
+    if (!pixels) return null;
+    return Array.from({ length: faceCount }, (_, face) => {
+      let u = 0, v = 0;
+      for (let k = 0; k < 3; k++) {
+        u += uv.getX(vertexAt(face * 3 + k)) / 3;
+        v += uv.getY(vertexAt(face * 3 + k)) / 3;
+      }
+      // Nearest texel, repeat wrapping; glTF UV (0, 0) is the top left corner of the image
+      const x = Math.min(pixels.width - 1, Math.floor((u - Math.floor(u)) * pixels.width));
+      const y = Math.min(pixels.height - 1, Math.floor((v - Math.floor(v)) * pixels.height));
+      const texel = (y * pixels.width + x) * 4;
+      return channels.reduce((id, channel, i) => id + pixels.data[texel + channel] * 2 ** (8 * i), 0);
+    });
+  }
+
+  // Implicit feature IDs: the vertex index
+  return Array.from({ length: faceCount }, (_, face) => vertexAt(face * 3));
+}
+
+/**
+ * Converts `EXT_mesh_features` / `EXT_structural_metadata` labels of a loaded glTF into `faceLabels` and
+ * `labelDefinitions` on the mesh userData, where `standardizeUserDataStructure` picks them up.
+ * Failures are logged and leave the model without these labels.
+ *
+ * @param {Object} gltf - GLTFLoader result.
+ */
+export async function applyMeshFeatureLabels(gltf) {
+  const { parser } = gltf;
+  const json = parser?.json;
+  if (!json?.extensionsUsed?.includes(MESH_FEATURES)) return;
+
+  try {
+    const metadata = json.extensions?.[STRUCTURAL_METADATA] || {};
+    const tableLabels = new Map(); // property table index -> labels per row
+    const textureCache = new Map();
+    const labelDefinitions = new Map();
+    let hasOwnDefinitions = false;
+    let firstLabeledMesh = null;
+
+    const meshes = [];
+    gltf.scene.traverse(node => {
+      if (node.isMesh) meshes.push(node);
+      if (node.isMesh && node.userData?.labelDefinitions) hasOwnDefinitions = true;
+    });
+
+    for (const mesh of meshes) {
+      if (mesh.userData.faceLabels) continue; // The app's own labels take precedence
+      const association = parser.associations.get(mesh);
+      const primitiveDef = json.meshes?.[association?.meshes]?.primitives?.[association?.primitives];
+      const featureIdSets = primitiveDef?.extensions?.[MESH_FEATURES]?.featureIds;
+      if (!featureIdSets?.length) continue;
+
+      // Prefer a feature ID set that links to a property table
+      const featureIdSet = featureIdSets.find(set => set.propertyTable !== undefined) || featureIdSets[0];
+      const featureIds = await readFaceFeatureIds(parser, mesh, featureIdSet, textureCache);
+      if (!featureIds) continue;
+
+      let rows = null;
+      if (featureIdSet.propertyTable !== undefined) {
+        if (!tableLabels.has(featureIdSet.propertyTable)) {
+          tableLabels.set(featureIdSet.propertyTable, await readPropertyTableLabels(parser, metadata, featureIdSet.propertyTable));
+        }
+        rows = tableLabels.get(featureIdSet.propertyTable);
+      }
+
+      mesh.userData.faceLabels = featureIds.map(featureId => {
+        if (featureId === featureIdSet.nullFeatureId) return 0;
+        // Without a property table every feature becomes its own label (IDs start at 1, 0 means unlabeled)
+        const label = rows ? rows[featureId] : { id: featureId + 1, name: `Feature ${featureId}` };
+        if (!label) return 0;
+        if (!labelDefinitions.has(label.id)) labelDefinitions.set(label.id, label);
+        return label.id;
+      });
+      firstLabeledMesh = firstLabeledMesh || mesh;
+    }
+
+    if (firstLabeledMesh && !hasOwnDefinitions && labelDefinitions.size > 0) {
+      firstLabeledMesh.userData.labelDefinitions = Array.from(labelDefinitions.values()).sort((a, b) => a.id - b.id);
+    }
+  } catch (error) {
+    console.warn(`Failed to read ${MESH_FEATURES} labels:`, error);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+function encodeStrings(strings) {
+  const encoder = new TextEncoder();
+  const encoded = strings.map(value => encoder.encode(value));
+  const offsets = new Uint32Array(encoded.length + 1);
+  encoded.forEach((bytes, i) => { offsets[i + 1] = offsets[i] + bytes.length; });
+  const values = new Uint8Array(offsets[encoded.length]);
+  encoded.forEach((bytes, i) => values.set(bytes, offsets[i]));
+  return { values, offsets };
+}
+
+/**
+ * Prepares a mesh export with labels as `EXT_mesh_features` feature IDs and an `EXT_structural_metadata`
+ * property table (one row per label).
+ *
+ * Feature IDs are per vertex, so meshes passed to `prepareMesh` get a non-indexed copy of their geometry:
+ * every triangle owns its three vertices and can carry its own label. Triangle order is unchanged.
+ *
+ * @param {Array<Object>} labels - Label definitions `{id, name, color}`.
+ * @returns {{prepareMesh: Function, plugin: Function}} `prepareMesh(mesh, faceLabelIds)` to call on every
+ * mesh of the scene to export, and the plugin to register on the GLTFExporter.
+ */
+export function createMeshFeaturesExport(labels) {
+  const rows = [...labels].sort((a, b) => a.id - b.id);
+  const rowByLabelId = new Map(rows.map((label, row) => [label.id, row]));
+  const featureCounts = new WeakMap();
+
+  const prepareMesh = (mesh, faceLabelIds) => {
+    const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+    const featureIds = new Uint16Array(geometry.attributes.position.count).fill(NULL_FEATURE_ID);
+    const usedRows = new Set();
+    faceLabelIds.forEach((labelId, face) => {
+      const row = rowByLabelId.get(labelId);
+      if (row === undefined) return;
+      featureIds.fill(row, face * 3, face * 3 + 3);
+      usedRows.add(row);
+    });
+    // GLTFExporter upper-cases custom attribute names and prefixes them with '_': written as _FEATURE_ID_0
+    geometry.setAttribute('feature_id_0', new THREE.BufferAttribute(featureIds, 1));
+    mesh.geometry = geometry;
+    featureCounts.set(mesh, usedRows.size);
+  };
+
+  const plugin = (writer) => ({
+    name: MESH_FEATURES,
+
+    writeMesh(mesh, meshDef) {
+      if (!featureCounts.get(mesh)) return; // featureCount must be at least 1
+      meshDef.primitives.forEach(primitive => {
+        if (primitive.attributes._FEATURE_ID_0 === undefined) return;
+        primitive.extensions = primitive.extensions || {};
+        primitive.extensions[MESH_FEATURES] = {
+          featureIds: [{
+            label: 'labels',
+            featureCount: featureCounts.get(mesh),
+            attribute: 0,
+            propertyTable: 0,
+            nullFeatureId: NULL_FEATURE_ID,
+          }],
+        };
+      });
+      writer.extensionsUsed[MESH_FEATURES] = true;
+    },
+
+    afterParse() {
+      if (!writer.extensionsUsed[MESH_FEATURES]) return;
+      const names = encodeStrings(rows.map(label => label.name || `Label ${label.id}`));
+      const colors = encodeStrings(rows.map(label => label.color || ''));
+      const properties = {};
+
+      const json = writer.json;
+      json.extensions = json.extensions || {};
+      json.extensions[STRUCTURAL_METADATA] = {
+        schema: {
+          id: 'labels',
+          classes: {
+            label: {
+              name: 'Label',
+              properties: {
+                label_id: { type: 'SCALAR', componentType: 'INT32', required: true },
+                name: { type: 'STRING' },
+                color: { type: 'STRING' },
+              },
+            },
+          },
+        },
+        propertyTables: [{ name: 'labels', class: 'label', count: rows.length, properties }],
+      };
+      writer.extensionsUsed[STRUCTURAL_METADATA] = true;
+
+      // Hooks are not awaited: the buffer views are written as pending work, like embedded images
+      const writeBufferView = (array) => writer.processBufferViewImage(new Blob([array]));
+      writer.pending.push((async () => {
+        properties.label_id = { values: await writeBufferView(Int32Array.from(rows, label => label.id)) };
+        properties.name = { values: await writeBufferView(names.values), stringOffsets: await writeBufferView(names.offsets) };
+        properties.color = { values: await writeBufferView(colors.values), stringOffsets: await writeBufferView(colors.offsets) };
+      })());
+    },
+  });
+
+  return { prepareMesh, plugin };
+}
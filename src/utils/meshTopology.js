@@ -0,0 +1,135 @@
+/**
+ * @file meshTopology.js
+ * Face adjacency and normal helpers for region-growing selection tools (magic wand).
+ */
+
+/**
+ * Builds the edge adjacency of all faces. Two faces are neighbours when they share an edge.
+ * Vertices with identical positions are welded first, so UV or normal seams (duplicated vertices
+ * that are common in photogrammetry meshes) do not split otherwise continuous surfaces.
+ *
+ * @param {Array<Object>} faces - The array of face objects, each with an `indices` array of point indices.
+ * @param {Array<Object>} points - The array of point objects, each with a `position` array.
+ * @returns {{offsets: Uint32Array, neighbors: Uint32Array}} Compressed adjacency lists:
+ * the neighbours of face `i` are `neighbors[offsets[i]]` to `neighbors[offsets[i + 1] - 1]`.
+ */
+export function buildFaceAdjacency(faces, points) {
+  // 1. Weld vertices by exact position
+  const canonicalVertex = new Uint32Array(points.length);
+  const vertexByPosition = new Map();
+  for (let i = 0; i < points.length; i++) {
+    const [x, y, z] = points[i].position;
+    const key = `${x},${y},${z}`;
+    const existing = vertexByPosition.get(key);
+    if (existing === undefined) {
+      vertexByPosition.set(key, i);
+      canonicalVertex[i] = i;
+    } else {
+      canonicalVertex[i] = existing;
+    }
+  }
+
+  // 2. Group faces by undirected edge
+  const vertexCount = points.length;
+  const edgeFaces = new Map();
+  faces.forEach((face, faceIndex) => {
+    const indices = face.indices || face;
+    for (let k = 0; k < indices.length; k++) {
+      const a = canonicalVertex[indices[k]];
+      const b = canonicalVertex[indices[(k + 1) % indices.length]];
+      if (a === b) continue; // Degenerate edge
+      const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+      const shared = edgeFaces.get(key);
+      if (shared) {
+        shared.push(faceIndex);
+      } else {
+        edgeFaces.set(key, [faceIndex]);
+      }
+    }
+  });
+
+  // 3. Collect neighbour lists, then pack them into flat arrays
+  const lists = Array.from({ length: faces.length }, () => []);
+  edgeFaces.forEach(sharedFaces => {
+    for (let i = 0; i < sharedFaces.length; i++) {
+      for (let j = i + 1; j < sharedFaces.length; j++) {
+        lists[sharedFaces[i]].push(sharedFaces[j]);
+        lists[sharedFaces[j]].push(sharedFaces[i]);
+      }
+    }
+  });
+
+  const offsets = new Uint32Array(faces.length + 1);
+  for (let i = 0; i < faces.length; i++) {
+    offsets[i + 1] = offsets[i] + lists[i].length;
+  }
+  const neighbors = new Uint32Array(offsets[faces.length]);
+  lists.forEach((list, faceIndex) => neighbors.set(list, offsets[faceIndex]));
+
+  return { offsets, neighbors };
+}
+
+/**
+ * Computes the unit normal of every face from its first three vertices.
+ *
+ * @param {Array<Object>} faces - The array of face objects.
+ * @param {Array<Object>} points - The array of point objects.
+ * @returns {Float32Array} Face normals, three components per face (zero for degenerate faces).
+ */
+export function computeFaceNormals(faces, points) {
+  const normals = new Float32Array(faces.length * 3);
+  faces.forEach((face, faceIndex) => {
+    const indices = face.indices || face;
+    if (indices.length < 3) return;
+    const [ax, ay, az] = points[indices[0]].position;
+    const [bx, by, bz] = points[indices[1]].position;
+    const [cx, cy, cz] = points[indices[2]].position;
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz);
+    if (length === 0) return;
+    normals[faceIndex * 3] = nx / length;
+    normals[faceIndex * 3 + 1] = ny / length;
+    normals[faceIndex * 3 + 2] = nz / length;
+  });
+  return normals;
+}
+
+/**
+ * Grows a face region from a seed face across shared edges, as long as the angle between
+ * the normals of two neighbouring faces stays below the threshold.
+ *
+ * @param {{offsets: Uint32Array, neighbors: Uint32Array}} adjacency - Adjacency built by `buildFaceAdjacency`.
+ * @param {Float32Array} normals - Face normals built by `computeFaceNormals`.
+ * @param {number} seedFace - Index of the face the fill starts from.
+ * @param {number} maxAngleDegrees - Maximum dihedral angle between neighbouring faces, in degrees.
+ * @param {(faceIndex: number) => boolean} [canEnter] - Optional filter, e.g. to skip faces of hidden labels.
+ * @returns {Array<number>} The indices of the faces in the region, seed included.
+ */
+export function floodFillFaces(adjacency, normals, seedFace, maxAngleDegrees, canEnter = () => true) {
+  const { offsets, neighbors } = adjacency;
+  const minCos = Math.cos((maxAngleDegrees * Math.PI) / 180);
+  const visited = new Uint8Array(offsets.length - 1);
+  const region = [seedFace];
+  const stack = [seedFace];
+  visited[seedFace] = 1;
+
+  while (stack.length > 0) {
+    const face = stack.pop();
+    const nx = normals[face * 3], ny = normals[face * 3 + 1], nz = normals[face * 3 + 2];
+    for (let k = offsets[face]; k < offsets[face + 1]; k++) {
+      const neighbor = neighbors[k];
+      if (visited[neighbor]) continue;
+      const cos = nx * normals[neighbor * 3] + ny * normals[neighbor * 3 + 1] + nz * normals[neighbor * 3 + 2];
+      if (cos < minCos || !canEnter(neighbor)) continue;
+      visited[neighbor] = 1;
+      region.push(neighbor);
+      stack.push(neighbor);
+    }
+  }
+
+  return region;
+}
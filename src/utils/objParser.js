@@ -0,0 +1,211 @@
+/**
+ * @file objParser.js
+ * OBJ + MTL import.
+ *
+ * The OBJ is loaded with three.js' OBJLoader into a scene, which then goes through `buildSceneData` like a GLB, so
+ * the result has the same shape as `parseGLB` (original scene, interaction mapping, materials...).
+ * MTL files and textures are taken from the files dropped or zipped together with the OBJ (`materialMap`), matched
+ * by file name. Optionally the `g` / `o` group names or the `usemtl` material names become labels.
+ */
+
+import * as THREE from 'three';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { getDefaultColorForLabel } from '../constants/colors.js';
+import { buildSceneData } from './glbParser';
+
+export const OBJ_LABEL_SOURCES = {
+  NONE: 'none',
+  GROUP: 'group', // `g` / `o` names
+  MATERIAL: 'material', // `usemtl` names
+};
+
+const IMAGE_MIME_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', bmp: 'image/bmp', tga: 'image/x-tga' };
+
+/**
+ * 检查文件是否为OBJ格式
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为OBJ文件
+ */
+export function isOBJFile(fileName) {
+  return fileName.toLowerCase().endsWith('.obj');
+}
+
+const getBaseName = (path) => path.replace(/\\/g, '/').split('/').pop().toLowerCase();
+
+/**
+ * Loading manager resolving MTL texture references to blob URLs of the image files in `materialMap`.
+ * @returns {{manager: THREE.LoadingManager, texturesLoaded: () => Promise<void>, dispose: Function}}
+ */
+function createTextureManager(materialMap) {
+  const blobURLs = new Map(); // lowercase file name -> blob URL
+  materialMap.forEach((data, name) => {
+    const extension = name.split('.').pop().toLowerCase();
+    if (IMAGE_MIME_TYPES[extension] && (data instanceof ArrayBuffer || data instanceof Blob)) {
+      blobURLs.set(getBaseName(name), URL.createObjectURL(new Blob([data], { type: IMAGE_MIME_TYPES[extension] })));
+    }
+  });
+
+  let started = false;
+  let resolveLoaded;
+  const loaded = new Promise(resolve => { resolveLoaded = resolve; });
+  const manager = new THREE.LoadingManager(() => resolveLoaded(), undefined, (url) => console.warn('OBJ texture not found:', url));
+  manager.onStart = () => { started = true; };
+  manager.setURLModifier(url => blobURLs.get(getBaseName(url)) ?? url);
+
+  return {
+    manager,
+    // Textures start loading while the meshes are created; wait for them before releasing the blob URLs
+    texturesLoaded: () => (started ? loaded : Promise.resolve()),
+    dispose: () => blobURLs.forEach(url => URL.revokeObjectURL(url)),
+  };
+}
+
+/**
+ * Loads an OBJ into a scene, with the materials of its `mtllib` files when they are in `materialMap`.
+ * @param {ArrayBuffer|string} buffer - OBJ file content.
+ * @param {Map<string, ArrayBuffer|string>} materialMap - MTL (text) and image (ArrayBuffer) files by name.
+ * @returns {Promise<THREE.Group>} The OBJLoader result.
+ */
+export async function loadOBJ(buffer, materialMap = new Map()) {
+  const text = typeof buffer === 'string' ? buffer : new TextDecoder().decode(buffer);
+  const mtlFiles = new Map();
+  materialMap.forEach((data, name) => {
+    if (/\.mtl$/i.test(name)) mtlFiles.set(getBaseName(name), typeof data === 'string' ? data : new TextDecoder().decode(data));
+  });
+
+  // mtllib 引用的材质库（只看文件名，目录结构可能与 OBJ 中的引用不一致）
+  const libraries = Array.from(text.matchAll(/^mtllib\s+(.+)$/gm), match => match[1].trim());
+  const mtlTexts = libraries.map(library => mtlFiles.get(getBaseName(library))).filter(Boolean);
+  libraries.filter(library => !mtlFiles.has(getBaseName(library))).forEach(library => {
+    console.warn(`Material library ${library} not found, using default materials`);
+  });
+
+  const { manager, texturesLoaded, dispose } = createTextureManager(materialMap);
+  try {
+    const loader = new OBJLoader(manager);
+    if (mtlTexts.length > 0) {
+      const materials = new MTLLoader(manager).parse(mtlTexts.join('\n'), '');
+      materials.preload();
+      loader.setMaterials(materials);
+    }
+    const scene = loader.parse(text);
+    await texturesLoaded();
+    return scene;
+  } finally {
+    dispose();
+  }
+}
+
+/**
+ * Label names of the faces of every mesh: the group (`g` / `o`) name, or the `usemtl` material name.
+ * Faces without a name stay unlabeled.
+ * @returns {Map<THREE.Mesh, Array<string>>}
+ */
+function collectFaceNames(scene, labelSource) {
+  const faceNames = new Map();
+  scene.traverse(node => {
+    if (!node.isMesh) return;
+    const faceCount = node.geometry.attributes.position.count / 3;
+
+    if (labelSource === OBJ_LABEL_SOURCES.GROUP) {
+      faceNames.set(node, new Array(faceCount).fill(node.name));
+      return;
+    }
+
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    const names = new Array(faceCount).fill(materials[0]?.name || '');
+    if (materials.length > 1) {
+      node.geometry.groups.forEach(({ start, count, materialIndex }) => {
+        names.fill(materials[materialIndex]?.name || '', start / 3, (start + count) / 3);
+      });
+    }
+    faceNames.set(node, names);
+  });
+  return faceNames;
+}
+
+/**
+ * Distinct group and material names of a loaded OBJ, to offer them as label sources.
+ * @param {THREE.Group} scene - Result of `loadOBJ`.
+ * @returns {{groups: Array<string>, materials: Array<string>}}
+ */
+export function getOBJLabelNames(scene) {
+  const distinctNames = (labelSource) => {
+    const names = new Set();
+    collectFaceNames(scene, labelSource).forEach(faceNames => faceNames.forEach(name => name && names.add(name)));
+    return Array.from(names);
+  };
+  return { groups: distinctNames(OBJ_LABEL_SOURCES.GROUP), materials: distinctNames(OBJ_LABEL_SOURCES.MATERIAL) };
+}
+
+/**
+ * Turns group or material names into face labels: every distinct name gets a label ID (in order of appearance),
+ * written as `faceLabels` / `labelDefinitions` userData like GLB extras. Material labels take the MTL diffuse color.
+ * @param {THREE.Group} scene - Result of `loadOBJ`.
+ * @param {string} labelSource - One of `OBJ_LABEL_SOURCES`.
+ */
+export function applyOBJLabels(scene, labelSource) {
+  if (labelSource !== OBJ_LABEL_SOURCES.GROUP && labelSource !== OBJ_LABEL_SOURCES.MATERIAL) return;
+
+  const faceNames = collectFaceNames(scene, labelSource);
+  const labelIds = new Map(); // name -> label ID
+  const labelDefinitions = [];
+  const materialColors = new Map();
+  scene.traverse(node => {
+    if (!node.isMesh) return;
+    (Array.isArray(node.material) ? node.material : [node.material]).forEach(material => {
+      if (material?.name && material.color && !materialColors.has(material.name)) {
+        materialColors.set(material.name, `#${material.color.getHexString()}`);
+      }
+    });
+  });
+
+  faceNames.forEach((names, mesh) => {
+    mesh.userData.faceLabels = names.map(name => {
+      if (!name) return 0;
+      if (!labelIds.has(name)) {
+        const id = labelIds.size + 1;
+        labelIds.set(name, id);
+        const color = labelSource === OBJ_LABEL_SOURCES.MATERIAL ? materialColors.get(name) : undefined;
+        labelDefinitions.push({ id, name, color: color || getDefaultColorForLabel(id) });
+      }
+      return labelIds.get(name);
+    });
+  });
+
+  // 标签定义只写在第一个网格上，buildSceneData 会合并所有网格的定义
+  const firstMesh = faceNames.keys().next().value;
+  if (firstMesh && labelDefinitions.length > 0) firstMesh.userData.labelDefinitions = labelDefinitions;
+}
+
+/**
+ * 解析OBJ文件的主函数
+ * @param {ArrayBuffer|string} buffer - OBJ文件内容
+ * @param {string} fileName - 文件名
+ * @param {Map<string, ArrayBuffer|string>} materialMap - 同时拖入或打包的 MTL 和纹理文件
+ * @param {Object} [options]
+ * @param {(names: {groups: Array<string>, materials: Array<string>}) => Promise<string>|string} [options.chooseLabelSource]
+ * Picks one of `OBJ_LABEL_SOURCES` from the names found in the file; without it no labels are created.
+ * @returns {Promise<Object>} 解析结果，与 parseGLB 相同的结构
+ */
+export async function parseOBJ(buffer, fileName = 'model.obj', materialMap = new Map(), { chooseLabelSource } = {}) {
+  const scene = await loadOBJ(buffer, materialMap);
+  if (!scene.children.some(child => child.isMesh)) {
+    throw new Error('OBJ file contains no faces');
+  }
+
+  const labelSource = chooseLabelSource ? await chooseLabelSource(getOBJLabelNames(scene)) : OBJ_LABEL_SOURCES.NONE;
+  applyOBJLabels(scene, labelSource);
+
+  const sceneData = buildSceneData(scene, fileName);
+  return {
+    ...sceneData,
+    header: {
+      format: 'obj',
+      vertexCount: sceneData.points.length,
+      faceCount: sceneData.faces ? sceneData.faces.length : 0,
+      comments: [`Converted from OBJ file: ${fileName}`],
+    },
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * @file pathUtils.js
+ * Paths of files within a dropped folder or zip package, shared by the 3D Tiles and glTF resource loading.
+ */
+
+/**
+ * Normalizes a relative path: unifies separators and resolves `.` and `..` segments.
+ * @param {string} path - A path such as `./tiles/../tiles/0/0.glb` or `/area/tileset.json`.
+ * @returns {string} The normalized path without leading slash, e.g. `tiles/0/0.glb`.
+ */
+export function normalizePath(path) {
+  const segments = [];
+  path.replace(/\\/g, '/').split('/').forEach(segment => {
+    if (segment === '' || segment === '.') return;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+}
+
+export function getBaseName(path) {
+  const segments = path.replace(/\\/g, '/').split('/');
+  return segments[segments.length - 1];
+}
+
+export function getDirName(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Resolves a URI relative to the directory of the file that references it.
+ * @param {string} baseDir - Directory of the referencing file (tileset.json, glTF...).
+ * @param {string} uri - Relative, percent-encoded URI, possibly with a query or fragment.
+ * @returns {string} The normalized path.
+ */
+export function resolveRelativePath(baseDir, uri) {
+  const cleanUri = decodeURIComponent(uri.split(/[?#]/)[0]);
+  return normalizePath(baseDir ? `${baseDir}/${cleanUri}` : cleanUri);
+}
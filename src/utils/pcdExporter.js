@@ -0,0 +1,223 @@
+/**
+ * @file pcdExporter.js
+ * PCD export, `ascii`, `binary` or `binary_compressed`.
+ *
+ * For a loaded PCD the fields, WIDTH / HEIGHT, VIEWPOINT and comments of its header are kept: positions, packed
+ * colors and labels are taken from the points, every other field (and the rows skipped on load) from the columns
+ * kept by `parsePCD`. A `label` field is added when the file had none. Other data is written as x y z rgb label.
+ */
+
+import { lzfCompress } from './lzf';
+import { getFieldType, isPackedColorField } from './pcdParser';
+import { downloadFile } from './download';
+
+export const PCD_FORMATS = {
+  ASCII: 'ascii',
+  BINARY: 'binary',
+  BINARY_COMPRESSED: 'binary_compressed',
+};
+
+const DEFAULT_FIELDS = [
+  { name: 'x', size: 4, type: 'F', count: 1 },
+  { name: 'y', size: 4, type: 'F', count: 1 },
+  { name: 'z', size: 4, type: 'F', count: 1 },
+  { name: 'rgb', size: 4, type: 'F', count: 1 },
+];
+const LABEL_FIELD = { name: 'label', size: 4, type: 'U', count: 1 };
+
+/**
+ * Build the PCD file of points.
+ * @param {Array} points - Points to export.
+ * @param {string} originalFileName - Name of the loaded file.
+ * @param {Array} labels - Label definitions, written as `# label <id> <name>` comments.
+ * @param {Object} header - Header of the loaded file; PCD headers are written back.
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='binary'] - One of `PCD_FORMATS`
+ * @returns {{data: string|ArrayBuffer, fileName: string, mimeType: string}}
+ */
+export function createPCDFile(points, originalFileName, labels = [], header = null, options = {}) {
+  const { format = PCD_FORMATS.BINARY } = options;
+  const content = generatePCDContent(points, labels, header, format);
+  const baseName = originalFileName ? originalFileName.replace(/\.[^.]+$/, '') : 'pointcloud';
+  return {
+    data: content,
+    fileName: `${baseName}_annotated.pcd`,
+    mimeType: typeof content === 'string' ? 'text/plain' : 'application/octet-stream',
+  };
+}
+
+/**
+ * Export points as PCD and download it, see `createPCDFile`.
+ */
+export function exportPCD(points, originalFileName, labels = [], header = null, options = {}) {
+  downloadFile(createPCDFile(points, originalFileName, labels, header, options));
+}
+
+// Packed 0xAARRGGBB color of a point, keeping the original alpha
+function packColor(color, original = 0xff000000) {
+  const [r, g, b] = color.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255));
+  return ((original & 0xff000000) | (r << 16) | (g << 8) | b) >>> 0;
+}
+
+/**
+ * Fields, header values and a value getter shared by the ASCII and binary writers.
+ * Rows follow the loaded file; rows that were not loaded as points keep their original values.
+ */
+function buildPCDLayout(points, header) {
+  const isPCD = header?.format === 'pcd' && Array.isArray(header.fieldColumns);
+  if (isPCD && header.vertexCount !== points.length) {
+    throw new Error(`Point count ${points.length} does not match the loaded PCD file (${header.vertexCount})`);
+  }
+
+  const fields = isPCD ? [...header.fields] : [...DEFAULT_FIELDS];
+  const columns = isPCD ? [...header.fieldColumns] : [];
+  if (!fields.some(field => field.name === 'label')) fields.push(LABEL_FIELD);
+
+  const rowCount = isPCD ? header.pointCount : points.length;
+  // Row -> point index, -1 for rows without a point
+  let rowPoints = null;
+  if (isPCD && header.pointRows) {
+    rowPoints = new Int32Array(rowCount).fill(-1);
+    header.pointRows.forEach((row, i) => { rowPoints[row] = i; });
+  }
+
+  const getValue = (row, f, k) => {
+    const field = fields[f];
+    const column = columns[f];
+    const pointIndex = rowPoints ? rowPoints[row] : row;
+    const point = pointIndex >= 0 ? points[pointIndex] : null;
+    if (point && field.count === 1) {
+      switch (field.name) {
+        case 'x': return point.position[0];
+        case 'y': return point.position[1];
+        case 'z': return point.position[2];
+        case 'label': {
+          const labelId = point.labelId ?? 0;
+          return field.type === 'U' && labelId < 0 ? 0 : labelId;
+        }
+        default:
+          if (isPackedColorField(field)) return packColor(point.color, column ? column[row] : undefined);
+      }
+    }
+    return column ? column[row * field.count + k] : 0;
+  };
+
+  return {
+    fields,
+    width: isPCD && header.width * header.height === rowCount ? header.width : rowCount,
+    height: isPCD && header.width * header.height === rowCount ? header.height : 1,
+    viewpoint: isPCD ? header.viewpoint : [0, 0, 0, 1, 0, 0, 0],
+    comments: isPCD ? header.comments : [],
+    rowCount,
+    getValue,
+  };
+}
+
+function buildHeader(layout, labels, format) {
+  const { fields, width, height, viewpoint, comments, rowCount } = layout;
+  const lines = ['# .PCD v0.7 - Point Cloud Data file format'];
+  comments.forEach(comment => {
+    // Label definitions and the format line are written again below
+    if (!/^label\s/i.test(comment) && !comment.startsWith('.PCD')) lines.push(`# ${comment}`);
+  });
+  labels.forEach(label => lines.push(`# label ${label.id} ${label.name}`));
+  lines.push(
+    'VERSION 0.7',
+    `FIELDS ${fields.map(field => field.name).join(' ')}`,
+    `SIZE ${fields.map(field => field.size).join(' ')}`,
+    `TYPE ${fields.map(field => field.type).join(' ')}`,
+    `COUNT ${fields.map(field => field.count).join(' ')}`,
+    `WIDTH ${width}`,
+    `HEIGHT ${height}`,
+    `VIEWPOINT ${viewpoint.join(' ')}`,
+    `POINTS ${rowCount}`,
+    `DATA ${format}`,
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+// Shortest decimal that reads back as the same float32
+function formatFloat32(value) {
+  for (let precision = 6; precision < 9; precision++) {
+    const text = value.toPrecision(precision);
+    if (Math.fround(Number(text)) === value) return String(Number(text));
+  }
+  return String(Number(value.toPrecision(9)));
+}
+
+function formatAsciiValue(value, field) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Number.isNaN(value)) return 'nan';
+  // PCL writes packed colors as uint32 in ASCII files
+  if (field.type === 'F' && !isPackedColorField(field)) {
+    return field.size === 4 ? formatFloat32(Math.fround(value)) : String(value);
+  }
+  return String(Math.round(value));
+}
+
+function writeBinaryValue(view, offset, value, field) {
+  const { setter } = getFieldType(field);
+  if (field.size === 8 && field.type !== 'F') {
+    view[setter](offset, typeof value === 'bigint' ? value : BigInt(Math.round(value)), true);
+  } else {
+    view[setter](offset, value, true);
+  }
+}
+
+/**
+ * 生成PCD文件内容
+ * @param {Array} points - 点数组
+ * @param {Array} labels - 标签定义
+ * @param {Object} header - 原始文件头
+ * @param {string} format - One of `PCD_FORMATS`
+ * @returns {string|ArrayBuffer} PCD文件内容，ASCII为字符串，二进制为ArrayBuffer
+ */
+export function generatePCDContent(points, labels = [], header = null, format = PCD_FORMATS.BINARY) {
+  if (!Object.values(PCD_FORMATS).includes(format)) {
+    throw new Error(`Unsupported PCD data type: ${format}`);
+  }
+  const layout = buildPCDLayout(points, header);
+  const { fields, rowCount, getValue } = layout;
+  const headerText = buildHeader(layout, labels, format);
+
+  if (format === PCD_FORMATS.ASCII) {
+    const lines = new Array(rowCount);
+    for (let row = 0; row < rowCount; row++) {
+      const values = [];
+      fields.forEach((field, f) => {
+        for (let k = 0; k < field.count; k++) values.push(formatAsciiValue(getValue(row, f, k), field));
+      });
+      lines[row] = values.join(' ');
+    }
+    return `${headerText}${lines.join('\n')}\n`;
+  }
+
+  // binary: one record per point; binary_compressed: one block per field, LZF compressed
+  const pointSize = fields.reduce((sum, field) => sum + field.size * field.count, 0);
+  const data = new Uint8Array(pointSize * rowCount);
+  const view = new DataView(data.buffer);
+  let fieldStart = 0;
+  fields.forEach((field, f) => {
+    const valueSize = field.size * field.count;
+    const stride = format === PCD_FORMATS.BINARY ? pointSize : valueSize;
+    for (let row = 0; row < rowCount; row++) {
+      for (let k = 0; k < field.count; k++) {
+        writeBinaryValue(view, fieldStart + row * stride + k * field.size, getValue(row, f, k), field);
+      }
+    }
+    fieldStart += format === PCD_FORMATS.BINARY ? valueSize : valueSize * rowCount;
+  });
+
+  const headerBytes = new TextEncoder().encode(headerText);
+  const body = format === PCD_FORMATS.BINARY ? data : lzfCompress(data);
+  const prefixLength = format === PCD_FORMATS.BINARY ? 0 : 8;
+  const output = new Uint8Array(headerBytes.length + prefixLength + body.length);
+  output.set(headerBytes, 0);
+  if (prefixLength) {
+    const sizes = new DataView(output.buffer, headerBytes.length, 8);
+    sizes.setUint32(0, body.length, true);
+    sizes.setUint32(4, data.length, true);
+  }
+  output.set(body, headerBytes.length + prefixLength);
+  return output.buffer;
+}
@@ -0,0 +1,293 @@
+/**
+ * @file pcdParser.js
+ * PCD (Point Cloud Library) import: `ascii`, `binary` and `binary_compressed` data, PCD v0.5 - v0.7 headers.
+ *
+ * Returns the same structure as `parsePLY`. `x` / `y` / `z`, packed `rgb` / `rgba` and `label` become the point
+ * position, color and label; points without RGB are shaded by `intensity` when the file has it.
+ * Every field is kept column by column in the header (`fieldColumns`, indexed by the original row), together with
+ * WIDTH / HEIGHT / VIEWPOINT, so `exportPCD` can write the file back unchanged apart from the edits.
+ * Rows with a NaN position (organized clouds) are not loaded as points; `pointRows` maps points to their rows.
+ */
+
+import { lzfDecompress } from './lzf';
+
+export const PCD_DATA_TYPES = ['ascii', 'binary', 'binary_compressed'];
+
+// Column storage and DataView accessors of the PCD `TYPE` + `SIZE` combinations
+export const PCD_TYPES = {
+  F4: { array: Float32Array, getter: 'getFloat32', setter: 'setFloat32' },
+  F8: { array: Float64Array, getter: 'getFloat64', setter: 'setFloat64' },
+  I1: { array: Int8Array, getter: 'getInt8', setter: 'setInt8' },
+  I2: { array: Int16Array, getter: 'getInt16', setter: 'setInt16' },
+  I4: { array: Int32Array, getter: 'getInt32', setter: 'setInt32' },
+  I8: { array: BigInt64Array, getter: 'getBigInt64', setter: 'setBigInt64' },
+  U1: { array: Uint8Array, getter: 'getUint8', setter: 'setUint8' },
+  U2: { array: Uint16Array, getter: 'getUint16', setter: 'setUint16' },
+  U4: { array: Uint32Array, getter: 'getUint32', setter: 'setUint32' },
+  U8: { array: BigUint64Array, getter: 'getBigUint64', setter: 'setBigUint64' },
+};
+
+const DEFAULT_VIEWPOINT = [0, 0, 0, 1, 0, 0, 0];
+
+/**
+ * 检查文件是否为PCD格式
+ * @param {string} fileName - 文件名
+ * @returns {boolean} 是否为PCD文件
+ */
+export function isPCDFile(fileName) {
+  return fileName.toLowerCase().endsWith('.pcd');
+}
+
+/**
+ * `rgb` / `rgba` hold 0xAARRGGBB packed into 4 bytes. PCL declares `rgb` as a float, whose bit pattern can be a
+ * NaN when alpha is set, so these fields are always stored and written as raw uint32.
+ */
+export function isPackedColorField(field) {
+  return (field.name === 'rgb' || field.name === 'rgba') && field.size === 4 && field.count === 1;
+}
+
+/**
+ * Column type of a field: the PCD type, or U4 for packed colors.
+ * @param {{name: string, type: string, size: number, count: number}} field
+ */
+export function getFieldType(field) {
+  const key = isPackedColorField(field) ? 'U4' : `${field.type}${field.size}`;
+  const type = PCD_TYPES[key];
+  if (!type) {
+    throw new Error(`Unsupported PCD field type ${field.type} of size ${field.size} (field "${field.name}")`);
+  }
+  return type;
+}
+
+/**
+ * Parse the PCD header, which ends with the `DATA` line.
+ * @param {ArrayBuffer} buffer - File content.
+ * @returns {object} Header with `fields`, `width`, `height`, `viewpoint`, `pointCount`, `data`, `comments` and
+ * `dataOffset` (first byte after the header).
+ */
+export function parsePCDHeader(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  const header = { version: '0.7', comments: [], viewpoint: [...DEFAULT_VIEWPOINT], data: null };
+  const entries = {};
+
+  let offset = 0;
+  while (offset < bytes.length && !header.data) {
+    let end = bytes.indexOf(10, offset);
+    if (end === -1) end = bytes.length;
+    const line = decoder.decode(bytes.subarray(offset, end)).trim();
+    offset = end + 1;
+
+    if (!line) continue;
+    if (line.startsWith('#')) {
+      header.comments.push(line.slice(1).trim());
+      continue;
+    }
+    const [keyword, ...values] = line.split(/\s+/);
+    entries[keyword.toUpperCase()] = values;
+    if (keyword.toUpperCase() === 'DATA') header.data = (values[0] || '').toLowerCase();
+  }
+
+  if (!header.data || !entries.FIELDS) {
+    throw new Error('Not a PCD file (missing FIELDS or DATA line)');
+  }
+  if (!PCD_DATA_TYPES.includes(header.data)) {
+    throw new Error(`Unsupported PCD data type: ${header.data}`);
+  }
+
+  const names = entries.FIELDS;
+  header.fields = names.map((name, i) => ({
+    name,
+    size: entries.SIZE ? parseInt(entries.SIZE[i], 10) : 4,
+    type: entries.TYPE ? entries.TYPE[i].toUpperCase() : 'F',
+    count: entries.COUNT ? parseInt(entries.COUNT[i], 10) : 1,
+  }));
+  header.fields.forEach(getFieldType); // Fails early on unsupported types
+
+  if (entries.VERSION) header.version = entries.VERSION[0];
+  header.width = entries.WIDTH ? parseInt(entries.WIDTH[0], 10) : 0;
+  header.height = entries.HEIGHT ? parseInt(entries.HEIGHT[0], 10) : 1;
+  if (entries.VIEWPOINT && entries.VIEWPOINT.length === 7) header.viewpoint = entries.VIEWPOINT.map(Number);
+  // POINTS is optional before v0.7
+  header.pointCount = entries.POINTS ? parseInt(entries.POINTS[0], 10) : header.width * header.height;
+  if (!header.width) header.width = header.pointCount;
+  header.dataOffset = offset;
+  return header;
+}
+
+/**
+ * Read one field of all points. Row-major (`binary`) and column-major (`binary_compressed`) data only differ
+ * in where the values start and in the stride between points.
+ */
+function readColumn(view, start, stride, field, column, pointCount) {
+  const { getter } = getFieldType(field);
+  const { size, count } = field;
+  for (let i = 0; i < pointCount; i++) {
+    const offset = start + i * stride;
+    for (let k = 0; k < count; k++) {
+      column[i * count + k] = view[getter](offset + k * size, true);
+    }
+  }
+}
+
+// Packed colors in ASCII files are written as uint32 by PCL, older writers print the float
+const floatBits = new Float32Array(1);
+const floatBitsAsUint = new Uint32Array(floatBits.buffer);
+
+function parseAsciiValue(token, field) {
+  if (isPackedColorField(field) && field.type === 'F' && /[.eEnN]/.test(token)) {
+    floatBits[0] = Number(token);
+    return floatBitsAsUint[0];
+  }
+  if (field.size === 8 && field.type !== 'F') return BigInt(token);
+  return Number(token);
+}
+
+function readASCII(buffer, header, columns) {
+  const text = new TextDecoder().decode(new Uint8Array(buffer, header.dataOffset));
+  const lines = text.split('\n');
+  let row = 0;
+  for (let l = 0; l < lines.length && row < header.pointCount; l++) {
+    const line = lines[l].trim();
+    if (!line) continue;
+    const tokens = line.split(/\s+/);
+    let t = 0;
+    header.fields.forEach((field, f) => {
+      for (let k = 0; k < field.count; k++) {
+        columns[f][row * field.count + k] = parseAsciiValue(tokens[t++] ?? '0', field);
+      }
+    });
+    row++;
+  }
+  if (row < header.pointCount) {
+    throw new Error(`PCD file is truncated: ${row} of ${header.pointCount} points found`);
+  }
+}
+
+function readBinary(buffer, header, columns) {
+  const pointSize = header.fields.reduce((sum, field) => sum + field.size * field.count, 0);
+  if (header.dataOffset + pointSize * header.pointCount > buffer.byteLength) {
+    throw new Error(`PCD file is truncated: ${header.pointCount} points of ${pointSize} bytes expected`);
+  }
+  const view = new DataView(buffer, header.dataOffset);
+  let fieldOffset = 0;
+  header.fields.forEach((field, f) => {
+    readColumn(view, fieldOffset, pointSize, field, columns[f], header.pointCount);
+    fieldOffset += field.size * field.count;
+  });
+}
+
+function readBinaryCompressed(buffer, header, columns) {
+  const view = new DataView(buffer, header.dataOffset);
+  const compressedSize = view.getUint32(0, true);
+  const uncompressedSize = view.getUint32(4, true);
+  const data = lzfDecompress(new Uint8Array(buffer, header.dataOffset + 8, compressedSize), uncompressedSize);
+
+  // 解压后的数据按字段存储：先是所有点的第一个字段，然后是第二个字段...
+  const dataView = new DataView(data.buffer);
+  let fieldStart = 0;
+  header.fields.forEach((field, f) => {
+    const valueSize = field.size * field.count;
+    readColumn(dataView, fieldStart, valueSize, field, columns[f], header.pointCount);
+    fieldStart += valueSize * header.pointCount;
+  });
+}
+
+/**
+ * 解析PCD文件的主函数
+ * @param {ArrayBuffer} buffer - 文件的二进制内容
+ * @returns {Object} 与 parsePLY 相同结构的解析结果
+ */
+export function parsePCD(buffer) {
+  const header = parsePCDHeader(buffer);
+  const { fields, pointCount } = header;
+  const columns = fields.map(field => new (getFieldType(field).array)(pointCount * field.count));
+
+  if (header.data === 'ascii') readASCII(buffer, header, columns);
+  else if (header.data === 'binary') readBinary(buffer, header, columns);
+  else readBinaryCompressed(buffer, header, columns);
+
+  const columnOf = (name) => {
+    const index = fields.findIndex(field => field.name === name);
+    return index === -1 ? null : columns[index];
+  };
+  const [xs, ys, zs] = ['x', 'y', 'z'].map(columnOf);
+  if (!xs || !ys || !zs) {
+    throw new Error('PCD file has no x / y / z fields');
+  }
+  const colorField = fields.find(isPackedColorField);
+  const packedColors = colorField ? columnOf(colorField.name) : null;
+  const labelField = fields.find(field => field.name === 'label' && field.count === 1);
+  const labelIds = labelField && labelField.size < 8 ? columnOf('label') : null;
+  const intensities = !packedColors ? columnOf('intensity') : null;
+
+  let maxIntensity = 0;
+  if (intensities) intensities.forEach(value => { if (value > maxIntensity) maxIntensity = value; });
+
+  // 1. Points, skipping rows without a valid position
+  const points = [];
+  const pointRows = [];
+  const labelStats = {};
+  let labeledCount = 0;
+  for (let row = 0; row < pointCount; row++) {
+    const position = [Number(xs[row]), Number(ys[row]), Number(zs[row])];
+    if (!position.every(Number.isFinite)) continue;
+
+    let color = [1, 1, 1];
+    if (packedColors) {
+      const packed = packedColors[row];
+      color = [((packed >> 16) & 0xff) / 255, ((packed >> 8) & 0xff) / 255, (packed & 0xff) / 255];
+    } else if (intensities && maxIntensity > 0) {
+      const gray = intensities[row] / maxIntensity;
+      color = [gray, gray, gray];
+    }
+
+    const point = { position, color };
+    if (labelIds) {
+      point.labelId = labelIds[row];
+      labeledCount++;
+      labelStats[point.labelId] = (labelStats[point.labelId] || 0) + 1;
+    }
+    points.push(point);
+    pointRows.push(row);
+  }
+
+  // 2. Label names from `# label <id> <name>` comments, as written by exportPCD
+  const labelDefinitions = [];
+  header.comments.forEach(comment => {
+    const match = comment.match(/^label\s+(-?\d+)\s+(.+)$/i);
+    if (match) labelDefinitions.push({ id: parseInt(match[1], 10), name: match[2] });
+  });
+
+  return {
+    points,
+    faces: null,
+    materials: null,
+    textureFile: null,
+    labelDefinitions,
+    header: {
+      format: 'pcd',
+      version: header.version,
+      data: header.data,
+      vertexCount: points.length,
+      comments: header.comments,
+      fields,
+      width: header.width,
+      height: header.height,
+      viewpoint: header.viewpoint,
+      pointCount,
+      fieldColumns: columns,
+      // Only needed when rows were skipped
+      pointRows: points.length < pointCount ? Uint32Array.from(pointRows) : null,
+    },
+    fields: fields.map(field => field.name),
+    labelInfo: {
+      labeledCount,
+      unlabeledCount: points.length - labeledCount,
+      labelStats,
+      faceLabeledCount: 0,
+      faceUnlabeledCount: 0,
+      faceLabelStats: {},
+    },
+  };
+}
@@ -1,25 +1,56 @@
 import JSZip from 'jszip';
+import { downloadFile } from './download';
 
-// exportPLY, exportSinglePLY, exportAsZip functions remain unchanged
-export function exportPLY(points, originalFileName, faces = null, materials = null, textureFile = null, labels = [], header = null) {
+export const PLY_FORMATS = {
+  ASCII: 'ascii',
+  BINARY_LITTLE_ENDIAN: 'binary_little_endian',
+};
+
+/**
+ * Build the PLY file of points (and faces), zipped together with the material files if there are any.
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='ascii'] - 'ascii' | 'binary_little_endian'
+ * @returns {Promise<{data: string|ArrayBuffer|Uint8Array, fileName: string, mimeType: string}>}
+ */
+export async function createPLYFile(points, originalFileName, faces = null, materials = null, textureFile = null, labels = [], header = null, options = {}) {
+  const { format = PLY_FORMATS.ASCII } = options;
   // Build PLY file content (calling optimized function)
-  const plyContent = generatePLYContentOptimized(points, faces, textureFile, labels, header);
+  const plyContent = format === PLY_FORMATS.BINARY_LITTLE_ENDIAN
+    ? generateBinaryPLYContent(points, faces, textureFile, labels, header)
+    : generatePLYContentOptimized(points, faces, textureFile, labels, header);
 
   const baseName = originalFileName ? originalFileName.replace(/\.ply$/i, '') : 'pointcloud';
   const suffix = faces && faces.length > 0 ? '_mesh_annotated' : '_annotated';
+  const plyFile = {
+    data: plyContent,
+    fileName: `${baseName}${suffix}.ply`,
+    mimeType: typeof plyContent === 'string' ? 'text/plain' : 'application/octet-stream',
+  };
 
   if (materials && Object.keys(materials).length > 0) {
-    exportAsZip(plyContent, baseName, suffix, materials);
-  } else {
-    exportSinglePLY(plyContent, baseName, suffix);
+    try {
+      return await createZipFile(plyFile, materials);
+    } catch (error) {
+      console.error('创建zip文件时出错:', error);
+    }
   }
+  return plyFile;
 }
 
 /**
- * Optimized PLY content generation function
+ * Export points (and faces) as PLY and download it, see `createPLYFile`.
  */
-export function generatePLYContentOptimized(points, faces, textureFile, labels = [], originalHeader = null) {
-  const headerLines = ['ply', 'format ascii 1.0'];
+export async function exportPLY(points, originalFileName, faces = null, materials = null, textureFile = null, labels = [], header = null, options = {}) {
+  downloadFile(await createPLYFile(points, originalFileName, faces, materials, textureFile, labels, header, options));
+}
+
+/**
+ * Header layout shared by the ASCII and binary writers: comments and the elements with their property lists.
+ * Properties and element order come from the original header when there is one, so their order and types are
+ * preserved; elements other than `vertex` and `face` are written back from the rows kept by the parser.
+ */
+function buildPLYLayout(points, faces, textureFile, labels, originalHeader) {
+  const commentLines = [];
 
   // 1. Build comments section
   const finalLabels = [...labels];
@@ -33,17 +64,19 @@ export function generatePLYContentOptimized(points, faces, textureFile, labels =
     originalHeader.comments.forEach(comment => {
       // Filter out old label definitions, add them uniformly later
       if (!comment.toLowerCase().startsWith('label ')) {
-        headerLines.push(`comment ${comment}`);
+        commentLines.push(`comment ${comment}`);
       }
     });
   } else if (textureFile) {
-    headerLines.push(`comment TextureFile ${textureFile}`);
+    commentLines.push(`comment TextureFile ${textureFile}`);
   }
 
   finalLabels.sort((a, b) => a.id - b.id).forEach(label => {
-    headerLines.push(`comment label ${label.id} ${label.name}`);
+    commentLines.push(`comment label ${label.id} ${label.name}`);
   });
 
+  (originalHeader?.objInfo || []).forEach(info => commentLines.push(`obj_info ${info}`));
+
   // 2. Prepare property definitions (core optimization: unified property handling logic)
   // -- 顶点属性 --
   let vertexProperties = [];
@@ -86,115 +119,202 @@ export function generatePLYContentOptimized(points, faces, textureFile, labels =
     }
   }
 
-  // 3. Build header string
-  headerLines.push(`element vertex ${points.length}`);
-  vertexProperties.forEach(prop => {
-    if (prop.type === 'list') {
-      headerLines.push(`property list ${prop.countType} ${prop.itemType} ${prop.name}`);
+  // 3. Elements in file order, each with a value getter for row i
+  const vertexElement = {
+    name: 'vertex', count: points.length, properties: vertexProperties,
+    getValue: (i, prop) => getVertexValue(points[i], prop),
+  };
+  const faceElement = hasFaces ? {
+    name: 'face', count: faces.length, properties: faceProperties,
+    getValue: (i, prop) => getFaceValue(faces[i], prop),
+  } : null;
+
+  const elements = [];
+  (originalHeader?.elements || []).forEach(element => {
+    if (element.name === 'vertex') {
+      elements.push(vertexElement);
+    } else if (element.name === 'face') {
+      if (faceElement) elements.push(faceElement);
     } else {
-      headerLines.push(`property ${prop.type} ${prop.name}`);
+      // 未知元素: written back unchanged
+      elements.push({
+        name: element.name, count: element.count, properties: element.properties,
+        getValue: (i, prop, k) => element.rows?.[i]?.[k] ?? (prop.type === 'list' ? [] : 0),
+      });
     }
   });
+  if (!elements.includes(vertexElement)) elements.unshift(vertexElement);
+  if (faceElement && !elements.includes(faceElement)) elements.push(faceElement);
 
-  if (hasFaces) {
-    headerLines.push(`element face ${faces.length}`);
-    faceProperties.forEach(prop => {
+  return { commentLines, elements };
+}
+
+function buildHeader(format, layout) {
+  const headerLines = ['ply', `format ${format} 1.0`, ...layout.commentLines];
+
+  layout.elements.forEach(element => {
+    headerLines.push(`element ${element.name} ${element.count}`);
+    element.properties.forEach(prop => {
       if (prop.type === 'list') {
         headerLines.push(`property list ${prop.countType} ${prop.itemType} ${prop.name}`);
       } else {
         headerLines.push(`property ${prop.type} ${prop.name}`);
       }
     });
-  }
-
+  });
   headerLines.push('end_header');
+  return headerLines.join('\n');
+}
 
-  // 4. Build data lines (core optimization: data-driven construction and efficient string generation)
-  const dataLines = [];
+// Value of a vertex property (unknown properties are written as 0)
+function getVertexValue(point, prop) {
+  switch (prop.name) {
+    case 'x': return point.position[0];
+    case 'y': return point.position[1];
+    case 'z': return point.position[2];
+    case 'red': return Math.round(point.color[0] * 255);
+    case 'green': return Math.round(point.color[1] * 255);
+    case 'blue': return Math.round(point.color[2] * 255);
+    case 'label': return point.labelId ?? 0;
+    case 's': return point.textureCoords ? point.textureCoords[0] : 0;
+    case 't': return point.textureCoords ? point.textureCoords[1] : 0;
+    default: return prop.type === 'list' ? [] : 0;
+  }
+}
 
-  // -- 顶点数据 --
-  for (const point of points) {
-    const lineParts = [];
-    for (const prop of vertexProperties) {
-      switch (prop.name) {
-        case 'x': lineParts.push(point.position[0]); break;
-        case 'y': lineParts.push(point.position[1]); break;
-        case 'z': lineParts.push(point.position[2]); break;
-        case 'red': lineParts.push(Math.round(point.color[0] * 255)); break;
-        case 'green': lineParts.push(Math.round(point.color[1] * 255)); break;
-        case 'blue': lineParts.push(Math.round(point.color[2] * 255)); break;
-        case 'label': lineParts.push(point.labelId ?? 0); break;
-        case 's': lineParts.push(point.textureCoords ? point.textureCoords[0] : 0); break;
-        case 't': lineParts.push(point.textureCoords ? point.textureCoords[1] : 0); break;
-        default: lineParts.push('0'); // Provide default value for unknown properties
-      }
-    }
-    dataLines.push(lineParts.join(' '));
+// Value of a face property: a number, or an array for list properties
+function getFaceValue(face, prop) {
+  // Prioritize using original properties saved on the face
+  if (face.originalProperties && face.originalProperties[prop.name] !== undefined) {
+    return face.originalProperties[prop.name];
   }
+  // Otherwise, generate based on property name
+  switch (prop.name) {
+    case 'vertex_indices': return face.indices;
+    case 'label': return face.labelId ?? -1;
+    case 'red': return face.color ? Math.round(face.color[0] * 255) : 255;
+    case 'green': return face.color ? Math.round(face.color[1] * 255) : 255;
+    case 'blue': return face.color ? Math.round(face.color[2] * 255) : 255;
+    case 'texcoord': return face.textureCoords || [];
+    default: return prop.type === 'list' ? [] : 0;
+  }
+}
 
-  // -- 面片数据 --
-  if (hasFaces) {
-    for (const face of faces) {
-      const lineParts = [];
-      for (const prop of faceProperties) {
-        let valueAdded = false;
-        // Prioritize using original properties saved on the face
-        if (face.originalProperties && face.originalProperties[prop.name] !== undefined) {
-          const value = face.originalProperties[prop.name];
-          if (Array.isArray(value)) {
-            lineParts.push(`${value.length} ${value.join(' ')}`);
-          } else {
-            lineParts.push(value);
-          }
-          valueAdded = true;
-        } else {
-          // Otherwise, generate based on property name
-          switch (prop.name) {
-            case 'vertex_indices': lineParts.push(`${face.indices.length} ${face.indices.join(' ')}`); valueAdded = true; break;
-            case 'label': lineParts.push(face.labelId ?? -1); valueAdded = true; break;
-            case 'red': lineParts.push(face.color ? Math.round(face.color[0] * 255) : 255); valueAdded = true; break;
-            case 'green': lineParts.push(face.color ? Math.round(face.color[1] * 255) : 255); valueAdded = true; break;
-            case 'blue': lineParts.push(face.color ? Math.round(face.color[2] * 255) : 255); valueAdded = true; break;
-            case 'texcoord': 
-                lineParts.push(face.textureCoords ? `${face.textureCoords.length} ${face.textureCoords.join(' ')}` : '0'); 
-                valueAdded = true; 
-                break;
-          }
-        }
-        // If none of the above match, provide default value
-        if (!valueAdded) {
-            lineParts.push(prop.type === 'list' ? '0' : '0');
-        }
-      }
-      dataLines.push(lineParts.join(' '));
+const formatAsciiValue = (value) => (Array.isArray(value) ? `${value.length} ${value.join(' ')}`.trim() : value);
+
+/**
+ * Optimized PLY content generation function
+ */
+export function generatePLYContentOptimized(points, faces, textureFile, labels = [], originalHeader = null) {
+  const layout = buildPLYLayout(points, faces, textureFile, labels, originalHeader);
+  const header = buildHeader(PLY_FORMATS.ASCII, layout);
+
+  // Build data lines (core optimization: data-driven construction and efficient string generation)
+  const dataLines = [];
+  for (const element of layout.elements) {
+    for (let i = 0; i < element.count; i++) {
+      dataLines.push(element.properties.map((prop, k) => formatAsciiValue(element.getValue(i, prop, k))).join(' '));
     }
   }
 
-  // 5. Final merge
-  return headerLines.join('\n') + '\n' + dataLines.join('\n');
+  // Final merge
+  return header + '\n' + dataLines.join('\n');
 }
 
+// DataView setters per PLY type, including the sized aliases (int8, uint16, float32...)
+const BINARY_TYPES = {
+  char: { writer: 'setInt8', size: 1 },
+  int8: { writer: 'setInt8', size: 1 },
+  uchar: { writer: 'setUint8', size: 1 },
+  uint8: { writer: 'setUint8', size: 1 },
+  short: { writer: 'setInt16', size: 2 },
+  int16: { writer: 'setInt16', size: 2 },
+  ushort: { writer: 'setUint16', size: 2 },
+  uint16: { writer: 'setUint16', size: 2 },
+  int: { writer: 'setInt32', size: 4 },
+  int32: { writer: 'setInt32', size: 4 },
+  uint: { writer: 'setUint32', size: 4 },
+  uint32: { writer: 'setUint32', size: 4 },
+  float: { writer: 'setFloat32', size: 4, isFloat: true },
+  float32: { writer: 'setFloat32', size: 4, isFloat: true },
+  double: { writer: 'setFloat64', size: 8, isFloat: true },
+  float64: { writer: 'setFloat64', size: 8, isFloat: true },
+};
 
-// 原始的下载和ZIP打包函数 (无需修改)
-function exportSinglePLY(plyContent, baseName, suffix) {
-  const blob = new Blob([plyContent], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${baseName}${suffix}.ply`;
-  
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  
-  URL.revokeObjectURL(url);
+function getBinaryType(type) {
+  const typeInfo = BINARY_TYPES[type.toLowerCase()];
+  if (!typeInfo) throw new Error(`Unsupported PLY property type "${type}"`);
+  return typeInfo;
+}
+
+function writeBinaryValue(dataView, offset, typeInfo, value) {
+  const number = Number(value) || 0;
+  dataView[typeInfo.writer](offset, typeInfo.isFloat ? number : Math.round(number), true);
+  return offset + typeInfo.size;
+}
+
+/**
+ * Binary little-endian PLY content. Every property is written with its declared type, so files loaded from a
+ * binary PLY keep their original layout.
+ * @returns {ArrayBuffer} PLY file content
+ */
+export function generateBinaryPLYContent(points, faces, textureFile, labels = [], originalHeader = null) {
+  const layout = buildPLYLayout(points, faces, textureFile, labels, originalHeader);
+  const header = new TextEncoder().encode(buildHeader(PLY_FORMATS.BINARY_LITTLE_ENDIAN, layout) + '\n');
+
+  const elements = layout.elements.map(element => ({
+    element,
+    entries: element.properties.map((prop, k) => (prop.type === 'list'
+      ? { prop, k, countType: getBinaryType(prop.countType), itemType: getBinaryType(prop.itemType) }
+      : { prop, k, type: getBinaryType(prop.type) })),
+  }));
+
+  // 1. Size of the data section (list properties have a variable size)
+  const valueSize = ({ type, countType, itemType }, value) => (type
+    ? type.size
+    : countType.size + (Array.isArray(value) ? value.length : 0) * itemType.size);
+  let byteLength = header.byteLength;
+  elements.forEach(({ element, entries }) => {
+    if (entries.every(({ type }) => type)) {
+      byteLength += element.count * entries.reduce((sum, { type }) => sum + type.size, 0);
+      return;
+    }
+    for (let i = 0; i < element.count; i++) {
+      entries.forEach(entry => { byteLength += valueSize(entry, element.getValue(i, entry.prop, entry.k)); });
+    }
+  });
+
+  // 2. Write header and data
+  const buffer = new ArrayBuffer(byteLength);
+  new Uint8Array(buffer).set(header);
+  const dataView = new DataView(buffer);
+  let offset = header.byteLength;
+
+  const writeEntry = ({ type, countType, itemType }, value) => {
+    if (type) {
+      offset = writeBinaryValue(dataView, offset, type, Array.isArray(value) ? value[0] : value);
+      return;
+    }
+    const list = Array.isArray(value) ? value : [];
+    offset = writeBinaryValue(dataView, offset, countType, list.length);
+    for (const item of list) offset = writeBinaryValue(dataView, offset, itemType, item);
+  };
+
+  for (const { element, entries } of elements) {
+    for (let i = 0; i < element.count; i++) {
+      for (const entry of entries) writeEntry(entry, element.getValue(i, entry.prop, entry.k));
+    }
+  }
+
+  return buffer;
 }
 
-async function exportAsZip(plyContent, baseName, suffix, materials) {
+
+// PLY 与材质文件打包为 zip
+async function createZipFile(plyFile, materials) {
   const zip = new JSZip();
   
-  zip.file(`${baseName}${suffix}.ply`, plyContent);
+  zip.file(plyFile.fileName, plyFile.data);
   
   for (const [fileName, fileData] of Object.entries(materials)) {
     if (fileData instanceof ArrayBuffer || fileData instanceof Blob) {
@@ -204,20 +324,9 @@ async function exportAsZip(plyContent, baseName, suffix, materials) {
     }
   }
   
-  try {
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    const url = URL.createObjectURL(zipBlob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${baseName}${suffix}.zip`;
-    
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    URL.revokeObjectURL(url);
-  } catch (error) {
-    console.error('创建zip文件时出错:', error);
-    exportSinglePLY(plyContent, baseName, suffix);
-  }
-}
\ No newline at end of file
+  return {
+    data: await zip.generateAsync({ type: 'uint8array' }),
+    fileName: plyFile.fileName.replace(/\.ply$/, '.zip'),
+    mimeType: 'application/zip',
+  };
+}
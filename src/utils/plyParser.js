@@ -11,120 +11,426 @@ const normalizeColorValue = (value) => {
 // Data type lookup table to avoid repeated string comparisons
 const DATA_TYPE_MAP = {
   'char': { reader: 'getInt8', size: 1 },
+  'int8': { reader: 'getInt8', size: 1 },
   'uchar': { reader: 'getUint8', size: 1 },
+  'uint8': { reader: 'getUint8', size: 1 },
   'short': { reader: 'getInt16', size: 2 },
+  'int16': { reader: 'getInt16', size: 2 },
   'ushort': { reader: 'getUint16', size: 2 },
+  'uint16': { reader: 'getUint16', size: 2 },
   'int': { reader: 'getInt32', size: 4 },
+  'int32': { reader: 'getInt32', size: 4 },
   'uint': { reader: 'getUint32', size: 4 },
+  'uint32': { reader: 'getUint32', size: 4 },
   'float': { reader: 'getFloat32', size: 4 },
   'float32': { reader: 'getFloat32', size: 4 },
   'double': { reader: 'getFloat64', size: 8 },
   'float64': { reader: 'getFloat64', size: 8 }
 };
 
+// ASCII data is decoded in slices of this size instead of one string for the whole file
+const ASCII_CHUNK_SIZE = 1 << 22;
+// Binary progress is reported every this many elements
+const BINARY_PROGRESS_INTERVAL = 1 << 16;
+
+const END_HEADER = 'end_header';
+const SUPPORTED_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
 /**
- * Read a value from DataView by specified type.
- * @param {DataView} dataView - Data view.
+ * Create a reader for one PLY data type.
  * @param {string} type - Data type.
- * @param {number} offset - Current byte offset.
  * @param {boolean} littleEndian - Whether little-endian.
- * @returns {{value: number, newOffset: number}} - Object containing the read value and new offset.
+ * @returns {{read: (dataView: DataView, offset: number) => number, size: number}} - Reader and byte size.
  */
-const readDataValue = (dataView, type, offset, littleEndian = true) => {
+const createDataReader = (type, littleEndian = true) => {
   const typeInfo = DATA_TYPE_MAP[type.toLowerCase()];
   if (!typeInfo) {
-    return { value: 0, newOffset: offset };
+    // The size of every following value would be unknown
+    throw new Error(`Unsupported PLY data type "${type}"`);
   }
-  
+
   const { reader, size } = typeInfo;
-  const value = size === 1 ? dataView[reader](offset) : dataView[reader](offset, littleEndian);
-  return { value, newOffset: offset + size };
+  return { read: (dataView, offset) => dataView[reader](offset, littleEndian), size };
 };
 
+/**
+ * Find the end of the PLY header. The whole header is scanned, however long its comment block is.
+ * @param {Uint8Array} bytes - File content.
+ * @returns {{headerLength: number, dataOffset: number} | null} - Byte length of the header text (without the
+ * `end_header` line) and offset of the first data byte, or null if there is no `end_header` line.
+ */
+const findHeaderEnd = (bytes) => {
+  const marker = Array.from(END_HEADER, c => c.charCodeAt(0));
+  for (let lineStart = 0; lineStart < bytes.length;) {
+    let lineEnd = bytes.indexOf(0x0a, lineStart); // '\n'
+    if (lineEnd === -1) lineEnd = bytes.length;
+
+    if (marker.every((code, k) => bytes[lineStart + k] === code)) {
+      let k = lineStart + marker.length;
+      while (k < lineEnd && (bytes[k] === 0x20 || bytes[k] === 0x09 || bytes[k] === 0x0d)) k++;
+      if (k === lineEnd) {
+        return { headerLength: lineStart, dataOffset: Math.min(lineEnd + 1, bytes.length) };
+      }
+    }
+    lineStart = lineEnd + 1;
+  }
+  return null;
+};
 
 /**
- * Main function to parse PLY files.
+ * Parse the PLY header.
+ * Every element is listed in `elements` in file order (`{name, count, properties}`); `properties` / `faceProperties`
+ * are the property lists of the `vertex` and `face` elements.
  * @param {ArrayBuffer} buffer - Binary content of PLY file.
- * @param {Map<string, any>} materialMap - Preloaded material or texture data mapping.
- * @returns {object | null} Parsed result object containing vertices, faces, materials, etc.
+ * @returns {object} Header: `{format, version, vertexCount, faceCount, properties, faceProperties, elements, comments,
+ * objInfo, dataOffset}`.
  */
-export function parsePLY(buffer, materialMap = new Map()) {
-  const decoder = new TextDecoder();
-  const headerChunk = buffer.slice(0, 4096); 
-  const headerText = decoder.decode(headerChunk);
-  const lines = headerText.split('\n');
-  
-  let isBinary = false;
-  let vertexCount = 0;
-  let faceCount = 0;
-  let headerEndIndex = -1;
-  const properties = [];
-  const faceProperties = [];
-  let format = '';
-  let version = '';
-  const comments = [];
+export function parsePLYHeader(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerEnd = findHeaderEnd(bytes);
+  if (!headerEnd) {
+    throw new Error('PLY header parsing failed: "end_header" not found');
+  }
+
+  const lines = new TextDecoder().decode(bytes.subarray(0, headerEnd.headerLength)).split('\n');
+  const header = {
+    format: '',
+    version: '',
+    vertexCount: 0,
+    faceCount: 0,
+    properties: [],
+    faceProperties: [],
+    elements: [],
+    comments: [],
+    objInfo: [],
+    dataOffset: headerEnd.dataOffset,
+  };
   let currentElement = null;
-  
-  // 1. Parse the PLY file header
-  for (let i = 0, len = lines.length; i < len; i++) {
-    const line = lines[i].trim();
-    if (line === 'end_header') {
-      headerEndIndex = i + 1;
-      break;
-    }
-    
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
     const parts = line.split(/\s+/);
-    const command = parts[0];
-    
-    switch (command) {
+
+    switch (parts[0]) {
       case 'format':
-        format = parts[1];
-        version = parts[2];
-        isBinary = format.startsWith('binary');
+        header.format = parts[1];
+        header.version = parts[2];
         break;
-      case 'element':
-        currentElement = parts[1];
+      case 'element': {
+        const name = parts[1];
         const count = parseInt(parts[2]);
-        if (currentElement === 'vertex') {
-          vertexCount = count;
-        } else if (currentElement === 'face') {
-          faceCount = count;
+        currentElement = { name, count, properties: [] };
+        if (name === 'vertex') {
+          header.vertexCount = count;
+          currentElement.properties = header.properties;
+        } else if (name === 'face') {
+          header.faceCount = count;
+          currentElement.properties = header.faceProperties;
         }
+        header.elements.push(currentElement);
         break;
-      case 'property':
+      }
+      case 'property': {
+        if (!currentElement) break;
         const property = { name: parts[parts.length - 1], type: parts[1] };
         if (property.type === 'list') {
           property.countType = parts[2];
           property.itemType = parts[3];
         }
-        (currentElement === 'vertex' ? properties : faceProperties).push(property);
+        currentElement.properties.push(property);
         break;
+      }
       case 'comment':
-        comments.push(line.substring(8).trim());
+        header.comments.push(line.substring(8).trim());
+        break;
+      case 'obj_info':
+        header.objInfo.push(line.substring(9).trim());
         break;
     }
   }
 
-  if (headerEndIndex === -1) {
-    throw new Error('PLY header parsing failed: "end_header" not found');
+  if (!SUPPORTED_FORMATS.includes(header.format)) {
+    throw new Error(`Unsupported PLY format "${header.format}"`);
+  }
+  return header;
+}
+
+/**
+ * Typed arrays of the parsed data (structure of arrays), cheap to transfer from a worker.
+ * Optional columns are null when the file has no matching property.
+ */
+const createColumns = (header) => {
+  const { vertexCount, faceCount, properties, faceProperties } = header;
+  const vertexNames = new Set(properties.map(p => p.name.toLowerCase()));
+  const faceNames = new Set(faceProperties.map(p => p.name));
+
+  const colors = new Float32Array(vertexCount * 3);
+  colors.fill(1);
+  const faceColors = ['red', 'green', 'blue'].some(name => faceNames.has(name)) ? new Float32Array(faceCount * 3) : null;
+  if (faceColors) faceColors.fill(1);
+
+  return {
+    positions: new Float64Array(vertexCount * 3),
+    colors,
+    labelIds: vertexNames.has('label') ? new Int32Array(vertexCount) : null,
+    textureCoords: vertexNames.has('s') || vertexNames.has('t') ? new Float32Array(vertexCount * 2) : null,
+    // 面片: polygon i uses faceIndices[faceOffsets[i] .. faceOffsets[i + 1]]
+    faceOffsets: faceCount > 0 ? new Uint32Array(faceCount + 1) : null,
+    faceIndices: faceCount > 0 ? new Uint32Array(faceCount * 3) : null,
+    faceLabelIds: faceNames.has('label') ? new Int32Array(faceCount) : null,
+    faceColors,
+    faceTexcoordOffsets: faceNames.has('texcoord') ? new Uint32Array(faceCount + 1) : null,
+    faceTexcoords: faceNames.has('texcoord') ? new Float32Array(faceCount * 6) : null,
+  };
+};
+
+// Copy into a larger array when polygons are longer than expected
+const ensureCapacity = (array, length) => {
+  if (length <= array.length) return array;
+  const grown = new array.constructor(Math.max(length, array.length * 2));
+  grown.set(array);
+  return grown;
+};
+
+/**
+ * Columns filled element by element, shared by the ASCII and binary parsers.
+ * Vertex properties are matched case-insensitively, face properties by their exact name.
+ */
+const createColumnWriter = (header) => {
+  const columns = createColumns(header);
+  const vertexSlots = header.properties.map(({ name }) => {
+    switch (name.toLowerCase()) {
+      case 'x': return (i, value) => { columns.positions[i * 3] = value; };
+      case 'y': return (i, value) => { columns.positions[i * 3 + 1] = value; };
+      case 'z': return (i, value) => { columns.positions[i * 3 + 2] = value; };
+      case 'red': case 'r': return (i, value) => { columns.colors[i * 3] = normalizeColorValue(value); };
+      case 'green': case 'g': return (i, value) => { columns.colors[i * 3 + 1] = normalizeColorValue(value); };
+      case 'blue': case 'b': return (i, value) => { columns.colors[i * 3 + 2] = normalizeColorValue(value); };
+      case 'label': return (i, value) => { columns.labelIds[i] = value; };
+      case 's': return (i, value) => { columns.textureCoords[i * 2] = value; };
+      case 't': return (i, value) => { columns.textureCoords[i * 2 + 1] = value; };
+      default: return null;
+    }
+  });
+  const faceColorChannel = { red: 0, green: 1, blue: 2 };
+
+  let faceIndexCount = 0;
+  let faceTexcoordCount = 0;
+
+  return {
+    columns,
+    vertexSlots,
+    setFaceList(i, name, list) {
+      if (name === 'vertex_indices') {
+        columns.faceIndices = ensureCapacity(columns.faceIndices, faceIndexCount + list.length);
+        columns.faceIndices.set(list, faceIndexCount);
+        faceIndexCount += list.length;
+      } else if (name === 'texcoord') {
+        columns.faceTexcoords = ensureCapacity(columns.faceTexcoords, faceTexcoordCount + list.length);
+        columns.faceTexcoords.set(list, faceTexcoordCount);
+        faceTexcoordCount += list.length;
+      }
+    },
+    setFaceValue(i, name, value) {
+      if (name === 'label') {
+        columns.faceLabelIds[i] = value;
+      } else if (name in faceColorChannel) {
+        columns.faceColors[i * 3 + faceColorChannel[name]] = normalizeColorValue(value);
+      }
+    },
+    // Close face i: record where its lists end
+    endFace(i) {
+      columns.faceOffsets[i + 1] = faceIndexCount;
+      if (columns.faceTexcoordOffsets) columns.faceTexcoordOffsets[i + 1] = faceTexcoordCount;
+    },
+    finish() {
+      if (columns.faceIndices) columns.faceIndices = columns.faceIndices.slice(0, faceIndexCount);
+      if (columns.faceTexcoords) columns.faceTexcoords = columns.faceTexcoords.slice(0, faceTexcoordCount);
+      return columns;
+    },
+  };
+};
+
+/**
+ * Where the values of an element go: `vertex` and `face` into the columns, rows of any other element (edge,
+ * material, custom elements) are kept verbatim in `element.rows` so `exportPLY` can write them back.
+ */
+const createElementSink = (element, writer) => {
+  switch (element.name) {
+    case 'vertex': {
+      const { vertexSlots } = writer;
+      return {
+        setValue: (i, k, value) => { if (vertexSlots[k]) vertexSlots[k](i, value); },
+        end: () => {},
+      };
+    }
+    case 'face':
+      return {
+        setValue: (i, k, value) => {
+          const { name } = element.properties[k];
+          if (Array.isArray(value)) writer.setFaceList(i, name, value);
+          else writer.setFaceValue(i, name, value);
+        },
+        end: (i) => writer.endFace(i),
+      };
+    default:
+      element.rows = new Array(element.count);
+      return {
+        setValue: (i, k, value) => { (element.rows[i] ||= new Array(element.properties.length))[k] = value; },
+        end: () => {},
+      };
+  }
+};
+
+/**
+ * Parse ASCII format PLY data. The data section is decoded slice by slice, so no string of the whole file is built.
+ * @param {ArrayBuffer} buffer - Complete file buffer.
+ * @param {object} header - Result of `parsePLYHeader`.
+ * @param {(loaded: number, total: number) => void} [onProgress] - Called with the number of bytes parsed.
+ * @returns {object} Data columns.
+ */
+const parseAsciiPLY = (buffer, header, onProgress) => {
+  const { elements, dataOffset } = header;
+  const writer = createColumnWriter(header);
+  const sinks = elements.map(element => createElementSink(element, writer));
+  const decoder = new TextDecoder();
+  let elementIndex = 0;
+  let rowIndex = 0;
+
+  // Skip elements without rows
+  const advance = () => {
+    while (elementIndex < elements.length && rowIndex >= elements[elementIndex].count) {
+      elementIndex++;
+      rowIndex = 0;
+    }
+  };
+
+  const parseLine = (rawLine) => {
+    const line = rawLine.trim();
+    advance();
+    if (!line || elementIndex >= elements.length) return;
+    const values = line.split(/\s+/);
+    const { properties } = elements[elementIndex];
+    const sink = sinks[elementIndex];
+
+    let valueIndex = 0;
+    for (let k = 0; k < properties.length && valueIndex < values.length; k++) {
+      if (properties[k].type === 'list') {
+        const count = parseInt(values[valueIndex++]);
+        const list = new Array(count);
+        for (let j = 0; j < count; j++) {
+          list[j] = parseFloat(values[valueIndex++]);
+        }
+        sink.setValue(rowIndex, k, list);
+      } else {
+        sink.setValue(rowIndex, k, parseFloat(values[valueIndex++]));
+      }
+    }
+    sink.end(rowIndex);
+    rowIndex++;
+  };
+
+  let remainder = '';
+  for (let offset = dataOffset; offset < buffer.byteLength; offset += ASCII_CHUNK_SIZE) {
+    const end = Math.min(offset + ASCII_CHUNK_SIZE, buffer.byteLength);
+    const lines = (remainder + decoder.decode(new Uint8Array(buffer, offset, end - offset), { stream: true })).split('\n');
+    remainder = lines.pop();
+    for (const line of lines) parseLine(line);
+    if (onProgress) onProgress(end, buffer.byteLength);
+    advance();
+    if (elementIndex >= elements.length) break;
   }
+  parseLine(remainder + decoder.decode());
 
-  // 2. Choose appropriate parser based on format (binary or ASCII)
-  let result;
-  if (isBinary) {
-    const fullHeaderText = lines.slice(0, headerEndIndex).join('\n') + '\n';
-    const dataOffset = new TextEncoder().encode(fullHeaderText).byteLength;
-    result = parseBinaryPLY(buffer, vertexCount, faceCount, properties, faceProperties, dataOffset);
-  } else {
-    const fullText = decoder.decode(buffer);
-    const allLines = fullText.split('\n');
-    result = parseAsciiPLY(allLines, vertexCount, faceCount, properties, faceProperties, headerEndIndex);
+  // Rows missing at the end of a truncated file are empty
+  for (advance(); elementIndex < elements.length; elementIndex++, rowIndex = 0) {
+    for (; rowIndex < elements[elementIndex].count; rowIndex++) sinks[elementIndex].end(rowIndex);
   }
+  return writer.finish();
+};
 
-  // 3. Extract texture and label metadata from comments
+/**
+ * Parse binary format PLY data (little- or big-endian).
+ * @param {ArrayBuffer} buffer - Complete file buffer.
+ * @param {object} header - Result of `parsePLYHeader`.
+ * @param {(loaded: number, total: number) => void} [onProgress] - Called with the number of bytes parsed.
+ * @returns {object} Data columns.
+ */
+const parseBinaryPLY = (buffer, header, onProgress) => {
+  const { elements, dataOffset } = header;
+  const littleEndian = header.format === 'binary_little_endian';
+  const dataView = new DataView(buffer);
+  const writer = createColumnWriter(header);
+  let offset = dataOffset;
+  let rowsSinceProgress = 0;
+
+  for (const element of elements) {
+    const sink = createElementSink(element, writer);
+    const readers = element.properties.map(prop => (prop.type === 'list'
+      ? { count: createDataReader(prop.countType, littleEndian), item: createDataReader(prop.itemType, littleEndian) }
+      : { value: createDataReader(prop.type, littleEndian) }));
+
+    for (let i = 0; i < element.count; i++) {
+      if (offset >= buffer.byteLength) throw new Error(`PLY data ends inside element "${element.name}"`);
+      for (let k = 0; k < readers.length; k++) {
+        const { count: countReader, item, value } = readers[k];
+        if (value) {
+          sink.setValue(i, k, value.read(dataView, offset));
+          offset += value.size;
+          continue;
+        }
+
+        const count = countReader.read(dataView, offset);
+        offset += countReader.size;
+        const list = new Array(count);
+        for (let j = 0; j < count; j++) {
+          list[j] = item.read(dataView, offset);
+          offset += item.size;
+        }
+        sink.setValue(i, k, list);
+      }
+      sink.end(i);
+      if (onProgress && ++rowsSinceProgress >= BINARY_PROGRESS_INTERVAL) {
+        rowsSinceProgress = 0;
+        onProgress(offset, buffer.byteLength);
+      }
+    }
+  }
+
+  if (onProgress) onProgress(buffer.byteLength, buffer.byteLength);
+  return writer.finish();
+};
+
+/**
+ * Parse the data section of a PLY file into typed arrays. This is the part run in the worker (see plyWorker.js).
+ * Rows of elements other than `vertex` and `face` are stored in `header.elements[i].rows`.
+ * @param {ArrayBuffer} buffer - Binary content of PLY file.
+ * @param {object} header - Result of `parsePLYHeader`.
+ * @param {object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Called with the number of bytes parsed.
+ * @returns {object} Data columns (positions, colors, labelIds, faceOffsets, faceIndices...).
+ */
+export function parsePLYData(buffer, header, { onProgress } = {}) {
+  return header.format.startsWith('binary')
+    ? parseBinaryPLY(buffer, header, onProgress)
+    : parseAsciiPLY(buffer, header, onProgress);
+}
+
+/**
+ * Build the parse result from the header and the data columns.
+ * @param {object} header - Result of `parsePLYHeader`.
+ * @param {object} columns - Result of `parsePLYData`.
+ * @param {Map<string, any>} materialMap - Preloaded material or texture data mapping.
+ * @returns {object} Parsed result object containing vertices, faces, materials, etc.
+ */
+export function buildPLYResult(header, columns, materialMap = new Map()) {
+  const { vertexCount, faceCount, properties, comments } = header;
+  const { positions, colors, labelIds, textureCoords, faceOffsets, faceIndices, faceLabelIds, faceColors, faceTexcoordOffsets, faceTexcoords } = columns;
+
+  // 1. Extract texture and label metadata from comments
   let textureFile = null;
   const labelDefinitions = {};
-  
+
   for (const comment of comments) {
     const lowerComment = comment.toLowerCase();
     if (lowerComment.includes('texturefile')) {
@@ -152,30 +458,46 @@ export function parsePLY(buffer, materialMap = new Map()) {
     });
   }
 
-  // 4. Generate label statistics and counts
+  // 2. Points and faces, generating label statistics and counts
+  const points = new Array(vertexCount);
   const labelStats = {};
   let labeledCount = 0;
-  const { points, faces } = result;
-  
-  for (const point of points) {
-    if (point.labelId !== undefined && point.labelId !== null) {
+
+  for (let i = 0; i < vertexCount; i++) {
+    const point = {
+      position: [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]],
+      color: [colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]],
+    };
+    if (labelIds) {
+      point.labelId = labelIds[i];
       labeledCount++;
       labelStats[point.labelId] = (labelStats[point.labelId] || 0) + 1;
     }
+    if (textureCoords) point.textureCoords = [textureCoords[i * 2], textureCoords[i * 2 + 1]];
+    points[i] = point;
   }
 
+  let faces = null;
   const faceLabelStats = {};
   let labeledFaceCount = 0;
-  if (faces) {
-    for (const face of faces) {
-      if (face.labelId !== undefined && face.labelId !== null && face.labelId !== -1) {
+  if (faceCount > 0) {
+    faces = new Array(faceCount);
+    for (let i = 0; i < faceCount; i++) {
+      const face = {
+        indices: Array.from(faceIndices.subarray(faceOffsets[i], faceOffsets[i + 1])),
+        labelId: faceLabelIds ? faceLabelIds[i] : null,
+        textureCoords: faceTexcoords ? Array.from(faceTexcoords.subarray(faceTexcoordOffsets[i], faceTexcoordOffsets[i + 1])) : null,
+        color: faceColors ? [faceColors[i * 3], faceColors[i * 3 + 1], faceColors[i * 3 + 2]] : null,
+      };
+      if (face.labelId !== null && face.labelId !== -1) {
         labeledFaceCount++;
         faceLabelStats[face.labelId] = (faceLabelStats[face.labelId] || 0) + 1;
       }
+      faces[i] = face;
     }
   }
 
-  // 5. Construct and return the parsed result object
+  // 3. Construct and return the parsed result object
   return {
     points,
     faces,
@@ -183,13 +505,15 @@ export function parsePLY(buffer, materialMap = new Map()) {
     textureFile,
     labelDefinitions,
     header: {
-      format,
-      version,
+      format: header.format,
+      version: header.version,
       vertexCount,
       faceCount,
       properties,
-      faceProperties,
-      comments
+      faceProperties: header.faceProperties,
+      elements: header.elements,
+      comments,
+      objInfo: header.objInfo
     },
     fields: properties.map(p => p.name),
     labelInfo: {
@@ -204,238 +528,16 @@ export function parsePLY(buffer, materialMap = new Map()) {
 }
 
 /**
- * Parse ASCII format PLY data.
- * @param {string[]} lines - Array containing all lines.
- * @param {number} vertexCount - Total vertex count.
- * @param {number} faceCount - Total face count.
- * @param {object[]} properties - Vertex property definitions.
- * @param {object[]} faceProperties - Face property definitions.
- * @param {number} startLine - Line number where data starts.
- * @returns {{points: object[], faces: object[] | null}}
- */
-const parseAsciiPLY = (lines, vertexCount, faceCount, properties, faceProperties, startLine) => {
-  // 预分配数组大小以提高性能
-  const points = new Array(vertexCount);
-  
-  // 创建属性索引映射
-  const propMap = {};
-  for (let i = 0; i < properties.length; i++) {
-    propMap[properties[i].name.toLowerCase()] = i;
-  }
-  
-  // 解析顶点数据
-  for (let i = 0; i < vertexCount; i++) {
-    const line = lines[startLine + i]?.trim();
-    if (!line) continue;
-    
-    const values = line.split(/\s+/);
-    const point = { position: [0, 0, 0], color: [1, 1, 1] };
-    
-    // 位置坐标
-    const xIdx = propMap.x;
-    const yIdx = propMap.y;
-    const zIdx = propMap.z;
-    if (xIdx !== undefined) point.position[0] = parseFloat(values[xIdx]);
-    if (yIdx !== undefined) point.position[1] = parseFloat(values[yIdx]);
-    if (zIdx !== undefined) point.position[2] = parseFloat(values[zIdx]);
-    
-    // 颜色
-    const rIdx = propMap.red ?? propMap.r;
-    const gIdx = propMap.green ?? propMap.g;
-    const bIdx = propMap.blue ?? propMap.b;
-    if (rIdx !== undefined) point.color[0] = normalizeColorValue(parseFloat(values[rIdx]));
-    if (gIdx !== undefined) point.color[1] = normalizeColorValue(parseFloat(values[gIdx]));
-    if (bIdx !== undefined) point.color[2] = normalizeColorValue(parseFloat(values[bIdx]));
-    
-    // 标签
-    const labelIdx = propMap.label;
-    if (labelIdx !== undefined) point.labelId = parseInt(values[labelIdx]);
-    
-    // 纹理坐标
-    const sIdx = propMap.s;
-    const tIdx = propMap.t;
-    if (sIdx !== undefined || tIdx !== undefined) {
-      point.textureCoords = [
-        sIdx !== undefined ? parseFloat(values[sIdx]) : 0,
-        tIdx !== undefined ? parseFloat(values[tIdx]) : 0
-      ];
-    }
-    
-    points[i] = point;
-  }
-  
-  // 解析面数据
-  let faces = null;
-  if (faceCount > 0) {
-    faces = new Array(faceCount);
-    const faceStartLine = startLine + vertexCount;
-    
-    for (let i = 0; i < faceCount && (faceStartLine + i) < lines.length; i++) {
-      const line = lines[faceStartLine + i]?.trim();
-      if (!line) continue;
-      
-      const values = line.split(/\s+/);
-      let valueIndex = 0;
-      const face = { indices: [], labelId: null, textureCoords: null, color: null };
-      
-      for (const prop of faceProperties) {
-        if (valueIndex >= values.length) break;
-        
-        if (prop.type === 'list') {
-          const count = parseInt(values[valueIndex++]);
-          const list = new Array(count);
-          for (let k = 0; k < count; k++) {
-            list[k] = parseInt(values[valueIndex++]);
-          }
-          
-          if (prop.name === 'vertex_indices') {
-            face.indices = list;
-          } else if (prop.name === 'texcoord') {
-            face.textureCoords = list;
-          }
-        } else {
-          const value = values[valueIndex++];
-          switch (prop.name) {
-            case 'label':
-              face.labelId = parseInt(value);
-              break;
-            case 'red':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[0] = normalizeColorValue(parseFloat(value));
-              break;
-            case 'green':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[1] = normalizeColorValue(parseFloat(value));
-              break;
-            case 'blue':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[2] = normalizeColorValue(parseFloat(value));
-              break;
-          }
-        }
-      }
-      faces[i] = face;
-    }
-  }
-  
-  return { points, faces };
-};
-
-/**
- * Parse binary format PLY data.
- * @param {ArrayBuffer} buffer - Complete file buffer.
- * @param {number} vertexCount - Total vertex count.
- * @param {number} faceCount - Total face count.
- * @param {object[]} properties - Vertex property definitions.
- * @param {object[]} faceProperties - Face property definitions.
- * @param {number} dataOffset - Byte offset where data section starts.
- * @returns {{points: object[], faces: object[] | null}}
+ * Main function to parse PLY files on the current thread. In the browser use `parsePLYInWorker` (plyWorker.js)
+ * to keep the UI responsive.
+ * @param {ArrayBuffer} buffer - Binary content of PLY file.
+ * @param {Map<string, any>} materialMap - Preloaded material or texture data mapping.
+ * @param {object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Called with the number of bytes parsed.
+ * @returns {object | null} Parsed result object containing vertices, faces, materials, etc.
  */
-const parseBinaryPLY = (buffer, vertexCount, faceCount, properties, faceProperties, dataOffset) => {
-  const dataView = new DataView(buffer);
-  let offset = dataOffset;
-  const points = new Array(vertexCount);
-  
-  // 解析顶点数据
-  for (let i = 0; i < vertexCount; i++) {
-    const point = { position: [0, 0, 0], color: [1, 1, 1] };
-    
-    for (const prop of properties) {
-      const result = readDataValue(dataView, prop.type, offset);
-      const value = result.value;
-      offset = result.newOffset;
-      
-      const propName = prop.name.toLowerCase();
-      switch (propName) {
-        case 'x': 
-          point.position[0] = value; 
-          break;
-        case 'y': 
-          point.position[1] = value; 
-          break;
-        case 'z': 
-          point.position[2] = value; 
-          break;
-        case 'red': 
-        case 'r': 
-          point.color[0] = normalizeColorValue(value); 
-          break;
-        case 'green': 
-        case 'g': 
-          point.color[1] = normalizeColorValue(value); 
-          break;
-        case 'blue': 
-        case 'b': 
-          point.color[2] = normalizeColorValue(value); 
-          break;
-        case 'label': 
-          point.labelId = value; 
-          break;
-        case 's':
-          if (!point.textureCoords) point.textureCoords = [0, 0];
-          point.textureCoords[0] = value;
-          break;
-        case 't':
-          if (!point.textureCoords) point.textureCoords = [0, 0];
-          point.textureCoords[1] = value;
-          break;
-      }
-    }
-    points[i] = point;
-  }
-  
-  // 解析面数据
-  let faces = null;
-  if (faceCount > 0) {
-    faces = new Array(faceCount);
-    for (let i = 0; i < faceCount; i++) {
-      const face = { indices: [], labelId: null, textureCoords: null, color: null };
-      
-      for (const prop of faceProperties) {
-        if (prop.type === 'list') {
-          const countResult = readDataValue(dataView, prop.countType, offset);
-          const count = countResult.value;
-          offset = countResult.newOffset;
-          
-          const list = new Array(count);
-          for (let k = 0; k < count; k++) {
-            const itemResult = readDataValue(dataView, prop.itemType, offset);
-            list[k] = itemResult.value;
-            offset = itemResult.newOffset;
-          }
-          
-          if (prop.name === 'vertex_indices') {
-            face.indices = list;
-          } else if (prop.name === 'texcoord') {
-            face.textureCoords = list;
-          }
-        } else {
-          const result = readDataValue(dataView, prop.type, offset);
-          const value = result.value;
-          offset = result.newOffset;
-
-          switch (prop.name) {
-            case 'label': 
-              face.labelId = value; 
-              break;
-            case 'red':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[0] = normalizeColorValue(value);
-              break;
-            case 'green':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[1] = normalizeColorValue(value);
-              break;
-            case 'blue':
-              if (!face.color) face.color = [1, 1, 1];
-              face.color[2] = normalizeColorValue(value);
-              break;
-          }
-        }
-      }
-      faces[i] = face;
-    }
-  }
-  
-  return { points, faces };
-};
\ No newline at end of file
+export function parsePLY(buffer, materialMap = new Map(), options = {}) {
+  const header = parsePLYHeader(buffer);
+  const columns = parsePLYData(buffer, header, options);
+  return buildPLYResult(header, columns, materialMap);
+}
@@ -0,0 +1,24 @@
+/**
+ * @file plyParser.worker.js
+ * Parses the data section of a PLY file off the main thread (see plyWorker.js).
+ *
+ * Posts `{type: 'ready'}` once loaded. Receives `{buffer}` and posts `{type: 'progress', loaded, total}` while parsing, then
+ * `{type: 'result', header, columns}` with the column buffers transferred, or `{type: 'error', message}`.
+ */
+
+import { parsePLYHeader, parsePLYData } from './plyParser';
+
+self.onmessage = ({ data: { buffer } }) => {
+  try {
+    const header = parsePLYHeader(buffer);
+    const columns = parsePLYData(buffer, header, {
+      onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total }),
+    });
+    const transfer = Object.values(columns).filter(Boolean).map(array => array.buffer);
+    self.postMessage({ type: 'result', header, columns }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,71 @@
+/**
+ * @file plyWorker.js
+ * Runs the PLY parser in a Web Worker so large files do not freeze the UI.
+ */
+
+import { parsePLY, buildPLYResult } from './plyParser';
+
+/**
+ * Parse a PLY file in a worker. Only the typed data columns are sent back (transferred, not copied); the point and
+ * face objects are built on the main thread. Falls back to the main thread where workers are unavailable or the
+ * worker does not start (CSP, no module worker support, failed chunk load).
+ *
+ * @param {ArrayBuffer} buffer - Binary content of PLY file. It is transferred to the worker once the worker has
+ *   started, and detached afterwards.
+ * @param {Map<string, any>} materialMap - Preloaded material or texture data mapping.
+ * @param {object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Called with the number of bytes parsed.
+ * @returns {Promise<object>} Same result as `parsePLY`.
+ */
+export function parsePLYInWorker(buffer, materialMap = new Map(), { onProgress } = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(parsePLY(buffer, materialMap, { onProgress }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const parseOnMainThread = (reason) => {
+      console.warn('PLY parser worker could not be started, parsing on the main thread:', reason);
+      try {
+        resolve(parsePLY(buffer, materialMap, { onProgress }));
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    let worker;
+    try {
+      worker = new Worker(new URL('./plyParser.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      parseOnMainThread(error);
+      return;
+    }
+    let started = false;
+
+    worker.onmessage = ({ data }) => {
+      // The buffer is only handed over to a running worker, so it is still there if the worker fails to start
+      if (data.type === 'ready') {
+        started = true;
+        worker.postMessage({ buffer }, [buffer]);
+        return;
+      }
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.loaded, data.total);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'result') {
+        resolve(buildPLYResult(data.header, data.columns, materialMap));
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      if (!started) {
+        parseOnMainThread(event.message);
+        return;
+      }
+      reject(new Error(event.message || 'PLY parser worker failed'));
+    };
+  });
+}
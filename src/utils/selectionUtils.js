@@ -3,6 +3,9 @@
  * This file contains utility functions related to selection logic, such as converting selected points to selected faces.
  */
 
+import * as THREE from 'three';
+import { createBoxTester } from './geometryUtils';
+
 /**
  * Calculates the set of selected faces based on the currently selected points and the selection mode.
  *
@@ -49,3 +52,170 @@ export function calculateSelectedFaces(faces, labels, selectedPoints, meshSelect
 
   return newSelectedFaces;
 }
+
+/**
+ * Tests whether a 2D point lies inside a polygon using the even-odd ray casting rule.
+ *
+ * @param {number} x - The x coordinate of the point, in screen pixels.
+ * @param {number} y - The y coordinate of the point, in screen pixels.
+ * @param {Array<[number, number]>} polygon - The polygon vertices, in screen pixels.
+ * @returns {boolean} True if the point is inside the polygon.
+ */
+export function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Projects every point into screen space and returns the indices of the points enclosed by a lasso polygon.
+ * Points behind the camera, outside the view frustum, or belonging to a hidden label are ignored.
+ *
+ * @param {Array<Object>} points - The array of point objects, each with a `position` array.
+ * @param {Array<Object>} labels - The array of label objects, used to check for visibility.
+ * @param {Array<[number, number]>} polygon - The lasso polygon, in pixels relative to the canvas.
+ * @param {Object} projection - The projection context.
+ * @param {THREE.Camera} projection.camera - The camera used to render the scene.
+ * @param {THREE.Matrix4} projection.matrixWorld - World matrix of the group the centered points are rendered in.
+ * @param {[number, number, number]} projection.centerOffset - The offset used to center the point positions.
+ * @param {number} projection.width - Canvas width in pixels.
+ * @param {number} projection.height - Canvas height in pixels.
+ * @returns {Array<number>} The indices of the enclosed points, in ascending order.
+ */
+export function selectPointsInPolygon(points, labels, polygon, { camera, matrixWorld, centerOffset, width, height }) {
+  if (!points || points.length === 0 || !polygon || polygon.length < 3) {
+    return [];
+  }
+
+  // Bounding rectangle of the lasso, used to reject most points before the polygon test.
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const [x, y] of polygon) {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+
+  const hiddenLabels = new Set(labels.filter(label => label.visible === false).map(label => label.id));
+
+  // Model -> clip space in a single matrix, so each point costs one multiplication.
+  camera.updateMatrixWorld();
+  const modelViewProjection = new THREE.Matrix4()
+    .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    .multiply(matrixWorld);
+
+  const [centerX, centerY, centerZ] = centerOffset;
+  const vector = new THREE.Vector3();
+  const selected = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point.labelId && hiddenLabels.has(point.labelId)) continue;
+
+    const [x, y, z] = point.position;
+    vector.set(x - centerX, y - centerY, z - centerZ).applyMatrix4(modelViewProjection);
+    if (vector.z < -1 || vector.z > 1) continue;
+
+    const screenX = (vector.x + 1) * 0.5 * width;
+    const screenY = (1 - vector.y) * 0.5 * height;
+    if (screenX < minX || screenX > maxX || screenY < minY || screenY > maxY) continue;
+
+    if (isPointInPolygon(screenX, screenY, polygon)) {
+      selected.push(i);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Combines a new selection with the current one according to the selection operation.
+ *
+ * @param {Array<number>} current - The currently selected indices.
+ * @param {Array<number>} incoming - The newly selected indices.
+ * @param {'replace' | 'add' | 'subtract'} operation - How to combine the two selections.
+ * @returns {Array<number>} The combined selection, in ascending order.
+ */
+export function combineSelection(current, incoming, operation) {
+  if (operation === 'add') {
+    return Array.from(new Set([...current, ...incoming])).sort((a, b) => a - b);
+  }
+  if (operation === 'subtract') {
+    const removed = new Set(incoming);
+    return current.filter(index => !removed.has(index));
+  }
+  return incoming;
+}
+
+/**
+ * Returns the indices of all points inside a (possibly rotated) annotation box.
+ * Points belonging to a hidden label are ignored.
+ *
+ * @param {Array<Object>} points - The array of point objects, each with a `position` array.
+ * @param {Array<Object>} labels - The array of label objects, used to check for visibility.
+ * @param {{position: number[], size: number[], rotation?: number[]}} box - The annotation box, in point coordinates.
+ * @returns {Array<number>} The indices of the enclosed points, in ascending order.
+ */
+export function selectPointsInBox(points, labels, box) {
+  if (!points || points.length === 0 || !box) {
+    return [];
+  }
+
+  const hiddenLabels = new Set(labels.filter(label => label.visible === false).map(label => label.id));
+  const isInside = createBoxTester(box);
+  const selected = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point.labelId && hiddenLabels.has(point.labelId)) continue;
+
+    const [x, y, z] = point.position;
+    if (isInside(x, y, z)) {
+      selected.push(i);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Maps a raycast hit on a mesh of the original GLB scene to a global face index.
+ * Accounts for triangles filtered out of the index buffer by label visibility (see `geometry.userData.visibleFaceIndices`).
+ *
+ * @param {THREE.Mesh} mesh - The intersected mesh of the original scene.
+ * @param {number} triangleIndex - The `faceIndex` reported by the raycaster.
+ * @param {Object} interactionMapping - The interaction mapping built by `parseGLB`.
+ * @returns {number | null} The global face index, or null if the mesh is not part of the mapping.
+ */
+export function resolveSceneFaceIndex(mesh, triangleIndex, interactionMapping) {
+  const faceRange = interactionMapping?.meshToFaceRange.get(mesh.uuid);
+  if (!faceRange || triangleIndex === undefined || triangleIndex === null) {
+    return null;
+  }
+
+  const visibleFaceIndices = mesh.geometry?.userData.visibleFaceIndices;
+  const localFaceIndex = visibleFaceIndices ? visibleFaceIndices[triangleIndex] : triangleIndex;
+  if (localFaceIndex === undefined || faceRange.start + localFaceIndex >= faceRange.end) {
+    return null;
+  }
+
+  return faceRange.start + localFaceIndex;
+}
+
+/**
+ * Maps a raycast hit on the flattened label mesh to a global face index.
+ *
+ * @param {THREE.BufferGeometry} geometry - The label mesh geometry, carrying `userData.triangles`.
+ * @param {number} triangleIndex - The `faceIndex` reported by the raycaster.
+ * @returns {number | null} The global face index, or null if the triangle is unknown.
+ */
+export function resolveLabelMeshFaceIndex(geometry, triangleIndex) {
+  const triangle = geometry?.userData.triangles?.[triangleIndex];
+  return triangle ? triangle.faceIndex : null;
+}
@@ -0,0 +1,153 @@
+/**
+ * @file tilesetParser.js
+ * 3D Tiles loading: traverses a `tileset.json` hierarchy, applies the tile transforms and merges the content
+ * of all leaf tiles into one scene, which is then flattened by `buildSceneData` like a single GLB.
+ *
+ * Files are read through a `readFile(path)` callback, so the same code serves dropped folders and zip packages.
+ * Paths passed to it are normalized and relative to the root of the dropped folder / zip.
+ */
+
+import * as THREE from 'three';
+import { createGLTFLoader, buildSceneData } from './glbParser';
+import { loadTileContent } from './b3dmParser';
+import { normalizePath, getBaseName, getDirName, resolveRelativePath } from './pathUtils';
+
+// Content formats that can be merged into the scene
+const SUPPORTED_CONTENT = /\.(glb|gltf|b3dm|i3dm)$/i;
+
+/**
+ * 检查文件是否为3D Tiles的tileset入口文件
+ * @param {string} fileName - 文件名或路径
+ * @returns {boolean} 是否为tileset.json
+ */
+export function isTilesetFile(fileName) {
+  return getBaseName(fileName).toLowerCase() === 'tileset.json';
+}
+
+/**
+ * Picks the entry tileset among several `tileset.json` files (external tilesets are nested deeper).
+ * @param {Array<string>} paths - Candidate file paths.
+ * @returns {string|null} The shallowest tileset path, or null if there is none.
+ */
+export function findRootTilesetPath(paths) {
+  const tilesets = paths.filter(isTilesetFile).map(normalizePath);
+  if (tilesets.length === 0) return null;
+  return tilesets.sort((a, b) => a.split('/').length - b.split('/').length)[0];
+}
+
+function getTileContents(tile) {
+  // 3D Tiles 1.1 allows several contents per tile, 1.0 uses `content` with `uri` (or the legacy `url`)
+  const contents = tile.contents || (tile.content ? [tile.content] : []);
+  return contents.map(content => content.uri || content.url).filter(Boolean);
+}
+
+/**
+ * Collects the content to load, depth first. Only leaf tiles are loaded for REPLACE refinement, because their
+ * ancestors hold lower levels of detail of the same area. Tiles refined with ADD contribute their own content too.
+ */
+async function collectTileContents(tileset, tilesetPath, readJSON, parentMatrix, collected, visited) {
+  const baseDir = getDirName(tilesetPath);
+  const upAxis = (tileset.asset?.gltfUpAxis || 'Y').toUpperCase();
+
+  const visit = async (tile, parentTransform, parentRefine) => {
+    const matrix = parentTransform.clone();
+    if (Array.isArray(tile.transform) && tile.transform.length === 16) {
+      matrix.multiply(new THREE.Matrix4().fromArray(tile.transform)); // column-major, as in glTF
+    }
+    const refine = (tile.refine || parentRefine || 'REPLACE').toUpperCase();
+    const children = tile.children || [];
+
+    for (const uri of getTileContents(tile)) {
+      const path = resolveRelativePath(baseDir, uri);
+      if (path.toLowerCase().endsWith('.json')) {
+        // External tileset: its root tile continues the hierarchy under this tile's transform
+        if (visited.has(path)) continue;
+        visited.add(path);
+        const external = await readJSON(path);
+        await collectTileContents(external, path, readJSON, matrix, collected, visited);
+      } else if (children.length === 0 || refine === 'ADD') {
+        collected.push({ path, matrix, upAxis });
+      }
+    }
+
+    for (const child of children) {
+      await visit(child, matrix, refine);
+    }
+  };
+
+  if (!tileset?.root) {
+    throw new Error(`${tilesetPath} 不包含 root 瓦片`);
+  }
+  await visit(tileset.root, parentMatrix, null);
+}
+
+/**
+ * Loads a 3D Tiles tileset and merges the content of its leaf tiles.
+ * GLB, glTF, b3dm and i3dm content is supported; other content types (e.g. pnts) and missing files
+ * are reported in `tileset.skippedContents`.
+ *
+ * @param {string} tilesetPath - Path of the root `tileset.json`, as understood by `readFile`.
+ * @param {(path: string) => Promise<ArrayBuffer|null>} readFile - Reads a file of the dropped folder / zip,
+ * resolving to null when it does not exist.
+ * @param {Object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Called after each content file.
+ * @returns {Promise<Object>} Parse result compatible with LOAD_FILE_DATA, plus a `tileset` summary.
+ */
+export async function parseTileset(tilesetPath, readFile, { onProgress } = {}) {
+  const rootPath = normalizePath(tilesetPath);
+
+  const readJSON = async (path) => {
+    const buffer = await readFile(path);
+    if (!buffer) throw new Error(`找不到 tileset 文件: ${path}`);
+    return JSON.parse(new TextDecoder().decode(buffer));
+  };
+
+  const contents = [];
+  await collectTileContents(await readJSON(rootPath), rootPath, readJSON, new THREE.Matrix4(), contents, new Set([rootPath]));
+
+  const root = new THREE.Group();
+  root.name = getBaseName(getDirName(rootPath)) || 'tileset';
+  const skippedContents = [];
+  const { loader, dispose } = createGLTFLoader();
+
+  try {
+    for (let i = 0; i < contents.length; i++) {
+      const { path, matrix, upAxis } = contents[i];
+      const buffer = SUPPORTED_CONTENT.test(path) ? await readFile(path) : null;
+
+      if (buffer) {
+        const content = await loadTileContent(loader, buffer, {
+          path,
+          upAxis,
+          resolveGLTF: (uri) => readFile(resolveRelativePath(getDirName(path), uri)),
+        });
+        // Each tile gets its own node, named after its content so it can be identified in the interaction mapping
+        const tileNode = new THREE.Group();
+        tileNode.name = path;
+        tileNode.matrixAutoUpdate = false;
+        tileNode.matrix.copy(matrix);
+        tileNode.add(content);
+        root.add(tileNode);
+      } else {
+        skippedContents.push(path);
+      }
+      onProgress?.(i + 1, contents.length);
+    }
+  } finally {
+    dispose();
+  }
+
+  if (root.children.length === 0) {
+    throw new Error('tileset 中没有可加载的瓦片内容 (GLB/GLTF/b3dm/i3dm)');
+  }
+
+  const result = buildSceneData(root, getBaseName(rootPath));
+  return {
+    ...result,
+    tileset: {
+      path: rootPath,
+      contentCount: root.children.length,
+      skippedContents,
+    },
+  };
+}